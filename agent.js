@@ -7,7 +7,26 @@
 // records the outcome of those interactions.
 
 import { SIM_CONFIG, COLORS, normTypes, VISUALS } from './config.js';
-import { normRegistry, defaultEnforce } from './norms.js';
+import { normRegistry, defaultEnforce, toDecision } from './norms.js';
+import { random, randomWeighted } from './random.js';
+import { Vector, createVector } from './vector.js';
+import { world } from './world.js';
+
+// Neighbourhood radii of the flocking forces.  Cohesion and alignment
+// consider agents within FLOCK_RADIUS, separation those within
+// SEPARATION_RADIUS.  By default neighbours come from the shared
+// spatial grid (world.grid) rather than a scan of the population.
+const FLOCK_RADIUS = 60;
+const SEPARATION_RADIUS = 24;
+
+// Trust scores that fade below this magnitude are forgotten entirely
+const FORGOTTEN_TRUST = 0.05;
+
+export const ROLES = ['initiator', 'responder', 'mediator', 'disruptor'];
+
+function nearbyAgents(agent, radius = FLOCK_RADIUS) {
+  return world.grid.within(agent.pos.x, agent.pos.y, radius);
+}
 
 /**
  * Convert a norm type and acknowledgment flag into a p5 colour.
@@ -18,6 +37,37 @@ export function getNormColor(norm, acknowledged) {
   return color(rgb[0], rgb[1], rgb[2], alpha);
 }
 
+/**
+ * Draw an agent glyph centred on the origin: a square, triangle,
+ * hexagon or circle of the given radius.  Shared by Agent.display()
+ * and the snapshot renderer used while a worker runs the model.
+ *
+ * @param {string} kind One of 'square', 'triangle', 'hex' or 'circle'
+ * @param {number} radius Glyph radius in pixels
+ */
+export function drawAgentShape(kind, radius) {
+  switch (kind) {
+    case 'square':
+      rectMode(CENTER);
+      rect(0, 0, radius * 2, radius * 2);
+      break;
+    case 'triangle':
+      triangle(-radius, radius, 0, -radius, radius, radius);
+      break;
+    case 'hex':
+      beginShape();
+      for (let i = 0; i < 6; i++) {
+        const a = (PI / 3) * i;
+        vertex(cos(a) * radius, sin(a) * radius);
+      }
+      endShape(CLOSE);
+      break;
+    case 'circle':
+    default:
+      ellipse(0, 0, radius * 2);
+  }
+}
+
 /**
  * Agent class
  */
@@ -26,7 +76,7 @@ export class Agent {
     this.id = id;
 
     const { left, right, top, bottom } = SIM_CONFIG.margins;
-    this.pos = createVector(random(left, width - right), random(top, height - bottom));
+    this.pos = createVector(random(left, world.width - right), random(top, world.height - bottom));
     this.vel = createVector();
     this.acc = createVector();
 
@@ -35,7 +85,7 @@ export class Agent {
     this.visualRadius = VISUALS.size.baseRadius;
 
     this.vulnerability = random();
-    this.wander = p5.Vector.random2D();
+    this.wander = Vector.random2D();
 
     // Norm acknowledgments
     normTypes.forEach(norm => {
@@ -47,11 +97,9 @@ export class Agent {
     this.scenarioGroup = this.normPreference;
     this.affiliation = `pref_${this.normPreference}`;
 
-    // Display color (interpolates over time)
-    this.displayColor = getNormColor(
-      this.normPreference,
-      this[`${this.normPreference}Acknowledges`]
-    );
+    // Display color (interpolates over time).  Created lazily by
+    // updateVisuals() because p5 colours only exist in the browser.
+    this.displayColor = null;
     this.lastPref = this.normPreference;
 
     // Track last acks for falsifiability
@@ -62,20 +110,26 @@ export class Agent {
 
     // Social state
     this.trustMap = new Map();
-    this.relationalLedger = new Map();
+    // Every obligation this agent has issued, oldest first.  Each
+    // ObligationVector gets its own record (see openObligation()), so
+    // repeated dealings with the same partner are all kept.
+    this.obligationHistory = [];
 
     // Counters
     this.obligationAttempts = 0;
     this.obligationSuccesses = 0;
+    // Obligations issued by this agent (imposed) and addressed to it
+    // (received) over its lifetime.  Used for exploitation metrics.
+    this.obligationsImposed = 0;
+    this.obligationsReceived = 0;
 
     // Internal metrics
     this.contradictionDebt = 0;
     this.internalConflict = 0;
     this.culturalMomentum = random(0.3, 1.0);
 
-    // Traits
-    const roles = ['initiator', 'responder', 'mediator', 'disruptor'];
-    this.role = random(roles);
+    // Traits (see SIM_CONFIG.traits for their behavioural effects)
+    this.role = randomWeighted(ROLES, role => SIM_CONFIG.traits.roleMix[role] ?? 1);
     this.temperament = random();
     this.moralStance = random(['reactive', 'proactive']);
     this.memoryLength = random(0.2, 1.0);
@@ -93,29 +147,29 @@ export class Agent {
 
   applyForce(force) { this.acc.add(force); }
 
-  applyCohesionForce(neighbors = window.agents) {
+  applyCohesionForce(neighbors = nearbyAgents(this)) {
     const { cohesion } = SIM_CONFIG.forceParams;
     let count = 0;
     const centre = createVector();
     for (const other of neighbors) {
-      const d = p5.Vector.dist(this.pos, other.pos);
-      if (other !== this && d < 60) { centre.add(other.pos); count++; }
+      const d = Vector.dist(this.pos, other.pos);
+      if (other !== this && d < FLOCK_RADIUS) { centre.add(other.pos); count++; }
     }
     if (count > 0) {
       centre.div(count);
-      const desired = p5.Vector.sub(centre, this.pos);
+      const desired = Vector.sub(centre, this.pos);
       desired.setMag(cohesion);
       this.applyForce(desired);
     }
   }
 
-  applyAlignmentForce(neighbors = window.agents) {
+  applyAlignmentForce(neighbors = nearbyAgents(this)) {
     const { alignment } = SIM_CONFIG.forceParams;
     let count = 0;
     const avgVel = createVector();
     for (const other of neighbors) {
-      const d = p5.Vector.dist(this.pos, other.pos);
-      if (other !== this && d < 60) { avgVel.add(other.vel); count++; }
+      const d = Vector.dist(this.pos, other.pos);
+      if (other !== this && d < FLOCK_RADIUS) { avgVel.add(other.vel); count++; }
     }
     if (count > 0) {
       avgVel.div(count);
@@ -124,14 +178,14 @@ export class Agent {
     }
   }
 
-  applySeparationForce(neighbors = window.agents) {
+  applySeparationForce(neighbors = nearbyAgents(this, SEPARATION_RADIUS)) {
     const { separation } = SIM_CONFIG.forceParams;
     let count = 0;
     const steer = createVector();
     for (const other of neighbors) {
-      const d = p5.Vector.dist(this.pos, other.pos);
-      if (other !== this && d < 24) {
-        const diff = p5.Vector.sub(this.pos, other.pos);
+      const d = Vector.dist(this.pos, other.pos);
+      if (other !== this && d < SEPARATION_RADIUS) {
+        const diff = Vector.sub(this.pos, other.pos);
         diff.normalize(); diff.div(d);
         steer.add(diff);
         count++;
@@ -146,11 +200,151 @@ export class Agent {
 
   incrementContradictionDebt(reason = "unspecified") { this.contradictionDebt++; }
 
+  /**
+   * Start the history record of an obligation this agent issues.  The
+   * vector keeps a reference to the record and fills in the outcome
+   * when it resolves (see ObligationVector.settle()).
+   *
+   * @param {ObligationVector} vec The new obligation
+   * @param {number} generation Generation in which it was issued
+   * @returns {Object} The record {targetId, norm, strength,
+   *          createdGeneration, resolvedGeneration, outcome, weight};
+   *          a repair obligation's record also has repair: true.  A
+   *          successful repair later sets outcome 'repaired' and
+   *          repairedGeneration, a failed one raises debt, and weight
+   *          fades as the agent forgets
+   */
+  openObligation(vec, generation) {
+    const record = {
+      targetId: vec.target.id,
+      norm: vec.norm,
+      strength: vec.strength,
+      createdGeneration: generation,
+      resolvedGeneration: null,
+      outcome: 'pending',
+      weight: 1
+    };
+    if (vec.repair) record.repair = true;
+    this.obligationHistory.push(record);
+    vec.record = record;
+    return record;
+  }
+
+  /**
+   * Count the outcomes in this agent's obligation history.
+   *
+   * @returns {Object} {pending, fulfilled, denied, expired, repaired}
+   */
+  countOutcomes() {
+    const counts = { pending: 0, fulfilled: 0, denied: 0, expired: 0, repaired: 0 };
+    for (const record of this.obligationHistory) counts[record.outcome]++;
+    return counts;
+  }
+
+  /**
+   * Fraction of trust and grievance weight kept from one generation to
+   * the next.  Memory halves every memoryHalfLife × memoryLength ×
+   * memoryDecay generations (see SIM_CONFIG.memoryDecay).
+   *
+   * @returns {number} Retention factor in [0, 1)
+   */
+  memoryRetention() {
+    const halfLife = SIM_CONFIG.memoryHalfLife * this.memoryLength * SIM_CONFIG.memoryDecay;
+    return halfLife > 0 ? Math.pow(0.5, 1 / halfLife) : 0;
+  }
+
+  /**
+   * Let one generation pass in the agent's memory.  Trust erodes
+   * towards zero without reinforcement and old grievances weigh less
+   * on contradiction debt.  The history records themselves are kept.
+   */
+  decayMemory() {
+    const retention = this.memoryRetention();
+    for (const [id, score] of this.trustMap) {
+      const faded = score * retention;
+      if (Math.abs(faded) < FORGOTTEN_TRUST) this.trustMap.delete(id);
+      else this.trustMap.set(id, faded);
+    }
+    for (const record of this.obligationHistory) {
+      if (record.outcome !== 'pending') record.weight *= retention;
+    }
+  }
+
+  /**
+   * Relative chance of being picked as the source of a new obligation.
+   * Initiators issue more obligations, scaled by their temperament.
+   */
+  issueWeight() {
+    if (this.role !== 'initiator') return 1;
+    return 1 + (SIM_CONFIG.traits.issueWeight - 1) * this.temperament;
+  }
+
+  /**
+   * Adjust the chance that this agent fulfils an obligation addressed
+   * to it.  Responders fulfil more readily; disruptors deny obligations
+   * from sources they do not trust but keep faith with those they do.
+   *
+   * @param {ObligationVector} vec The obligation being resolved
+   * @param {number} p The chance before traits are considered
+   * @returns {number} The adjusted chance in [0, 1]
+   */
+  fulfilmentChance(vec, p) {
+    const { responderBonus, disruptorDenial } = SIM_CONFIG.traits;
+    if (this.role === 'responder') {
+      return Math.min(1, p + responderBonus * this.temperament);
+    }
+    if (this.role === 'disruptor' && (this.trustMap.get(vec.source.id) || 0) <= 0) {
+      return p * (1 - disruptorDenial * this.temperament);
+    }
+    return p;
+  }
+
+  /**
+   * Social learning pressure on each norm (see SIM_CONFIG.learning).
+   * The outcome signal compares remembered successes and failures of
+   * the obligations this agent issued under the norm; the peer signal
+   * is the trust-weighted balance of trusted peers acknowledging it.
+   *
+   * @returns {Object} Per norm {outcome, peers, pressure}, each in [-1, 1]
+   */
+  normPressure() {
+    const { outcomeWeight, peerWeight } = SIM_CONFIG.learning;
+    const good = {}, bad = {};
+    for (const record of this.obligationHistory) {
+      if (record.outcome === 'fulfilled' || record.outcome === 'repaired') {
+        good[record.norm] = (good[record.norm] || 0) + record.weight;
+      } else if (record.outcome === 'denied' || record.outcome === 'expired') {
+        bad[record.norm] = (bad[record.norm] || 0) + record.weight;
+      }
+    }
+    const trusted = [];
+    for (const [id, score] of this.trustMap) {
+      const peer = score > 0 && world.agentMap.get(id);
+      if (peer) trusted.push([peer, score]);
+    }
+    const result = {};
+    for (const norm of normTypes) {
+      const g = good[norm] || 0, b = bad[norm] || 0;
+      const outcome = g + b > 0 ? (g - b) / (g + b) : 0;
+      let balance = 0, total = 0;
+      for (const [peer, score] of trusted) {
+        balance += peer[`${norm}Acknowledges`] ? score : -score;
+        total += score;
+      }
+      const peers = total > 0 ? balance / total : 0;
+      result[norm] = { outcome, peers, pressure: outcomeWeight * outcome + peerWeight * peers };
+    }
+    return result;
+  }
+
+  // Conflict and debt weigh each denied or expired obligation by how
+  // well the agent still remembers it; debt also by the amount its
+  // enforcement decision assigned
   updateConflictAndDebt() {
     let conflict = 0, debt = 0;
-    for (const status of this.relationalLedger.values()) {
-      if (status === 'denied' || status === 'expired') debt++;
-      if (status === 'denied') conflict++;
+    for (const record of this.obligationHistory) {
+      if (record.outcome === 'denied' || record.outcome === 'expired') debt += (record.debt ?? 1) * record.weight;
+      if (record.outcome === 'denied') conflict += record.weight;
     }
     this.internalConflict = conflict;
     this.contradictionDebt = debt;
@@ -197,38 +391,19 @@ export class Agent {
   }
 
   drawShape(kind, radius) {
-    switch (kind) {
-      case 'square':
-        rectMode(CENTER);
-        rect(0, 0, radius * 2, radius * 2);
-        break;
-      case 'triangle':
-        triangle(-radius, radius, 0, -radius, radius, radius);
-        break;
-      case 'hex':
-        beginShape();
-        for (let i = 0; i < 6; i++) {
-          const a = (PI / 3) * i;
-          vertex(cos(a) * radius, sin(a) * radius);
-        }
-        endShape(CLOSE);
-        break;
-      case 'circle':
-      default:
-        ellipse(0, 0, radius * 2);
-    }
+    drawAgentShape(kind, radius);
   }
 
   // --- Update / display ---
 
-  update(neighbors = window.agents) {
+  update(neighbors = nearbyAgents(this)) {
     // Trust-directed movement
     let moved = false;
     for (const [id, score] of this.trustMap.entries()) {
       if (score > 2) {
-        const peer = window.agentMap.get(parseInt(id));
+        const peer = world.agentMap.get(parseInt(id));
         if (peer) {
-          const seek = p5.Vector.sub(peer.pos, this.pos)
+          const seek = Vector.sub(peer.pos, this.pos)
             .setMag(SIM_CONFIG.forceParams.trustAttraction * score);
           this.applyForce(seek);
           moved = true;
@@ -244,7 +419,7 @@ export class Agent {
     // Wander if idle
     if (!moved) {
       this.wander.rotate(random(-0.1, 0.1));
-      this.applyForce(p5.Vector.mult(this.wander, 0.03));
+      this.applyForce(Vector.mult(this.wander, 0.03));
     }
 
     // Integrate motion
@@ -261,26 +436,38 @@ export class Agent {
       if (this.trail.length > 40) this.trail.shift();
     }
 
+    this.wrapAround();
+  }
+
+  /**
+   * Advance purely visual state: the interpolated display colour and the
+   * smoothed radius.  Called by the sketch before display(); headless
+   * runs never call it.
+   *
+   * @param {Object} groupColors Map of affiliation label → RGBA array
+   */
+  updateVisuals(groupColors = {}) {
     // Colour interpolation: prefer affiliation color, fallback to norm/scenario
     let targetColour;
-    if (window.groupColors && window.groupColors[this.affiliation]) {
-      targetColour = window.groupColors[this.affiliation];
+    if (groupColors[this.affiliation]) {
+      targetColour = color(groupColors[this.affiliation]);
     } else {
       const scenarioKey = this.scenarioGroup || this.normPreference;
       const ackProp = `${scenarioKey}Acknowledges`;
       const acknowledged = this[ackProp] !== undefined ? this[ackProp] : true;
       targetColour = getNormColor(scenarioKey, acknowledged);
     }
-    this.displayColor = lerpColor(this.displayColor, targetColour, 0.05);
+    this.displayColor = this.displayColor
+      ? lerpColor(this.displayColor, targetColour, 0.05)
+      : targetColour;
 
     // Dynamic size
     this.computeVisualRadius();
-
-    this.wrapAround();
   }
 
   wrapAround() {
     const { left, right, top, bottom } = SIM_CONFIG.margins;
+    const { width, height } = world;
     if (this.pos.x < left) this.pos.x = width - right;
     if (this.pos.x > width - right) this.pos.x = left;
     if (this.pos.y < top) this.pos.y = height - bottom;
@@ -288,6 +475,8 @@ export class Agent {
   }
 
   display() {
+    if (!this.displayColor) this.updateVisuals();
+
     // Optional trust halo
     if (VISUALS.showTrustHalo) {
       const trustSum = Array.from(this.trustMap?.values() || []).reduce((a, b) => a + b, 0);
@@ -324,10 +513,9 @@ export class Agent {
     pop();
   }
 
-  recordTrust(targetID, fulfilled) {
-    const current = this.trustMap.get(targetID) || 0;
-    const delta = fulfilled ? SIM_CONFIG.trustGrowth.increment : -SIM_CONFIG.trustGrowth.decrement;
-    this.trustMap.set(targetID, current + delta);
+  adjustTrust(targetID, delta) {
+    if (!delta) return;
+    this.trustMap.set(targetID, (this.trustMap.get(targetID) || 0) + delta);
   }
 }
 
@@ -343,83 +531,169 @@ export class ObligationVector {
     this.target = target;
     this.strength = strength;          // 0..1
     this.norm = norm;                  // one of normTypes
-    this.status = 'pending';           // 'pending' | 'fulfilled' | 'denied' | 'expired' | 'repaired'
+    this.status = 'pending';           // 'pending' | 'fulfilled' | 'denied' | 'expired'
+    // Non-reciprocal obligations (vulnerability targeting) flow one way:
+    // fulfilment does not raise the target's trust in the source.
+    this.reciprocal = true;
+    // Repair obligations (see issueRepair() in simulation.js) carry
+    // {record, mediator}: the grievance of the target they address and
+    // the agent who brokered them, if any.  Null for other obligations.
+    this.repair = null;
+    // Ticks spent pending, counted from the tick the obligation is
+    // issued; past maxAge the default rule expires the obligation even
+    // if its line has not reached the target (see
+    // SIM_CONFIG.enforcementRules)
     this.age = 0;
     this.maxAge =
       SIM_CONFIG.enforcementRules.expirationBase +
-      floor(random(SIM_CONFIG.enforcementRules.expirationRandom));
+      Math.floor(random(SIM_CONFIG.enforcementRules.expirationRandom));
 
     // --- animation ---
     this.animT = 0; // 0..1, how far the line has grown toward the target
     const baseSpeed = SIM_CONFIG?.obligation?.animSpeed ?? 0.035;
     this.animSpeed = baseSpeed * (0.7 + random(0.6)); // slight per-line jitter
     const jitter = SIM_CONFIG?.obligation?.spawnJitter ?? 24; // frames to stagger births
-    const now = (typeof frameCount === 'number') ? frameCount : 0;
-    this.spawnFrame = now + floor(random(0, jitter)); // don’t all start at once
+    this.spawnFrame = world.frame + Math.floor(random(0, jitter)); // don’t all start at once
 
     this.resolveOnArrival = true; // only decide fulfilled/denied once line reaches target
-    this.resolvedAt = null;       // frameCount when resolved
+    this.resolvedAt = null;       // world.frame when resolved
     this.lingerFrames = SIM_CONFIG?.obligation?.lingerFrames ?? 18; // fade-out
   }
 
+  // Record the outcome in the source's obligation history
+  settle(outcome, generation, { reason = outcome, debt = 0 } = {}) {
+    if (!this.record) return;
+    this.record.outcome = outcome;
+    this.record.resolvedGeneration = generation;
+    this.record.reason = reason;
+    this.record.debt = debt;
+  }
+
   // advance animation even when not rendering (validation/headless)
   stepAnimation() {
-    if (typeof frameCount === 'number' && frameCount < this.spawnFrame) return;
+    if (world.frame < this.spawnFrame) return;
     if (this.animT < 1) this.animT = Math.min(1, this.animT + this.animSpeed);
   }
 
-  // Update state based on the registered norm's enforcement rule (or default)
-  enforce({ generation, obligationLog }) {
-    if (!this.source || !this.target) return;
-
-    // Always age while pending (can expire even before arrival)
-    if (this.status === 'pending') {
-      this.age++;
-      if (this.age > this.maxAge) {
-        this.status = 'expired';
-        this.source.relationalLedger.set(this.target.id, 'expired');
-        this.source.recordTrust(this.target.id, false);
-        this.target.recordTrust(this.source.id, false);
-        obligationLog?.push({ status: 'expired', norm: this.norm, from: this.source.id, to: this.target.id, generation });
-        this.resolvedAt = (typeof frameCount === 'number') ? frameCount : 0;
-        return;
-      }
-    }
-
-    if (this.status !== 'pending') return;
+  /**
+   * Ask the norm's enforcement rule for a decision and apply it once
+   * the obligation resolves.  Called every tick while pending.  Rules
+   * that return something other than a valid decision (see
+   * toDecision() in norms.js) are overruled by defaultEnforce().
+   *
+   * @param {Object} state {generation, obligationLog, repairLog}
+   */
+  enforce({ generation, obligationLog, repairLog }) {
+    if (!this.source || !this.target || this.status !== 'pending') return;
 
     // keep animation moving even in validation mode
     this.stepAnimation();
 
-    // Gate resolution until the line visually arrives
-    if (this.resolveOnArrival && this.animT < 1) return;
+    // Obligations age every tick while pending, also while their line
+    // is still travelling; rules check expiry before the arrival gate
+    this.age++;
+    const arrived = !this.resolveOnArrival || this.animT >= 1;
 
-    // Use norm-specific enforcement, fallback to default
-    const enforceFn = (typeof normRegistry !== 'undefined' && normRegistry[this.norm]?.enforceFn) || defaultEnforce;
-    const result = enforceFn(this, { generation, obligationLog });
-
-    // If custom rule didn’t return a canonical status, use baseline
-    if (!['fulfilled', 'denied', 'pending'].includes(result)) {
-      const d = p5.Vector.dist(this.source.pos, this.target.pos);
-      const proximityOK = d < (SIM_CONFIG.enforcementRules.proximityThreshold || 150);
-      const ackOK = !!(this.source[`${this.norm}Acknowledges`] && this.target[`${this.norm}Acknowledges`]);
-      const p = (this.strength * (proximityOK ? 1.0 : 0.6)) * (ackOK ? 1.0 : 0.5);
-      this.status = (random() < p) ? 'fulfilled' : 'denied';
-    } else {
-      this.status = result;
-    }
+    const state = { generation, arrived };
+    const rule = normRegistry[this.norm]?.enforceFn || defaultEnforce;
+    const decision = toDecision(rule(this, state)) || toDecision(defaultEnforce(this, state));
+    if (decision.status !== 'pending') this.apply(decision, { generation, obligationLog, repairLog });
+  }
 
-    if (this.status === 'fulfilled' || this.status === 'denied') {
+  /**
+   * Resolve the obligation with a decision: update its status, the
+   * source's counters and obligation history, both parties' trust and
+   * the obligation log.  Trust changes the decision leaves out follow
+   * SIM_CONFIG.trustGrowth: fulfilment raises trust, denial and expiry
+   * lower it, and a fulfilled non-reciprocal obligation leaves the
+   * target's trust unchanged.  Repair obligations change trust as
+   * SIM_CONFIG.repair says instead (see settleRepair()).
+   *
+   * @param {Object} decision A decision from toDecision()
+   * @param {Object} state {generation, obligationLog, repairLog}
+   */
+  apply(decision, { generation, obligationLog, repairLog }) {
+    const { status, reason, trust, debt } = decision;
+    const fulfilled = status === 'fulfilled';
+    this.status = status;
+    if (status === 'fulfilled' || status === 'denied') {
       this.source.obligationAttempts = (this.source.obligationAttempts || 0) + 1;
-      if (this.status === 'fulfilled') {
+      if (fulfilled) {
         this.source.obligationSuccesses = (this.source.obligationSuccesses || 0) + 1;
       }
-      this.source.relationalLedger.set(this.target.id, this.status);
-      this.source.recordTrust(this.target.id, this.status === 'fulfilled');
-      this.target.recordTrust(this.source.id, this.status === 'fulfilled');
-      obligationLog?.push({ status: this.status, norm: this.norm, from: this.source.id, to: this.target.id, generation });
-      this.resolvedAt = (typeof frameCount === 'number') ? frameCount : 0;
     }
+    // A rejected repair adds to its issuer's conflict but not its debt;
+    // the debt of the grievance it addresses grows instead
+    this.settle(status, generation, { reason, debt: this.repair ? 0 : debt });
+    if (this.repair) {
+      obligationLog?.push({
+        status, norm: this.norm, from: this.source.id, to: this.target.id, generation, reason,
+        kind: 'repair', ...(this.repair.mediator ? { mediator: this.repair.mediator.id } : {})
+      });
+      this.settleRepair(fulfilled, generation, { obligationLog, repairLog });
+      this.resolvedAt = world.frame;
+      return;
+    }
+    const delta = fulfilled ? SIM_CONFIG.trustGrowth.increment : -SIM_CONFIG.trustGrowth.decrement;
+    this.source.adjustTrust(this.target.id, trust.source ?? delta);
+    this.target.adjustTrust(this.source.id, trust.target ?? (this.reciprocal || !fulfilled ? delta : 0));
+    obligationLog?.push({ status, norm: this.norm, from: this.source.id, to: this.target.id, generation, reason });
+    this.resolvedAt = world.frame;
+  }
+
+  /**
+   * Apply the outcome of a repair obligation to the grievance it
+   * addresses and to the parties (see SIM_CONFIG.repair).  The source
+   * is the agent who failed the original obligation, the target the
+   * agent it wronged.  Acceptance marks the grievance repaired and
+   * restores trust both ways, and in the mediator; rejection or expiry
+   * costs trust both ways and adds to the grievance's debt.  Every
+   * attempt is recorded in the repair log.
+   *
+   * @param {boolean} accepted Whether the wronged party accepted the repair
+   * @param {number} generation Generation in which the repair resolved
+   * @param {Object} logs {obligationLog, repairLog}
+   */
+  settleRepair(accepted, generation, { obligationLog, repairLog }) {
+    const { record, mediator } = this.repair;
+    const { trustRestore, mediatorTrust, failurePenalty, failureDebt } = SIM_CONFIG.repair;
+    const delta = accepted ? trustRestore : -failurePenalty;
+    this.source.adjustTrust(this.target.id, delta);
+    this.target.adjustTrust(this.source.id, delta);
+    record.repairPending = false;
+    if (accepted) {
+      record.outcome = 'repaired';
+      record.repairedGeneration = generation;
+      if (mediator) {
+        record.mediator = mediator.id;
+        this.source.adjustTrust(mediator.id, mediatorTrust);
+        this.target.adjustTrust(mediator.id, mediatorTrust);
+      }
+      obligationLog?.push({
+        status: 'repaired',
+        norm: record.norm,
+        from: this.target.id,
+        to: this.source.id,
+        generation,
+        reason: mediator ? 'mediation' : 'repair',
+        ...(mediator ? { mediator: mediator.id } : {})
+      });
+    } else {
+      record.debt = (record.debt ?? 1) + failureDebt;
+    }
+    repairLog?.push({
+      generation,
+      from: this.source.id,
+      to: this.target.id,
+      norm: record.norm,
+      repairNorm: this.norm,
+      strength: Number(this.strength.toFixed(3)),
+      attempt: record.repairAttempts,
+      mediator: mediator ? mediator.id : null,
+      fromGroup: this.source.affiliation,
+      toGroup: this.target.affiliation,
+      outcome: accepted ? 'repaired' : this.status === 'expired' ? 'expired' : 'rejected'
+    });
   }
 
   // Render as an animated line colored by norm & styled by status
@@ -449,8 +723,7 @@ export class ObligationVector {
 
     // fade after resolve
     if (this.resolvedAt != null) {
-      const now = (typeof frameCount === 'number') ? frameCount : 0;
-      const t = (now - this.resolvedAt) / this.lingerFrames;
+      const t = (world.frame - this.resolvedAt) / this.lingerFrames;
       const k = 1 - constrain(t, 0, 1);
       if (k <= 0) return; // finished showing
       alpha *= k;
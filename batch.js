@@ -0,0 +1,265 @@
+// batch.js
+//
+// Declarative batch experiments.  A batch spec names the scenarios to
+// run, the toggle combinations to try, a grid of parameter values to
+// sweep and the number of replicates per cell; buildBatchPlan() expands
+// it into the ordered list of runs.  The defaults come from
+// BATCH_SETTINGS in config.js, so a spec only needs the fields it
+// changes.  Example:
+//
+//   {
+//     "scenarios": ["pluralist", "authoritarian"],
+//     "toggleCombos": [{ "moralRepair": true }, { "moralRepair": false }],
+//     "parameterGrid": {
+//       "reproduction.chance": [0.1, 0.25],
+//       "trustGrowth.decrement": [0.5, 1, 2]
+//     },
+//     "replicates": 3,
+//     "generationsPerRun": 50,
+//     "logAgentBiographies": false,
+//     "logTrustGraphs": true
+//   }
+//
+// runs 2 scenarios × 2 combos × 6 grid points × 3 replicates = 72 runs.
+// logAgentBiographies leaves the bulky biography archive out of the
+// export; falsifiability events are always exported.  logTrustGraphs
+// exports the trust graph of every generation instead of only the
+// final one of each run.
+// Grid keys are anything a settings file accepts (see settings.js): a
+// dotted SIM_CONFIG path or a flat advanced setting such as numAgents.
+// The sketch hands the spec to worker.js, which runs it off the main
+// thread; run.js --batch runs it back to back under Node.  Both tag every exported row with the
+// run's scenario, toggles, replicate and parameter values.
+
+import { SIM_CONFIG, BATCH_SETTINGS } from './config.js';
+import { SCENARIO_NAMES } from './scenarios.js';
+import { sim, biographyLog, trustGraph } from './simulation.js';
+import { validateSettings, applySettings, currentSettings, ADVANCED_PARAMS } from './settings.js';
+
+// Toggle names accepted in toggleCombos, mapped to the simulation
+// flags they control.  The short names are those used by
+// BATCH_SETTINGS and run.js; the long names match TOGGLES.
+const COMBO_KEYS = {
+  moralRepair: 'enableMoralRepair',
+  directed: 'enableDirectedEmergence',
+  targeting: 'enableNonReciprocalTargeting',
+  enableMoralRepair: 'enableMoralRepair',
+  enableDirectedEmergence: 'enableDirectedEmergence',
+  enableNonReciprocalTargeting: 'enableNonReciprocalTargeting'
+};
+
+/**
+ * Turn a grid key and value into a settings object, e.g.
+ * ('reproduction.chance', 0.2) → { reproduction: { chance: 0.2 } }.
+ */
+function nestSetting(key, value) {
+  if (key in ADVANCED_PARAMS) return { [key]: value };
+  return key.split('.').reduceRight((inner, part) => ({ [part]: inner }), value);
+}
+
+// Current value of a grid key, so that it can be restored after the batch
+function readSetting(key) {
+  if (key in ADVANCED_PARAMS) return currentSettings()[key];
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), SIM_CONFIG);
+}
+
+/**
+ * Expand a batch spec into the ordered list of runs.  Runs iterate over
+ * scenarios, then toggle combinations, then grid points, with the
+ * replicates of each cell innermost.
+ *
+ * @param {Object} [spec] Batch spec; missing fields fall back to BATCH_SETTINGS
+ * @returns {Object} {runs, generationsPerRun, logAgentBiographies, logTrustGraphs,
+ *          parameters, baseline, baselineToggles, errors}.
+ *          Each run is {run, scenario, toggles, params, replicate, changes},
+ *          with every simulation flag in toggles; baseline holds the
+ *          changes that restore the swept parameters and baselineToggles
+ *          the flags from before the batch.
+ *          When errors is non-empty the spec should not be run.
+ */
+export function buildBatchPlan(spec = {}) {
+  const errors = [];
+  const scenarios = spec.scenarios ?? BATCH_SETTINGS.scenarios;
+  const combos = spec.toggleCombos ?? BATCH_SETTINGS.toggleCombos;
+  const grid = spec.parameterGrid ?? BATCH_SETTINGS.parameterGrid ?? {};
+  const replicates = Number(spec.replicates ?? BATCH_SETTINGS.replicates ?? 1);
+  const generationsPerRun = Number(spec.generationsPerRun ?? BATCH_SETTINGS.generationsPerRun);
+  const logAgentBiographies = spec.logAgentBiographies ?? BATCH_SETTINGS.logAgentBiographies ?? true;
+  const logTrustGraphs = spec.logTrustGraphs ?? BATCH_SETTINGS.logTrustGraphs ?? false;
+
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    errors.push('"scenarios" must be a non-empty list of scenario names');
+  } else {
+    for (const name of scenarios) {
+      if (!SCENARIO_NAMES.includes(name)) errors.push(`Unknown scenario ${JSON.stringify(name)}`);
+    }
+  }
+  if (!Number.isInteger(replicates) || replicates < 1) {
+    errors.push('"replicates" must be a whole number >= 1');
+  }
+  if (!Number.isInteger(generationsPerRun) || generationsPerRun < 1) {
+    errors.push('"generationsPerRun" must be a whole number >= 1');
+  }
+  if (typeof logAgentBiographies !== 'boolean') {
+    errors.push('"logAgentBiographies" must be true or false');
+  }
+  if (typeof logTrustGraphs !== 'boolean') {
+    errors.push('"logTrustGraphs" must be true or false');
+  }
+
+  // Normalise toggle combinations to simulation flag names.  Flags a
+  // combination does not mention take their value from before the
+  // batch, not from the previous combination.
+  const baselineToggles = Object.fromEntries(
+    [...new Set(Object.values(COMBO_KEYS))].map(flag => [flag, sim[flag]])
+  );
+  const toggleSets = [];
+  if (!Array.isArray(combos) || combos.length === 0) {
+    errors.push('"toggleCombos" must be a non-empty list of objects');
+  } else {
+    combos.forEach((combo, i) => {
+      const toggles = { ...baselineToggles };
+      for (const [key, value] of Object.entries(combo || {})) {
+        if (!(key in COMBO_KEYS)) errors.push(`Unknown toggle "${key}" in toggleCombos[${i}]`);
+        else if (typeof value !== 'boolean') errors.push(`toggleCombos[${i}].${key} must be true or false`);
+        else toggles[COMBO_KEYS[key]] = value;
+      }
+      toggleSets.push(toggles);
+    });
+  }
+
+  // Validate every grid value up front so that a typo fails before
+  // hours of runs rather than halfway through them
+  const parameters = Object.keys(grid || {});
+  const gridChanges = {};
+  for (const key of parameters) {
+    const values = grid[key];
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`parameterGrid "${key}" must be a non-empty list of values`);
+      continue;
+    }
+    gridChanges[key] = values.map(value => {
+      const result = validateSettings(nestSetting(key, value));
+      errors.push(...result.errors.map(message => `parameterGrid: ${message}`));
+      return { value, changes: result.changes };
+    });
+  }
+  const baseline = [];
+  for (const key of parameters) {
+    baseline.push(...validateSettings(nestSetting(key, readSetting(key))).changes);
+  }
+
+  if (errors.length > 0) {
+    return { runs: [], generationsPerRun, logAgentBiographies, logTrustGraphs, parameters, baseline, baselineToggles, errors };
+  }
+
+  // Cartesian product of the grid: a list of {params, changes} points
+  let points = [{ params: {}, changes: [] }];
+  for (const key of parameters) {
+    points = points.flatMap(point => gridChanges[key].map(option => ({
+      params: { ...point.params, [key]: option.value },
+      changes: [...point.changes, ...option.changes]
+    })));
+  }
+
+  const runs = [];
+  for (const scenario of scenarios) {
+    for (const toggles of toggleSets) {
+      for (const point of points) {
+        for (let replicate = 1; replicate <= replicates; replicate++) {
+          runs.push({
+            run: runs.length + 1,
+            scenario,
+            toggles,
+            params: point.params,
+            replicate,
+            changes: point.changes
+          });
+        }
+      }
+    }
+  }
+  return { runs, generationsPerRun, logAgentBiographies, logTrustGraphs, parameters, baseline, baselineToggles, errors };
+}
+
+/**
+ * Configure the simulation for one run of a plan.  Call
+ * resetSimulation() afterwards to start it.
+ *
+ * @param {Object} run An entry of plan.runs
+ * @param {Object} plan The plan the run belongs to
+ */
+export function applyBatchRun(run, plan) {
+  sim.scenario = run.scenario;
+  Object.assign(sim, run.toggles);
+  applySettings(run.changes);
+  sim.batchRun = run.run;
+  sim.recordTrustGraphs = plan.logTrustGraphs;
+}
+
+/**
+ * Restore the parameters a plan swept and the simulation flags to their
+ * values from before the batch and return the simulation to single-run
+ * numbering.
+ *
+ * @param {Object} plan The plan returned by buildBatchPlan()
+ */
+export function finishBatch(plan) {
+  applySettings(plan.baseline);
+  Object.assign(sim, plan.baselineToggles);
+  sim.batchRun = 1;
+  sim.recordTrustGraphs = false;
+}
+
+/**
+ * Copy the current run's logs and tag every row with the run's
+ * scenario, toggles, replicate, seed and parameter values for the
+ * aggregated batch export.
+ *
+ * @param {Object} run An entry of plan.runs
+ * @param {Object} plan The plan the run belongs to
+ * @returns {Object} {agentLog, obligationLog, metricsLog, biographyLog,
+ *          falsifyLog, repairLog, groupEventLog, learningLog, trustLog, record}: tagged copies of the logs, where
+ *          metricsLog is the per-generation `sim.log`, biographyLog the
+ *          flattened biography archive (null unless plan.logAgentBiographies),
+ *          falsifyLog `sim.falsifyEvents`, repairLog `sim.repairLog`, groupEventLog
+ *          `sim.groupEventLog`, learningLog `sim.acknowledgmentLog` and trustLog the trust graphs of
+ *          every generation (plan.logTrustGraphs) or the final one; and the
+ *          run's entry for the bundle manifest (see bundle.js)
+ */
+export function tagRunLogs(run, plan) {
+  const tags = {
+    run: run.run,
+    batchScenario: run.scenario,
+    replicate: run.replicate,
+    seed: sim.seed,
+    enableMoralRepair: sim.enableMoralRepair,
+    enableDirectedEmergence: sim.enableDirectedEmergence,
+    enableNonReciprocalTargeting: sim.enableNonReciprocalTargeting,
+    params: run.params
+  };
+  return {
+    agentLog: sim.agentLog.map(row => ({ ...row, ...tags })),
+    obligationLog: sim.obligationLog.map(row => ({ ...row, ...tags })),
+    metricsLog: sim.log.map(row => ({ ...row, ...tags })),
+    biographyLog: plan.logAgentBiographies ? biographyLog().map(row => ({ ...row, ...tags })) : null,
+    falsifyLog: sim.falsifyEvents.map(row => ({ ...row, ...tags })),
+    repairLog: sim.repairLog.map(row => ({ ...row, ...tags })),
+    groupEventLog: sim.groupEventLog.map(row => ({ ...row, ...tags })),
+    learningLog: sim.acknowledgmentLog.map(row => ({ ...row, ...tags })),
+    trustLog: (sim.recordTrustGraphs ? sim.trustGraphLog : [trustGraph()]).map(graph => ({ ...graph, ...tags })),
+    record: {
+      run: run.run,
+      scenario: run.scenario,
+      replicate: run.replicate,
+      toggles: {
+        enableMoralRepair: tags.enableMoralRepair,
+        enableDirectedEmergence: tags.enableDirectedEmergence,
+        enableNonReciprocalTargeting: tags.enableNonReciprocalTargeting
+      },
+      params: run.params,
+      seed: sim.seed,
+      generations: sim.generation
+    }
+  };
+}
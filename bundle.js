@@ -0,0 +1,271 @@
+// bundle.js
+//
+// Self-describing exports.  A bundle packs every log of a run or batch
+// into a single ZIP archive together with manifest.json, which records
+// what produced the data: the full resolved configuration (SIM_CONFIG,
+// TOGGLES, advancedSettings, the simulation flags), the norm registry
+// definitions, the seed and toggles of every run, timestamps and a
+// description of each file.  The manifest's `config` is exactly what
+// exportModelConfig() returns, so importModelConfig() can load it to
+// rerun the same configuration.
+//
+// The archive is written without compression and without dependencies
+// so that it builds the same way in the browser, in worker.js and in
+// run.js under Node.
+//
+// Bundle contents for a label such as 'pluralist' or 'batch_runs':
+//   manifest.json
+//   agentLog_<label>.csv, obligationLog_<label>.csv
+//   metrics_<label>.csv/.json, falsifiability_<label>.csv/.json
+//   biographies_<label>.csv/.json   (unless biographies were left out)
+//   repairs_<label>.csv/.json       moral repair attempts and repair rates
+//   groupEvents_<label>.csv/.json   group formations, merges, schisms, hostilities and truces
+//   learning_<label>.csv/.json      acknowledgments adopted or dropped through norm learning
+//   interventions_<label>.csv/.json interventions made on a running world (single runs only)
+//   trustEdges_<label>.csv, trustNodes_<label>.csv
+//                                   trust graph as edge and node lists
+//   trustGraph_<label>.graphml      trust graph, one <graph> per snapshot
+//   trustGraph_<label>.gexf         trust graph for Gephi, dynamic when every
+//                                   generation was recorded; a batch writes
+//                                   trustGraph_<label>_run<N>.gexf per run
+
+import { normTypes } from './config.js';
+import { normRegistry } from './norms.js';
+import { exportModelConfig } from './settings.js';
+import { sim, runContext, biographyLog, trustGraph } from './simulation.js';
+import {
+  CSV_SCHEMA_VERSION, buildAgentLogCSV, buildObligationLogCSV, buildMetricsCSV, buildMetricsJSON,
+  buildBiographyCSV, buildBiographyJSON, buildFalsifyCSV, buildFalsifyJSON, buildRepairCSV, buildRepairJSON,
+  buildGroupEventsCSV, buildGroupEventsJSON, buildLearningCSV, buildLearningJSON, buildInterventionsCSV, buildInterventionsJSON, buildTrustEdgesCSV, buildTrustNodesCSV, buildTrustGraphML, buildTrustGEXF
+} from './exporter.js';
+
+// Description of each kind of file, keyed by the prefix of its name
+const FILE_DESCRIPTIONS = {
+  agentLog: 'One row per living agent and generation: acknowledgments, outcomes, trust and traits',
+  obligationLog: 'One row per resolved obligation: parties, norm, outcome and reason',
+  metrics: 'Per-generation aggregate metrics (the log behind the debt/conflict graph)',
+  biographies: 'Per-generation biography of every agent, dead agents included',
+  falsifiability: 'Acknowledgment changes seen by the falsifiability monitor, with their cause',
+  repairs: 'Moral repair attempts and their outcome; the JSON adds repair rates per norm and group',
+  groupEvents: 'Affiliation group lifecycle: formations, dissolutions, merges, schisms, hostilities and truces',
+  learning: 'Acknowledgments adopted or dropped through norm learning, with their cause and pressure',
+  interventions: 'Interventions made while the run was going: moved agents, flipped or imposed norms, removed regions and newcomers',
+  trustEdges: 'Trust graph edge list: trust of each living agent in another and the last obligation status',
+  trustNodes: 'Trust graph node list: affiliation, norm preference, acknowledgments, role and vulnerability',
+  trustGraph: 'Trust graph with node and edge attributes (GraphML: one graph per snapshot; GEXF: dynamic over generations)'
+};
+
+/**
+ * Build the export files of a run or batch.  Logs may be left out by
+ * passing null (biographies of a batch without logAgentBiographies).
+ *
+ * @param {string} label Name part of every file, e.g. the scenario
+ * @param {Object} logs {agentLog, obligationLog, metricsLog, biographyLog,
+ *        falsifyLog, repairLog, groupEventLog, learningLog, interventionLog, trustLog}
+ * @param {Object} [context] Run-level values for rows that lack them
+ *        (see runContext() in simulation.js)
+ * @returns {Array<{name:string, text:string, rows:number, description:string}>}
+ */
+export function logFiles(label, logs, context = {}) {
+  const files = [];
+  const add = (prefix, extension, log, build, prefixText = '') => {
+    if (!log) return;
+    files.push({
+      name: `${prefix}_${label}.${extension}`,
+      text: prefixText + build(log, context),
+      rows: log.length,
+      description: FILE_DESCRIPTIONS[prefix]
+    });
+  };
+  add('agentLog', 'csv', logs.agentLog, buildAgentLogCSV);
+  // Prepend BOM for Excel compatibility, as the browser download does
+  add('obligationLog', 'csv', logs.obligationLog, buildObligationLogCSV, '\ufeff');
+  add('metrics', 'csv', logs.metricsLog, buildMetricsCSV);
+  add('metrics', 'json', logs.metricsLog, buildMetricsJSON);
+  add('biographies', 'csv', logs.biographyLog, buildBiographyCSV);
+  add('biographies', 'json', logs.biographyLog, buildBiographyJSON);
+  add('falsifiability', 'csv', logs.falsifyLog, buildFalsifyCSV);
+  add('falsifiability', 'json', logs.falsifyLog, buildFalsifyJSON);
+  add('repairs', 'csv', logs.repairLog, buildRepairCSV);
+  add('repairs', 'json', logs.repairLog, buildRepairJSON);
+  add('groupEvents', 'csv', logs.groupEventLog, buildGroupEventsCSV);
+  add('groupEvents', 'json', logs.groupEventLog, buildGroupEventsJSON);
+  add('learning', 'csv', logs.learningLog, buildLearningCSV);
+  add('learning', 'json', logs.learningLog, buildLearningJSON);
+  add('interventions', 'csv', logs.interventionLog, buildInterventionsCSV);
+  add('interventions', 'json', logs.interventionLog, buildInterventionsJSON);
+  add('trustEdges', 'csv', logs.trustLog, buildTrustEdgesCSV);
+  add('trustNodes', 'csv', logs.trustLog, buildTrustNodesCSV);
+  add('trustGraph', 'graphml', logs.trustLog, buildTrustGraphML);
+  // GEXF holds a single graph, so a batch gets one file per run
+  const runs = groupBy(logs.trustLog || [], graph => graph.run);
+  if (runs.size === 1) {
+    add('trustGraph', 'gexf', logs.trustLog, buildTrustGEXF);
+  } else {
+    for (const [run, graphs] of runs) {
+      files.push({
+        name: `trustGraph_${label}_run${run}.gexf`,
+        text: buildTrustGEXF(graphs, context),
+        rows: graphs.length,
+        description: FILE_DESCRIPTIONS.trustGraph
+      });
+    }
+  }
+  return files;
+}
+
+// Group items by key, keeping first-appearance order
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Describe a run or batch: what produced the data and what each file
+ * holds.  Call after the last run so that the configuration is the one
+ * the batch restored (the swept values are listed per run).
+ *
+ * @param {Object} options
+ * @param {string} options.kind 'run' or 'batch'
+ * @param {string} options.startedAt ISO time the run or batch started
+ * @param {Array} options.runs One {run, scenario, replicate, toggles, params,
+ *        seed, generations} per run
+ * @param {Object} [options.spec] The batch spec, for batches
+ * @param {Array} options.files Entries of logFiles()
+ * @returns {Object} The manifest
+ */
+export function buildManifest({ kind, startedAt, runs, spec = null, files }) {
+  return {
+    schemaVersion: CSV_SCHEMA_VERSION,
+    kind,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    runs,
+    ...(spec ? { spec } : {}),
+    config: exportModelConfig(),
+    norms: normTypes.map(name => {
+      const entry = normRegistry[name] || {};
+      return {
+        name,
+        color: entry.color,
+        custom: !!entry.custom,
+        enabled: !entry.disabled,
+        // Norms without rules use defaultEnforce() (see norms.js)
+        rules: entry.rules ?? null
+      };
+    }),
+    files: files.map(({ name, rows, description }) => ({ name, rows, description }))
+  };
+}
+
+/**
+ * Build the bundle of a run or batch: its files, its manifest and the
+ * ZIP archive holding both.
+ *
+ * @param {string} label Name part of every file, e.g. the scenario
+ * @param {Object} logs See logFiles()
+ * @param {Object} options See buildManifest(); also `context`, the
+ *        run-level values passed to logFiles()
+ * @returns {Object} {files, manifest, zip} with zip a Uint8Array
+ */
+export function buildBundle(label, logs, { context = {}, ...options }) {
+  const files = logFiles(label, logs, context);
+  const manifest = buildManifest({ ...options, files });
+  const zip = zipFiles([{ name: 'manifest.json', text: JSON.stringify(manifest, null, 2) }, ...files]);
+  return { files, manifest, zip };
+}
+
+/**
+ * Build the bundle of the current single run from the simulation's
+ * own logs (see buildBundle()).  The files are named after the
+ * scenario.
+ *
+ * @returns {Object} {files, manifest, zip}
+ */
+export function buildRunBundle() {
+  const context = runContext();
+  const { scenario, seed, ...toggles } = context;
+  return buildBundle(scenario, {
+    agentLog: sim.agentLog,
+    obligationLog: sim.obligationLog,
+    metricsLog: sim.log,
+    biographyLog: biographyLog(),
+    falsifyLog: sim.falsifyEvents,
+    repairLog: sim.repairLog,
+    groupEventLog: sim.groupEventLog,
+    learningLog: sim.acknowledgmentLog,
+    interventionLog: sim.interventionLog,
+    trustLog: [trustGraph()]
+  }, {
+    context,
+    kind: 'run',
+    startedAt: sim.startedAt,
+    runs: [{ run: 1, scenario, replicate: 1, toggles, params: {}, seed, generations: sim.generation }]
+  });
+}
+
+// CRC-32 (IEEE) lookup table for the ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack text files into an uncompressed ZIP archive.  Names are stored
+ * as UTF-8 and every entry carries the current time.
+ *
+ * @param {Array<{name:string, text:string}>} files Files to pack
+ * @returns {Uint8Array} The archive
+ */
+export function zipFiles(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const entries = files.map(({ name, text }) => {
+    const data = encoder.encode(text);
+    return { name: encoder.encode(name), data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = value => { view.setUint16(pos, value, true); pos += 2; };
+  const u32 = value => { view.setUint32(pos, value, true); pos += 4; };
+  const bytes = value => { out.set(value, pos); pos += value.length; };
+  // Fields shared by the local and central headers: version needed,
+  // flags (bit 11: UTF-8 names), method 0 (stored), time, date, CRC,
+  // sizes and name length
+  const common = e => {
+    u16(20); u16(0x0800); u16(0); u16(time); u16(date);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length);
+  };
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(pos);
+    u32(0x04034b50); common(e); u16(0);
+    bytes(e.name); bytes(e.data);
+  }
+  const centralStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014b50); u16(20); common(e);
+    u16(0); u16(0); u16(0); u16(0); u32(0); u32(offsets[i]);
+    bytes(e.name);
+  });
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralSize); u32(centralStart); u16(0);
+  return out;
+}
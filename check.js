@@ -0,0 +1,143 @@
+// check.js
+//
+// Headless sanity checks for model behaviour that is easy to break
+// without noticing: each check runs a short seeded simulation under
+// plain Node and reports what did not happen as expected.  Run with
+//
+//   node check.js
+//
+// The process exits with status 1 if any check fails.  Checks restore
+// the configuration they change, so they can run in any order.
+
+import { SIM_CONFIG } from './config.js';
+import { normRegistry } from './norms.js';
+import { sim, advancedSettings, resetSimulation, stepSimulation, addCustomNorm, removeCustomNorm } from './simulation.js';
+import { validateNormSpec } from './settings.js';
+import { buildBatchPlan, applyBatchRun, finishBatch } from './batch.js';
+
+// Run the current configuration from a fresh seeded start until the
+// given generation is reached
+function runGenerations(generations, seed = 'check') {
+  advancedSettings.seed = seed;
+  resetSimulation();
+  while (sim.generation < generations) stepSimulation();
+}
+
+// Register a custom norm through the same validation as settings files
+function defineNorm(spec) {
+  const { norm, errors } = validateNormSpec(spec);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return addCustomNorm(norm.name, norm.color, norm.rules);
+}
+
+/**
+ * A custom norm with a short expiry produces expired obligations, also
+ * when the configured lifespan is as short.
+ *
+ * @returns {Array<string>} Failure messages
+ */
+function checkCustomNormExpiry() {
+  const rules = SIM_CONFIG.enforcementRules;
+  const saved = { expirationBase: rules.expirationBase, expirationRandom: rules.expirationRandom };
+  Object.assign(rules, { expirationBase: 1, expirationRandom: 0 });
+  const name = defineNorm({ name: 'brief', color: [90, 90, 90], expiry: 1 });
+  try {
+    runGenerations(2);
+    const rows = sim.obligationLog.filter(row => row.norm === name);
+    const expired = rows.filter(row => row.status === 'expired' && row.reason === 'expired').length;
+    if (rows.length === 0) return ['no obligation was issued under the norm'];
+    if (expired === 0) return [`none of ${rows.length} obligations with expiry 1 expired`];
+    return [];
+  } finally {
+    removeCustomNorm(name);
+    Object.assign(rules, saved);
+  }
+}
+
+/**
+ * Agents' acknowledgment flags for a norm with acknowledgedBy rules
+ * match the rules, for the initial population and for offspring.
+ *
+ * @returns {Array<string>} Failure messages
+ */
+function checkAcknowledgedByFlags() {
+  const name = defineNorm({ name: 'ruled', color: [20, 120, 90], acknowledgedBy: { roles: ['initiator'] } });
+  try {
+    runGenerations(3);
+    const { acknowledgeFn } = normRegistry[name];
+    const wrong = sim.agents.filter(agent => agent[`${name}Acknowledges`] !== acknowledgeFn(agent));
+    const offspring = sim.agents.filter(agent => agent.birthGeneration > 0).length;
+    const errors = [];
+    if (wrong.length > 0) errors.push(`${wrong.length} of ${sim.agents.length} agents have a flag that contradicts the rule`);
+    if (offspring === 0) errors.push('no offspring were born, so inheritance was not checked');
+    return errors;
+  } finally {
+    removeCustomNorm(name);
+  }
+}
+
+/**
+ * Each batch run starts from the toggles in effect before the batch,
+ * overridden only by its own combo, and the toggles are restored when
+ * the batch ends.
+ *
+ * @returns {Array<string>} Failure messages
+ */
+function checkBatchToggles() {
+  const flags = ['enableMoralRepair', 'enableDirectedEmergence', 'enableNonReciprocalTargeting'];
+  const saved = Object.fromEntries(flags.map(flag => [flag, sim[flag]]));
+  Object.assign(sim, { enableMoralRepair: false, enableDirectedEmergence: false, enableNonReciprocalTargeting: false });
+  const errors = [];
+  try {
+    const plan = buildBatchPlan({ scenarios: ['pluralist'], toggleCombos: [{ moralRepair: true }, { directed: true }], replicates: 1 });
+    applyBatchRun(plan.runs[0], plan);
+    applyBatchRun(plan.runs[1], plan);
+    if (sim.enableMoralRepair) errors.push('the second combo inherited moralRepair from the first');
+    if (!sim.enableDirectedEmergence) errors.push('the second combo did not set directed');
+    finishBatch(plan);
+    if (sim.enableDirectedEmergence) errors.push('the toggles were not restored after the batch');
+    return errors;
+  } finally {
+    Object.assign(sim, saved);
+  }
+}
+
+/**
+ * A population of reactive agents keeps issuing obligations.  Reactive
+ * agents mostly answer those who obliged them, so without initiative of
+ * their own the first generation's contact dies out.
+ *
+ * @returns {Array<string>} Failure messages
+ */
+function checkReactivePopulation() {
+  advancedSettings.seed = 'check';
+  resetSimulation();
+  const issued = [];
+  while (sim.generation < 8) {
+    sim.agents.forEach(agent => { agent.moralStance = 'reactive'; });
+    const generation = sim.generation;
+    stepSimulation();
+    if (sim.generation !== generation) issued.push(sim.obligationVectors.length);
+  }
+  const [first] = issued, last = issued[issued.length - 1];
+  return last >= first / 2 ? [] : [`obligations issued per generation fell from ${first} to ${last}`];
+}
+
+const CHECKS = [
+  ['custom norm expiry', checkCustomNormExpiry],
+  ['acknowledgedBy flags', checkAcknowledgedByFlags],
+  ['batch toggles', checkBatchToggles],
+  ['reactive population', checkReactivePopulation]
+];
+
+let failed = 0;
+for (const [label, check] of CHECKS) {
+  const errors = check();
+  console.log(`${errors.length === 0 ? 'ok  ' : 'FAIL'} ${label}`);
+  errors.forEach(message => console.log(`     ${message}`));
+  if (errors.length > 0) failed++;
+}
+if (failed > 0) {
+  console.log(`${failed} of ${CHECKS.length} checks failed`);
+  process.exit(1);
+}
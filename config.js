@@ -55,17 +55,76 @@ export const SIM_CONFIG = {
   // Obligation settings control how many vectors are generated, their
   // proximity filter and maximum count.  These values mirror those in
   // the original sketch but are surfaced here for easy tuning.
+  // directedTrustWeight applies when directed emergence is enabled: each
+  // unit of the source's trust in its target adds this much to the
+  // obligation's strength (distrust subtracts it).
   obligation: {
     proximityThreshold: 150,
     countMultiplier: 2,
-    maxVectors: 500
+    maxVectors: 500,
+    directedTrustWeight: 0.1,
+    // With vulnerability targeting enabled, targets are drawn with
+    // probability proportional to vulnerability raised to this power.
+    // Higher values concentrate obligations on the most vulnerable.
+    vulnerabilityExponent: 3
+  },
+
+  // Behavioural traits.  An agent's role decides how it takes part in
+  // obligations, its temperament (0..1) how strongly it acts on that
+  // role, and its moral stance whether it seeks obligations out:
+  //   initiators   are chosen as obligation sources issueWeight times
+  //                as often as other roles;
+  //   responders   add up to responderBonus to the chance of fulfilling
+  //                obligations addressed to them;
+  //   mediators    (with moral repair on) may each generation repair a
+  //                failed obligation between two nearby agents, with
+  //                probability up to mediationChance;
+  //   disruptors   deny obligations from sources they do not trust,
+  //                with probability up to disruptorDenial.
+  // Proactive agents look for targets up to proactiveReach times the
+  // proximity threshold away; reactive agents issue obligations back to
+  // agents who obliged them in the previous generation.  A reactive agent
+  // nobody obliged takes the first step towards an agent within the
+  // proximity threshold with probability reactiveInitiative, so that a
+  // mostly reactive population does not fall silent.
+  // roleMix gives the relative share of each role among new agents.
+  traits: {
+    roleMix: { initiator: 1, responder: 1, mediator: 1, disruptor: 1 },
+    issueWeight: 3,
+    responderBonus: 0.3,
+    mediationChance: 0.3,
+    disruptorDenial: 0.8,
+    proactiveReach: 1.5,
+    reactiveInitiative: 0.1
+  },
+
+  // Norm learning lets living agents adopt or drop acknowledgment of a
+  // norm.  Each generation an agent weighs two signals per norm, each in
+  // [-1, 1]: the remembered outcomes of the obligations it issued under
+  // that norm (fulfilled or repaired versus denied or expired, weighted
+  // by memory) and the acknowledgments of the peers it trusts (weighted
+  // by trust).  Pressure = outcomeWeight × outcome + peerWeight × peers.
+  // Positive pressure may convert an agent to the norm and negative
+  // pressure may make it drop the norm, with probability
+  //   rate × |pressure| × (1 − momentumResistance × culturalMomentum).
+  // Set rate to 0 to fix acknowledgments for an agent's lifetime.
+  learning: {
+    rate: 0.2,
+    outcomeWeight: 0.6,
+    peerWeight: 0.4,
+    momentumResistance: 0.8
   },
 
   // Enforcement rules control the temporal dynamics of obligations.
-  // expirationBase defines the minimum lifespan of an obligation in
-  // generations; expirationRandom adds a uniformly random range to
-  // create variability.  Should you wish to experiment with longer or
-  // shorter obligations, adjust these values.  proximityThreshold is
+  // expirationBase defines the minimum number of ticks an obligation
+  // may stay pending, counted from the tick it is issued, before it
+  // expires; expirationRandom adds a uniformly random range to create
+  // variability.  A line needs roughly 30 to 60 ticks to reach its
+  // target in headless runs, so at these defaults many obligations
+  // expire before they arrive, as in the original model.  An
+  // obligation still pending when its generation ends expires
+  // regardless.  Should you wish to experiment with longer or shorter
+  // obligations, adjust these values.  proximityThreshold is
   // duplicated here for completeness but overridden by advanced
   // settings if provided by the GUI.
   enforcementRules: {
@@ -83,11 +142,16 @@ export const SIM_CONFIG = {
     decrement: 1
   },
 
-  // Memory decay influences how long obligations remain in an
-  // agent's relational ledger.  Larger values yield longer
-  // memories; lower values cause agents to forget past interactions
-  // more quickly.  This field is reserved for future extensions.
+  // Memory decay sets how quickly agents forget.  Every generation an
+  // agent's trust scores and the weight of its resolved obligations
+  // shrink so that they halve every
+  // memoryHalfLife × memoryLength × memoryDecay generations.  Agents
+  // with a short memoryLength therefore forget fastest.  Larger
+  // memoryDecay values yield longer memories; lower values cause
+  // agents to forget past interactions more quickly, and 0 forgets
+  // them after a single generation.
   memoryDecay: 1.0,
+  memoryHalfLife: 10,
 
   // Reproduction settings govern how often agents reproduce, how strongly
   // conflict influences mutation and how norm preferences are inherited.
@@ -107,10 +171,62 @@ export const SIM_CONFIG = {
     ageThreshold: 5
   },
 
-  // The probability of a moral repair event occurring when obligations are
-  // denied or expire.  A higher value increases the likelihood that
-  // previously failed obligations will be repaired.
-  repairChance: 0.1
+  // Moral repair (with the Moral Repair toggle on).  After each
+  // generation every grievance -- an obligation that was denied or
+  // expired -- has repairChance of prompting the agent who failed it to
+  // issue a repair obligation back to the wronged party.  Mediators may
+  // also broker repairs between the agents around them (see
+  // traits.mediationChance).  A repair obligation is enforced like any
+  // other, under repair.norm ('same': the norm of the broken
+  // obligation) with repair.strength (plus mediationBonus when
+  // brokered), and stays pending up to repair.expiry ticks from the
+  // tick it is issued.  A repair line takes several dozen ticks to
+  // reach the wronged party, so a much shorter expiry lets every repair
+  // expire before it can be answered.
+  //   accepted (fulfilled): the grievance is marked repaired, which
+  //     clears its contradiction debt, both parties gain trustRestore
+  //     trust in each other and mediatorTrust in the broker;
+  //   rejected or expired: both parties lose failurePenalty trust in
+  //     each other, the grievance gains failureDebt and a rejected
+  //     repair weighs on its issuer's conflict (not its debt).
+  // A grievance is offered at most maxAttempts repairs.
+  repairChance: 0.1,
+  repair: {
+    norm: 'same',
+    strength: 0.6,
+    expiry: 50,
+    mediationBonus: 0.2,
+    trustRestore: 1,
+    mediatorTrust: 0.5,
+    failurePenalty: 1,
+    failureDebt: 0.25,
+    maxAttempts: 2
+  },
+  // Affiliation group dynamics (see updateGroupDynamics() in
+  // simulation.js).  Each generation every pair of groups is scored by
+  // the average trust between their members, counting members who
+  // have never dealt with each other as 0.
+  //   Below hostileThreshold the pair is declared hostile and no
+  //     obligations are issued between them.  It makes a truce only
+  //     once its trust climbs above hostileThreshold + hysteresis, so
+  //     pairs near the threshold do not flip every generation.
+  //   Above mergeThreshold for mergeGenerations generations in a row
+  //     the smaller group merges into the larger.
+  // A group splits (schism) when the average trust among members who
+  // have dealt with each other falls below schismThreshold, provided
+  // there are at least as many such relations as members.  The two
+  // members who distrust each other most become the poles, the rest
+  // side with the pole they trust more, and the second pole's faction
+  // leaves under a new label.  Both factions must have at least
+  // schismMinSize members.
+  groups: {
+    mergeThreshold: 3,
+    hostileThreshold: 0.5,
+    hysteresis: 0.25,
+    mergeGenerations: 2,
+    schismThreshold: -0.35,
+    schismMinSize: 4
+  }
 };
 
 // Toggle values control optional behavioural subroutines.  The GUI can
@@ -130,6 +246,10 @@ export const TOGGLES = {
   // their trust relationships.  See sketch.js drawTrustHeatmap() for
   // implementation details.
   showTrustHeatmap: false,
+  // Group timeline panel: a stream graph of affiliation group sizes
+  // with merges and schisms drawn as a genealogy (see sketch.js
+  // drawGroupTimeline()).
+  showGroupTimeline: true,
   enableFalsifiabilityFlags: true
   ,
   // Enable dry-run validation mode.  When this flag is true the
@@ -138,9 +258,10 @@ export const TOGGLES = {
 };
 
 // Batch settings describe how to iterate through a collection of scenarios
-// and toggle combinations without user interaction.  These values are
-// consumed by external scripts (not provided here) that perform
-// headless runs of the simulation.
+// and toggle combinations without user interaction.  They are the
+// default batch spec: the GUI's Start Batch button and run.js --batch
+// expand them with buildBatchPlan() in batch.js, and a batch spec file
+// only needs the fields it overrides.
 export const BATCH_SETTINGS = {
   scenarios: ['pluralist', 'authoritarian', 'utopian', 'collapsed', 'anomic'],
   toggleCombos: [
@@ -148,9 +269,18 @@ export const BATCH_SETTINGS = {
     { moralRepair: false, directed: true, targeting: false },
     { moralRepair: true, directed: true, targeting: true }
   ],
+  // Parameter values to sweep, keyed by SIM_CONFIG path (or advanced
+  // setting name), e.g. { 'reproduction.chance': [0.1, 0.25] }.  Every
+  // combination of values is run for each scenario and toggle combo.
+  parameterGrid: {},
+  // Number of runs per scenario × toggle combo × grid point
+  replicates: 1,
   generationsPerRun: 25,
   batchOutputDir: 'output/',
   logAgentBiographies: true,
+  // Capture the trust graph at every generation of every run rather
+  // than only at the end of each run (see trustGraph() in simulation.js)
+  logTrustGraphs: false,
   exportAgentLogCSV: true,
   exportMetaJSON: true,
   suppressCanvasRendering: true
@@ -180,5 +310,36 @@ export const COLORS = {
   }
 };
 
+// Visual settings for agent rendering.  Agent size responds to its
+// social state (trust connections, conflict, debt and momentum), the
+// shape encodes the agent's role and the outline its moral stance.
+// These values only affect drawing and are ignored by headless runs.
+export const VISUALS = {
+  size: {
+    baseRadius: 10,
+    minRadius: 6,
+    maxRadius: 22,
+    easing: 0.1,
+    weights: {
+      trustCount: 0.3,
+      conflict: 0.5,
+      debt: 0.2,
+      momentum: 2
+    }
+  },
+  showTrustHalo: false,
+  haloMaxAlpha: 60,
+  shapesByRole: {
+    initiator: 'triangle',
+    responder: 'circle',
+    mediator: 'hex',
+    disruptor: 'square'
+  },
+  outlineByStance: {
+    reactive: { weight: 1, alpha: 120 },
+    proactive: { weight: 2, alpha: 220 }
+  }
+};
+
 // Expose normTypes separately for convenience in other modules.
 export const normTypes = SIM_CONFIG.normTypes;
\ No newline at end of file
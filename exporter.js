@@ -17,9 +17,11 @@ import { normTypes } from './config.js';
  * @param {Array} agents Array of agents currently alive in the simulation
  * @param {number} generation The current generation number
  * @param {Array} log Array of previous generation entries (will be mutated)
+ * @param {Array} [repairLog] Repair attempts resolved so far in the run
+ *        (sim.repairLog), summarised by summariseRepairs()
  * @returns {Object} The metrics object appended to the log
  */
-export function logGeneration(agents, generation, log) {
+export function logGeneration(agents, generation, log, repairLog = []) {
   const idToAffil = new Map(agents.map(a => [a.id, a.affiliation || null]));
   let totalConflict = 0;
   let totalDebt = 0;
@@ -30,25 +32,27 @@ export function logGeneration(agents, generation, log) {
   let totalRepaired = 0;
 
   // Compute inter‑group conflict: fraction of cross‑group obligations
-  // that were denied or expired.  Count all relational ledger entries
-  // where the source and target belong to different affiliation groups.
+  // that were denied or expired.  Count every resolved obligation in the
+  // agents' histories where the source and target belong to different
+  // affiliation groups.
   let interTotal = 0;
   let interDenied = 0;
  for (const agent of agents) {
-  // Count denied and expired per agent
-  const ledger = Array.from(agent.relationalLedger.entries());
-  totalObligationsIssued += ledger.length;
+  // Count outcomes per agent over every obligation it has issued.
+  // Pending obligations are not counted until they resolve.
   let fulfilledCount = 0;
   let deniedCount = 0;
   let expiredCount = 0;
   let repairedCount = 0;
-  for (const [targetID, status] of ledger) {
+  for (const { targetId, outcome: status } of agent.obligationHistory) {
+    if (status === 'pending') continue;
+    totalObligationsIssued++;
     if (status === 'fulfilled') fulfilledCount++;
     if (status === 'denied') deniedCount++;
     if (status === 'expired') expiredCount++;
     if (status === 'repaired') repairedCount++;
     // Intergroup logic...
-    const targetAffil = idToAffil.get(targetID);
+    const targetAffil = idToAffil.get(targetId);
     if (targetAffil && agent.affiliation && agent.affiliation !== targetAffil) {
       interTotal++;
       if (status === 'denied' || status === 'expired') {
@@ -60,8 +64,8 @@ export function logGeneration(agents, generation, log) {
   totalDenied += deniedCount;
   totalExpired += expiredCount;
   totalRepaired += repairedCount;
-  // CHEAT: Sum contradiction debt as total denied + expired (for display/graph only)
-  totalDebt += deniedCount + expiredCount;
+  // Contradiction debt weighs each grievance by how well it is remembered
+  totalDebt += agent.contradictionDebt || 0;
 }
 
 
@@ -82,6 +86,9 @@ export function logGeneration(agents, generation, log) {
   }
   const emergentNorms = affiliationSet.size;
 
+  const exploitation = computeExploitationByVulnerability(agents);
+  const repairs = summariseRepairs(repairLog);
+
   const entry = {
     generation,
     avgConflict,
@@ -94,12 +101,75 @@ export function logGeneration(agents, generation, log) {
     fulfillmentRate,
     avgRI,
     repairEvents,
-    emergentNorms
+    repairAttempts: repairs.attempts,
+    repairsAccepted: repairs.repaired,
+    repairRate: repairs.rate,
+    // Per norm of the repaired obligation; a <norm>RepairRate column each
+    repairRates: Object.fromEntries(Object.entries(repairs.byNorm).map(([norm, entry]) => [norm, entry.rate])),
+    emergentNorms,
+    ...exploitation
   };
   log.push(entry);
   return entry;
 }
 
+/**
+ * Summarise who imposes and who receives obligations across the
+ * vulnerability spectrum.  Living agents are ranked by vulnerability
+ * and split into four equal-sized quantiles (Q1 least, Q4 most
+ * vulnerable); for each quantile the lifetime totals of obligations
+ * imposed (issued as source) and received (addressed as target) are
+ * reported.  Under vulnerability targeting, received counts concentrate
+ * in Q4 while imposed counts stay flat.
+ *
+ * @param {Array} agents Array of agents currently alive in the simulation
+ * @returns {Object} imposedQ1..imposedQ4 and receivedQ1..receivedQ4
+ */
+function computeExploitationByVulnerability(agents) {
+  const quantiles = 4;
+  const result = {};
+  for (let q = 1; q <= quantiles; q++) {
+    result[`imposedQ${q}`] = 0;
+    result[`receivedQ${q}`] = 0;
+  }
+  const ranked = agents.slice().sort((a, b) => (a.vulnerability || 0) - (b.vulnerability || 0));
+  ranked.forEach((agent, i) => {
+    const q = Math.floor((i * quantiles) / ranked.length) + 1;
+    result[`imposedQ${q}`] += agent.obligationsImposed || 0;
+    result[`receivedQ${q}`] += agent.obligationsReceived || 0;
+  });
+  return result;
+}
+
+/**
+ * Summarise repair attempts (see sim.repairLog): how many were made,
+ * how many the wronged party accepted and the share accepted, overall,
+ * per norm of the obligation being repaired and per affiliation group.
+ * An attempt between two groups counts towards both.
+ *
+ * @param {Array} repairLog Repair attempts, e.g. sim.repairLog
+ * @returns {Object} {attempts, repaired, rate, byNorm, byGroup}, where
+ *          byNorm and byGroup map names to {attempts, repaired, rate}
+ */
+export function summariseRepairs(repairLog) {
+  const tally = () => ({ attempts: 0, repaired: 0, rate: 0 });
+  const summary = { ...tally(), byNorm: {}, byGroup: {} };
+  const count = (entry, repaired) => {
+    entry.attempts++;
+    if (repaired) entry.repaired++;
+  };
+  for (const { norm, fromGroup, toGroup, outcome } of repairLog) {
+    const repaired = outcome === 'repaired';
+    count(summary, repaired);
+    count(summary.byNorm[norm] ??= tally(), repaired);
+    for (const group of new Set([fromGroup, toGroup])) count(summary.byGroup[group] ??= tally(), repaired);
+  }
+  for (const entry of [summary, ...Object.values(summary.byNorm), ...Object.values(summary.byGroup)]) {
+    entry.rate = entry.attempts > 0 ? Number((entry.repaired / entry.attempts).toFixed(3)) : 0;
+  }
+  return summary;
+}
+
 /**
  * Construct an interpretive summary describing the state of the
  * simulation at the most recent generation.  The summary includes
@@ -108,9 +178,10 @@ export function logGeneration(agents, generation, log) {
  * @param {Array} log Array of logged generation entries
   * @param {Array} agents The current agent population
  * @param {string} scenario Name of the scenario (for display)
+ * @param {Array} [repairLog] Repair attempts of the run (sim.repairLog)
  * @returns {string} A HTML string suitable for insertion into a div
  */
-export function generateInterpretiveSummary(log, agents, scenario) {
+export function generateInterpretiveSummary(log, agents, scenario, repairLog = []) {
   const latest = log.length > 0 ? log[log.length - 1] : {};
   const fulfillment = parseFloat(latest.fulfillmentRate || 0);
   const behaviour = fulfillment >= 0.75 ? '🟢 Strong prosocial alignment'
@@ -137,6 +208,10 @@ export function generateInterpretiveSummary(log, agents, scenario) {
     .join(', ') || 'None';
 
   const repairEvents = latest.repairEvents || 0;
+  const repairs = summariseRepairs(repairLog);
+  const repairRates = (groups) => Object.entries(groups)
+    .map(([name, entry]) => `${name}: ${entry.rate.toFixed(2)} (${entry.repaired}/${entry.attempts})`)
+    .join(', ') || 'None';
   const avgTrustSize = agents.length > 0
     ? (agents.reduce((sum, a) => sum + a.trustMap.size, 0) / agents.length).toFixed(2)
     : '0';
@@ -152,6 +227,10 @@ export function generateInterpretiveSummary(log, agents, scenario) {
     - Intergroup Conflict: ${latest.avgConflict ?? 'n/a'}<br>
     - Repair Events: ${repairEvents}<br>
     - Avg Trust Connections: ${avgTrustSize}<br><br>
+    <strong>🩹 Moral Repair:</strong><br>
+    - Repairs Accepted: ${repairs.repaired} of ${repairs.attempts} (${repairs.rate.toFixed(2)})<br>
+    - By Norm: ${repairRates(repairs.byNorm)}<br>
+    - By Group: ${repairRates(repairs.byGroup)}<br><br>
     <strong>📚 Norm Acknowledgment:</strong><br>
     ${normSpread}<br><br>
     <strong>🤝 Top Trusted Agents:</strong><br>
@@ -160,58 +239,141 @@ export function generateInterpretiveSummary(log, agents, scenario) {
 }
 
 /**
- * Download the agent log as a CSV file.  The file is assembled on
- * the fly and offered via a temporary anchor element.  The CSV
- * header mirrors the fields written by the sketch.
+ * Version of the column layout written by buildAgentLogCSV(),
+ * buildObligationLogCSV() and the metrics, biography and
+ * falsifiability exports.  Every CSV row carries it in a schemaVersion
+ * column (JSON files at their top level) so analysis scripts can tell files of different layouts
+ * apart.  Bump it whenever a column is renamed or changes meaning.
+ *  1  fixed headers with the four built-in norms only
+ *  2  columns derived from the log rows, RFC 4180 quoting
+ */
+export const CSV_SCHEMA_VERSION = 2;
+
+// Toggle columns written with every row.  Rows that lack them (single
+// runs of the obligation log) take the values from the run context.
+const TOGGLE_COLUMNS = ['enableMoralRepair', 'enableDirectedEmergence', 'enableNonReciprocalTargeting'];
+
+/**
+ * Escape one value as an RFC 4180 field.  Fields containing a comma,
+ * double quote or line break are wrapped in double quotes with inner
+ * quotes doubled; null and undefined become empty fields.
  *
- * @param {Array} agentLog Array of per-agent records captured during the run
- * @param {string} scenario The scenario name used to form the filename
+ * @param {*} value Any value; non-strings are converted with String()
+ * @returns {string} The field text
+ */
+export function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Derive the columns of a log from its rows.  Columns appear in order
+ * of first appearance, so rows captured after a norm was added simply
+ * contribute a new column.  Nested objects named in `expand` (the
+ * per-norm acknowledgments, the swept batch parameters) become one
+ * column per key, kept together at the position where the object
+ * first appears.
+ *
+ * @param {Array} log Agent or obligation log rows
+ * @param {Object} expand Maps a nested field to a function naming the
+ *        column of each of its keys
+ * @returns {Array<{key:string, name:string, value:Function}>} Columns;
+ *          expanded ones also name their `group`
+ */
+function deriveColumns(log, expand = {}) {
+  // Plain fields and nested groups in order of first appearance, then
+  // the keys seen in each group
+  const slots = [];
+  const groups = {};
+  for (const row of log) {
+    for (const [key, value] of Object.entries(row)) {
+      if (!slots.includes(key)) slots.push(key);
+      if (key in expand) {
+        groups[key] ??= new Set();
+        Object.keys(value || {}).forEach(sub => groups[key].add(sub));
+      }
+    }
+  }
+  return slots.flatMap(key => key in expand
+    ? [...(groups[key] || [])].map(sub => ({ key: sub, group: key, name: expand[key](sub), value: row => row[key]?.[sub] }))
+    : [{ key, name: key, value: row => row[key] }]);
+}
+
+/**
+ * Write rows as CSV text with a header line and CRLF line endings.
+ * The first column is always schemaVersion; `context` supplies
+ * constant values for rows that lack a field of their own and adds a
+ * column for any of its fields the rows never carry, named by
+ * `headerName` so that it follows the naming of the other columns.
+ *
+ * @param {Array} log Log rows
+ * @param {Array} columns Columns from deriveColumns()
+ * @param {Object} context Run-level values, e.g. the seed and toggles
+ * @param {Function} [headerName] Names the column of a context field
+ * @returns {string} The CSV document
  */
-export async function downloadAgentLog(agentLog, scenario) {
-  // Always use a fixed, full header to guarantee columns in all cases
-  let header = [
-    "generation","scenario","id","normPref","aprioriAck","legalAck","careAck","epistemicAck",
-    "attempts","successes","conflict","debt","momentum","trustCount","trustMax",
-    "fulfilled","denied","expired","repaired","role","temperament","moralStance",
-    "scenarioGroup","memoryLength","affiliation",
-    "enableMoralRepair","enableDirectedEmergence","enableNonReciprocalTargeting","batchRun"
-  ].join(",") + "\n";
-
-  let csv = header;
-  for (const row of agentLog) {
-    csv += [
-      row.generation,
-      row.scenario,
-      row.id,
-      row.normPref,
-      row.aprioriAck,
-      row.legalAck,
-      row.careAck,
-      row.epistemicAck,
-      row.attempts,
-      row.successes,
-      row.conflict,
-      row.debt,
-      row.momentum,
-      row.trustCount,
-      row.trustMax,
-      row.fulfilled,
-      row.denied,
-      row.expired,
-      row.repaired,
-      row.role,
-      row.temperament,
-      row.moralStance,
-      row.scenarioGroup,
-      row.memoryLength,
-      row.affiliation,
-      row.enableMoralRepair,
-      row.enableDirectedEmergence,
-      row.enableNonReciprocalTargeting,
-      row.batchRun
-    ].join(",") + "\n";
+function writeCSV(log, columns, context, headerName = key => key) {
+  const present = new Set(columns.filter(column => !column.group).map(column => column.key));
+  const all = [
+    { name: 'schemaVersion', value: () => CSV_SCHEMA_VERSION },
+    ...columns.map(column => ({
+      ...column,
+      value: row => column.value(row) ?? (column.group ? undefined : context[column.key])
+    })),
+    ...Object.keys(context)
+      .filter(key => !present.has(key))
+      .map(key => ({ name: headerName(key), value: () => context[key] }))
+  ];
+  const lines = [all.map(column => csvField(column.name)).join(',')];
+  for (const row of log) {
+    lines.push(all.map(column => csvField(column.value(row))).join(','));
   }
-  const fileName = `agentLog_${scenario}.csv`;
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Assemble the agent log CSV text.  Columns follow the fields written
+ * by the simulation: one <norm>Ack column per norm in the log (custom
+ * norms included), every recorded agent trait, the toggles and, for
+ * batch logs, the run tags and one column per swept parameter.
+ * Shared by the browser download and the headless runner so both
+ * produce identical files.
+ *
+ * @param {Array} agentLog Array of per-agent records captured during the run
+ * @param {Object} [context] Run-level values for rows that lack them
+ *        (see runContext() in simulation.js)
+ * @returns {string} The CSV document
+ */
+export function buildAgentLogCSV(agentLog, context = {}) {
+  const columns = deriveColumns(agentLog, {
+    acks: norm => `${norm}Ack`,
+    params: name => name
+  });
+  return writeCSV(agentLog, columns, context);
+}
+
+// File types offered by the save dialog of downloadFile()
+const FILE_TYPES = {
+  csv: { description: 'CSV file', mime: 'text/csv', extension: '.csv' },
+  json: { description: 'JSON file', mime: 'application/json', extension: '.json' },
+  zip: { description: 'ZIP archive', mime: 'application/zip', extension: '.zip' },
+  graphml: { description: 'GraphML file', mime: 'application/graphml+xml', extension: '.graphml' },
+  gexf: { description: 'GEXF file', mime: 'application/gexf+xml', extension: '.gexf' }
+};
+
+/**
+ * Offer text as a file download.  Uses the File System Access API
+ * when available so the user can choose a location, and falls back to
+ * a temporary anchor element otherwise.
+ *
+ * @param {string|Uint8Array} text The file contents
+ * @param {string} fileName Suggested file name
+ * @param {string} label Text of the temporary anchor element
+ * @param {string} kind Key of FILE_TYPES
+ */
+async function downloadFile(text, fileName, label, kind) {
+  const { description, mime, extension } = FILE_TYPES[kind];
   // Try to use the File System Access API so the user can choose a location
   if (typeof window !== 'undefined' && window.showSaveFilePicker) {
     try {
@@ -219,13 +381,13 @@ export async function downloadAgentLog(agentLog, scenario) {
         suggestedName: fileName,
         types: [
           {
-            description: 'CSV file',
-            accept: { 'text/csv': ['.csv'] }
+            description,
+            accept: { [mime]: [extension] }
           }
         ]
       });
       const writable = await handle.createWritable();
-      await writable.write(csv);
+      await writable.write(text);
       await writable.close();
       return;
     } catch (err) {
@@ -233,67 +395,734 @@ export async function downloadAgentLog(agentLog, scenario) {
     }
   }
   // Fallback: use an anchor tag to trigger a download to the default location
-  const blob = new Blob([csv], { type: 'text/csv' });
+  const blob = new Blob([text], { type: mime });
   const url = URL.createObjectURL(blob);
-  const link = createA(url, 'Download Agent Log');
+  const link = createA(url, label);
   link.attribute('download', fileName);
   link.hide();
   link.elt.click();
 }
 
+/**
+ * Offer CSV text as a file download (see downloadFile()).
+ *
+ * @param {string} csv The file contents
+ * @param {string} fileName Suggested file name
+ * @param {string} [label] Text of the temporary anchor element
+ */
+export async function downloadCSV(csv, fileName, label = 'Download CSV') {
+  await downloadFile(csv, fileName, label, 'csv');
+}
+
+/**
+ * Offer JSON text as a file download (see downloadFile()).
+ *
+ * @param {string} json The file contents
+ * @param {string} fileName Suggested file name
+ * @param {string} [label] Text of the temporary anchor element
+ */
+export async function downloadJSON(json, fileName, label = 'Download JSON') {
+  await downloadFile(json, fileName, label, 'json');
+}
+
+/**
+ * Offer a ZIP archive as a file download (see downloadFile() and
+ * bundle.js).
+ *
+ * @param {Uint8Array} zip The archive
+ * @param {string} fileName Suggested file name
+ * @param {string} [label] Text of the temporary anchor element
+ */
+export async function downloadZip(zip, fileName, label = 'Download ZIP') {
+  await downloadFile(zip, fileName, label, 'zip');
+}
+
+/**
+ * Offer a file as a download, its type chosen by the extension of its
+ * name (see FILE_TYPES); unknown extensions are offered as CSV.
+ *
+ * @param {string|Uint8Array} text The file contents
+ * @param {string} fileName File name, e.g. trustGraph_pluralist.graphml
+ * @param {string} [label] Text of the temporary anchor element
+ */
+export async function downloadNamedFile(text, fileName, label = 'Download File') {
+  const extension = fileName.slice(fileName.lastIndexOf('.') + 1);
+  await downloadFile(text, fileName, label, extension in FILE_TYPES ? extension : 'csv');
+}
+
+/**
+ * Download the agent log as a CSV file.  The file is assembled on
+ * the fly and offered via downloadCSV().
+ *
+ * @param {Array} agentLog Array of per-agent records captured during the run
+ * @param {string} scenario The scenario name used to form the filename
+ */
+export async function downloadAgentLog(agentLog, scenario, context = {}) {
+  await downloadCSV(buildAgentLogCSV(agentLog, context), `agentLog_${scenario}.csv`, 'Download Agent Log');
+}
+
+// Header names of the obligation log, which predates the agent log's
+// camel-case columns.  Fields not listed here (reason, mediator, ...)
+// are capitalised; swept parameters keep their dotted names.
+const OBLIGATION_COLUMNS = {
+  generation: 'Generation',
+  from: 'From',
+  to: 'To',
+  norm: 'NormType',
+  status: 'Status',
+  scenario: 'Scenario',
+  seed: 'Seed',
+  run: 'Run',
+  batchScenario: 'BatchScenario',
+  replicate: 'Replicate',
+  enableMoralRepair: 'EnableMoralRepair',
+  enableDirectedEmergence: 'EnableDirectedEmergence',
+  enableNonReciprocalTargeting: 'EnableNonReciprocalTargeting'
+};
+
+// Header name of an obligation log field
+function obligationHeader(key) {
+  return OBLIGATION_COLUMNS[key] ?? key[0].toUpperCase() + key.slice(1);
+}
+
+/**
+ * Assemble the obligation log CSV text.  The log is expected to
+ * contain objects with generation, from, to, norm and status
+ * properties; any further fields (reason, mediator, batch tags) get
+ * columns of their own.  No Byte Order Mark is included; callers
+ * writing a file prepend one for Excel compatibility.
+ *
+ * @param {Array} obligationLog Array of obligation event records
+ * @param {Object} [context] Run-level values such as the seed and
+ *        toggles, used for entries that do not carry their own (batch
+ *        rows do); see runContext() in simulation.js
+ * @returns {string} The CSV document
+ */
+export function buildObligationLogCSV(obligationLog, context = {}) {
+  // The identifying columns come first even when the log is empty
+  const leading = ['generation', 'from', 'to', 'norm', 'status', 'seed', ...TOGGLE_COLUMNS];
+  const head = Object.fromEntries(leading.map(key => [key, undefined]));
+  const columns = deriveColumns([head, ...obligationLog], { params: name => name })
+    .map(column => ({
+      ...column,
+      name: column.group ? column.name : obligationHeader(column.key)
+    }));
+  return writeCSV(obligationLog, columns, context, obligationHeader);
+}
+
 /**
  * Download the obligation log as a CSV file.  A Unicode Byte Order
  * Mark (BOM) is prepended so that Excel correctly interprets the
- * UTF‑8 encoded data.  The log is expected to contain objects with
- * generation, from, to, norm and status properties.
+ * UTF‑8 encoded data.
  *
  * @param {Array} obligationLog Array of obligation event records
  * @param {string} scenario The scenario name used to form the filename
+ * @param {Object} [context] Run-level values such as the seed and toggles
  */
-export async function downloadObligationLog(obligationLog, scenario) {
-  // Include batch metadata if present.  Determine by inspecting the
-  // first entry for a 'run' property.  If present, add Run and
-  // BatchScenario columns.
-  const includeBatch = obligationLog.length > 0 && Object.prototype.hasOwnProperty.call(obligationLog[0], 'run');
-  let header = 'Generation,From,To,NormType,Status';
-  if (includeBatch) {
-    header += ',Run,BatchScenario';
+export async function downloadObligationLog(obligationLog, scenario, context = {}) {
+  // Prepend BOM for Excel compatibility
+  const csv = '\ufeff' + buildObligationLogCSV(obligationLog, context);
+  await downloadCSV(csv, `obligationLog_${scenario}.csv`, 'Download Obligations');
+}
+
+// Fields of a log row that identify its run rather than describe
+// what happened in it.  groupRuns() lifts them out of the rows.
+const RUN_TAGS = ['run', 'batchScenario', 'replicate', 'scenario', 'seed', ...TOGGLE_COLUMNS, 'params'];
+
+/**
+ * Assemble the per-generation metrics (the `log` array filled by
+ * logGeneration()) as CSV text, one row per generation.  Batch logs
+ * carry the run tags and swept parameters of each row (see
+ * tagRunLogs() in batch.js); a single run takes them from `context`.
+ *
+ * @param {Array} log Array of logged generation entries
+ * @param {Object} [context] Run-level values for rows that lack them
+ *        (see runContext() in simulation.js)
+ * @returns {string} The CSV document
+ */
+export function buildMetricsCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, {
+    repairRates: norm => `${norm}RepairRate`,
+    params: name => name
+  }), context);
+}
+
+/**
+ * Group tagged log rows by run: one entry per run holding its tags
+ * (run, scenario, seed, toggles, parameters) and, under `seriesKey`,
+ * its rows stripped of those tags.  A single run's rows carry no tags
+ * and form one entry with the values of `context`.
+ *
+ * @param {Array} log Log rows, tagged by tagRunLogs() in batch logs
+ * @param {Object} context Run-level values for rows that lack them
+ * @param {string} seriesKey Name of the list of rows in each entry
+ * @returns {Array<Object>} One entry per run, in order of appearance
+ */
+function groupRuns(log, context, seriesKey) {
+  const runs = new Map();
+  for (const row of log) {
+    const tags = {};
+    const fields = {};
+    for (const [key, value] of Object.entries(row)) {
+      (RUN_TAGS.includes(key) ? tags : fields)[key] = value;
+    }
+    const id = row.run ?? 1;
+    if (!runs.has(id)) runs.set(id, { ...context, ...tags, [seriesKey]: [] });
+    runs.get(id)[seriesKey].push(fields);
   }
-  let csv = header + '\n';
-  for (const entry of obligationLog) {
-    let line = `${entry.generation},${entry.from},${entry.to},${entry.norm},${entry.status}`;
-    if (includeBatch) {
-      line += `,${entry.run},${entry.batchScenario}`;
+  return [...runs.values()];
+}
+
+/**
+ * Assemble the per-generation metrics as JSON text: one entry per run
+ * with its tags and its `generations` time series (see groupRuns()),
+ * so that a batch file reads as a list of series.
+ *
+ * @param {Array} log Array of logged generation entries
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildMetricsJSON(log, context = {}) {
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs: groupRuns(log, context, 'generations') }, null, 2);
+}
+
+/**
+ * Download the per-generation metrics as CSV and JSON files named
+ * after the scenario.
+ *
+ * @param {Array} log Array of logged generation entries
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadMetrics(log, scenario, context = {}) {
+  await downloadCSV(buildMetricsCSV(log, context), `metrics_${scenario}.csv`, 'Download Metrics');
+  await downloadJSON(buildMetricsJSON(log, context), `metrics_${scenario}.json`, 'Download Metrics JSON');
+}
+
+// Fields of a biography row that describe the agent rather than one
+// generation of its life
+const BIOGRAPHY_AGENT_FIELDS = ['id', 'parentId', 'birthGeneration', 'deathGeneration'];
+
+/**
+ * Assemble agent biographies as CSV text, one row per agent and
+ * generation lived, dead agents included.  Acknowledgments become one
+ * <norm>Ack column per norm as in the agent log; deathGeneration is
+ * empty for agents alive at the end of the run.
+ *
+ * @param {Array} log Biography rows (see biographyLog() in simulation.js)
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildBiographyCSV(log, context = {}) {
+  const columns = deriveColumns(log, {
+    acknowledgments: norm => `${norm}Ack`,
+    params: name => name
+  });
+  return writeCSV(log, columns, context);
+}
+
+/**
+ * Assemble agent biographies as JSON text: one entry per run (see
+ * groupRuns()) listing its agents, each with its id, parent, birth and
+ * death generations and its `biography` entries.
+ *
+ * @param {Array} log Biography rows (see biographyLog() in simulation.js)
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildBiographyJSON(log, context = {}) {
+  const runs = groupRuns(log, context, 'agents').map(run => {
+    const agents = new Map();
+    for (const row of run.agents) {
+      const agent = {};
+      const entry = {};
+      for (const [key, value] of Object.entries(row)) {
+        (BIOGRAPHY_AGENT_FIELDS.includes(key) ? agent : entry)[key] = value;
+      }
+      if (!agents.has(agent.id)) agents.set(agent.id, { ...agent, biography: [] });
+      agents.get(agent.id).biography.push(entry);
     }
-    csv += line + '\n';
+    return { ...run, agents: [...agents.values()] };
+  });
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs }, null, 2);
+}
+
+/**
+ * Assemble the falsifiability events (sim.falsifyEvents) as CSV text,
+ * one row per acknowledgment change: generation, agent id, norm, old
+ * and new value and its cause.
+ *
+ * @param {Array} log Falsifiability events
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildFalsifyCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, { params: name => name }), context);
+}
+
+/**
+ * Assemble the falsifiability events as JSON text: one entry per run
+ * with its tags and its `events` (see groupRuns()).
+ *
+ * @param {Array} log Falsifiability events
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildFalsifyJSON(log, context = {}) {
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs: groupRuns(log, context, 'events') }, null, 2);
+}
+
+/**
+ * Assemble repair attempts (sim.repairLog) as CSV text, one row per
+ * attempt: who offered the repair (from) to whom (to), the norm of the
+ * broken obligation and of the repair, its strength, the attempt
+ * number, the brokering mediator, both parties' groups and the outcome
+ * (repaired, rejected or expired).
+ *
+ * @param {Array} log Repair attempts, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildRepairCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, { params: name => name }), context);
+}
+
+/**
+ * Assemble repair attempts as JSON text: one entry per run with its
+ * tags, its repair rates (see summariseRepairs()) and its `attempts`.
+ *
+ * @param {Array} log Repair attempts, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildRepairJSON(log, context = {}) {
+  const runs = groupRuns(log, context, 'attempts').map(({ attempts, ...tags }) => ({
+    ...tags,
+    rates: summariseRepairs(attempts),
+    attempts
+  }));
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs }, null, 2);
+}
+
+/**
+ * Assemble the group event log (sim.groupEventLog) as CSV text, one row
+ * per event: the generation, the event (formation, dissolution, merge,
+ * schism, hostility or truce), the group and the other group involved,
+ * their sizes and the average trust that triggered it.
+ *
+ * @param {Array} log Group events, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildGroupEventsCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, { params: name => name }), context);
+}
+
+/**
+ * Assemble the group event log as JSON text: one entry per run with its
+ * tags and its `events` (see groupRuns()).
+ *
+ * @param {Array} log Group events, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildGroupEventsJSON(log, context = {}) {
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs: groupRuns(log, context, 'events') }, null, 2);
+}
+
+/**
+ * Assemble the norm learning log (sim.acknowledgmentLog) as CSV text,
+ * one row per acknowledgment an agent adopted or dropped through
+ * learning: the generation, the agent, the norm, whether the agent now
+ * acknowledges it, the dominant cause ('outcomes' or 'peers') and the
+ * pressure behind the change.
+ *
+ * @param {Array} log Learning events, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildLearningCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, { params: name => name }), context);
+}
+
+/**
+ * Assemble the norm learning log as JSON text: one entry per run with
+ * its tags and its `events` (see groupRuns()).
+ *
+ * @param {Array} log Learning events, tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildLearningJSON(log, context = {}) {
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs: groupRuns(log, context, 'events') }, null, 2);
+}
+
+/**
+ * Assemble the intervention log (sim.interventionLog) as CSV text, one
+ * row per intervention: the generation, tick and wall-clock time, the
+ * kind of intervention (move, flip, impose, remove or inject), how the
+ * agents were chosen, the norm, the number and ids of the agents
+ * affected and the point and radius of the region.
+ *
+ * @param {Array} log Interventions
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildInterventionsCSV(log, context = {}) {
+  return writeCSV(log, deriveColumns(log, { params: name => name }), context);
+}
+
+/**
+ * Assemble the intervention log as JSON text: one entry per run with
+ * its tags and its `interventions` (see groupRuns()).
+ *
+ * @param {Array} log Interventions
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The JSON document
+ */
+export function buildInterventionsJSON(log, context = {}) {
+  return JSON.stringify({ schemaVersion: CSV_SCHEMA_VERSION, runs: groupRuns(log, context, 'interventions') }, null, 2);
+}
+
+// Fields of a trust graph snapshot that are not run tags
+const GRAPH_FIELDS = ['generation', 'nodes', 'edges'];
+
+// Run tags of a trust graph snapshot merged over `context`, with the
+// swept parameters flattened, e.g. {run: 1, seed: 7, 'reproduction.chance': 0.1}
+function graphTags(graph, context) {
+  const tags = { ...context };
+  for (const [key, value] of Object.entries(graph)) {
+    if (GRAPH_FIELDS.includes(key)) continue;
+    if (key === 'params') Object.assign(tags, value);
+    else tags[key] = value;
   }
-  const fileName = `obligationLog_${scenario}.csv`;
-  // Try to save via File System Access API
-  if (typeof window !== 'undefined' && window.showSaveFilePicker) {
-    try {
-      const handle = await window.showSaveFilePicker({
-        suggestedName: fileName,
-        types: [
-          {
-            description: 'CSV file',
-            accept: { 'text/csv': ['.csv'] }
-          }
-        ]
-      });
-      const writable = await handle.createWritable();
-      // Prepend BOM for Excel compatibility
-      await writable.write("\ufeff" + csv);
-      await writable.close();
+  return tags;
+}
+
+/**
+ * Assemble the edges of trust graph snapshots as an edge list CSV, one
+ * row per directed edge and generation: from, to, trust and the
+ * outcome of the latest obligation along the edge (lastStatus).  Reads
+ * directly into NetworkX, igraph or Gephi; node attributes are in the
+ * node list (see buildTrustNodesCSV()).
+ *
+ * @param {Array} graphs Snapshots from trustGraph() in simulation.js,
+ *        tagged by tagRunLogs() in batch logs
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildTrustEdgesCSV(graphs, context = {}) {
+  const rows = graphs.flatMap(({ generation, nodes, edges, ...tags }) =>
+    edges.map(edge => ({ generation, ...edge, ...tags })));
+  return writeCSV(rows, deriveColumns(rows, { params: name => name }), context);
+}
+
+/**
+ * Assemble the nodes of trust graph snapshots as CSV, one row per
+ * living agent and generation with its attributes and one <norm>Ack
+ * column per norm.
+ *
+ * @param {Array} graphs Snapshots from trustGraph() in simulation.js
+ * @param {Object} [context] Run-level values for rows that lack them
+ * @returns {string} The CSV document
+ */
+export function buildTrustNodesCSV(graphs, context = {}) {
+  const rows = graphs.flatMap(({ generation, nodes, edges, ...tags }) =>
+    nodes.map(node => ({ generation, ...node, ...tags })));
+  return writeCSV(rows, deriveColumns(rows, {
+    acknowledgments: norm => `${norm}Ack`,
+    params: name => name
+  }), context);
+}
+
+// Escape text for an XML attribute or element
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Node attributes of a trust graph with their GraphML/GEXF types; the
+// acknowledgments add one boolean <norm>Ack attribute per norm
+const NODE_ATTRIBUTES = [
+  ['affiliation', 'string'],
+  ['normPreference', 'string'],
+  ['scenarioGroup', 'string'],
+  ['role', 'string'],
+  ['vulnerability', 'double']
+];
+const EDGE_ATTRIBUTES = [['trust', 'double'], ['lastStatus', 'string']];
+
+// Node attributes of the given snapshots, acknowledgments included, as
+// [name, type, value(node)] triples
+function nodeAttributes(graphs) {
+  const norms = new Set();
+  for (const { nodes } of graphs) {
+    for (const node of nodes) Object.keys(node.acknowledgments).forEach(norm => norms.add(norm));
+  }
+  return [
+    ...NODE_ATTRIBUTES.map(([name, type]) => [name, type, node => node[name]]),
+    ...[...norms].map(norm => [`${norm}Ack`, 'boolean', node => node.acknowledgments[norm]])
+  ];
+}
+
+// GraphML/GEXF type of a graph-level tag value
+function xmlType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  return 'string';
+}
+
+/**
+ * Assemble trust graph snapshots as GraphML, one directed <graph> per
+ * snapshot (per generation, and per run in a batch).  Each graph
+ * carries its generation and run tags as graph data; nodes carry the
+ * agent attributes and edges the trust weight and lastStatus.  Node
+ * ids are "n<agent id>".
+ *
+ * @param {Array} graphs Snapshots from trustGraph() in simulation.js
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ * @returns {string} The GraphML document
+ */
+export function buildTrustGraphML(graphs, context = {}) {
+  const nodeAttrs = nodeAttributes(graphs);
+  const tagTypes = {};
+  for (const graph of graphs) {
+    for (const [key, value] of Object.entries(graphTags(graph, context))) tagTypes[key] ??= xmlType(value);
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    `  <key id="g_generation" for="graph" attr.name="generation" attr.type="int"/>`,
+    `  <key id="g_schemaVersion" for="graph" attr.name="schemaVersion" attr.type="int"/>`,
+    ...Object.entries(tagTypes).map(([key, type]) =>
+      `  <key id="g_${xmlEscape(key)}" for="graph" attr.name="${xmlEscape(key)}" attr.type="${type}"/>`),
+    ...nodeAttrs.map(([name, type]) =>
+      `  <key id="n_${xmlEscape(name)}" for="node" attr.name="${xmlEscape(name)}" attr.type="${type}"/>`),
+    ...EDGE_ATTRIBUTES.map(([name, type]) =>
+      `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`)
+  ];
+  const data = (prefix, key, value) => value === undefined || value === null || value === '' ? []
+    : [`<data key="${prefix}_${xmlEscape(key)}">${xmlEscape(value)}</data>`];
+  graphs.forEach((graph, index) => {
+    const tags = graphTags(graph, context);
+    const id = graph.run !== undefined ? `run${graph.run}_g${graph.generation}` : `g${graph.generation}`;
+    lines.push(`  <graph id="${xmlEscape(id)}" edgedefault="directed">`);
+    lines.push(`    ${data('g', 'generation', graph.generation)}`);
+    lines.push(`    ${data('g', 'schemaVersion', CSV_SCHEMA_VERSION)}`);
+    for (const [key, value] of Object.entries(tags)) lines.push(...data('g', key, value).map(line => `    ${line}`));
+    for (const node of graph.nodes) {
+      const values = nodeAttrs.flatMap(([name, , value]) => data('n', name, value(node)));
+      lines.push(`    <node id="n${node.id}">${values.join('')}</node>`);
+    }
+    graph.edges.forEach((edge, i) => {
+      const values = EDGE_ATTRIBUTES.flatMap(([name]) => data('e', name, edge[name]));
+      lines.push(`    <edge id="e${index}_${i}" source="n${edge.from}" target="n${edge.to}">${values.join('')}</edge>`);
+    });
+    lines.push('  </graph>');
+  });
+  lines.push('</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// Merge per-snapshot values of one node, edge or attribute into spells
+// of consecutive snapshots with equal value: [{value, start, end}]
+// with start and end generations (inclusive).  `values` holds one
+// entry per snapshot, undefined where the entity is absent.
+function spellsOf(values, generations) {
+  const spells = [];
+  let open = null;
+  values.forEach((value, i) => {
+    if (open && value === open.value) {
+      open.end = generations[i];
       return;
-    } catch (err) {
-      console.warn('File save cancelled or failed, falling back to download anchor.', err);
     }
+    if (open) spells.push(open);
+    open = value === undefined ? null : { value, start: generations[i], end: generations[i] };
+  });
+  if (open) spells.push(open);
+  return spells;
+}
+
+/**
+ * Assemble the trust graph snapshots of one run as GEXF 1.2, readable
+ * by Gephi.  A single snapshot gives a static graph; several give a
+ * dynamic graph over integer time (the generation), in which nodes and
+ * edges exist for the generations they were present and attribute
+ * values change over time.  Edge weights are the trust of the last
+ * snapshot the edge appears in.
+ *
+ * @param {Array} graphs Snapshots of one run, oldest first
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ * @returns {string} The GEXF document
+ */
+export function buildTrustGEXF(graphs, context = {}) {
+  const dynamic = graphs.length > 1;
+  const generations = graphs.map(graph => graph.generation);
+  const nodeAttrs = nodeAttributes(graphs);
+  const tags = graphs.length > 0 ? graphTags(graphs[0], context) : { ...context };
+  const description = Object.entries(tags).map(([key, value]) => `${key}=${value}`).join(', ');
+  const time = (spell) => dynamic ? ` start="${spell.start}" end="${spell.end}"` : '';
+  const attvalues = (columns, series) => {
+    const values = columns.flatMap(([, , value], i) =>
+      spellsOf(series.map(item => item === undefined ? undefined : value(item)), generations)
+        .filter(spell => spell.value !== undefined && spell.value !== null && spell.value !== '')
+        .map(spell => `<attvalue for="${i}" value="${xmlEscape(spell.value)}"${time(spell)}/>`));
+    return values.length > 0 ? `<attvalues>${values.join('')}</attvalues>` : '';
+  };
+  const spells = (series) => {
+    if (!dynamic) return '';
+    const present = spellsOf(series.map(item => item === undefined ? undefined : true), generations);
+    return `<spells>${present.map(spell => `<spell${time(spell)}/>`).join('')}</spells>`;
+  };
+
+  // Every node and edge with its state in each snapshot
+  const nodes = new Map();
+  const edges = new Map();
+  graphs.forEach((graph, i) => {
+    for (const node of graph.nodes) {
+      if (!nodes.has(node.id)) nodes.set(node.id, new Array(graphs.length).fill(undefined));
+      nodes.get(node.id)[i] = node;
+    }
+    for (const edge of graph.edges) {
+      const key = `${edge.from}>${edge.to}`;
+      if (!edges.has(key)) edges.set(key, new Array(graphs.length).fill(undefined));
+      edges.get(key)[i] = edge;
+    }
+  });
+  const edgeAttrs = EDGE_ATTRIBUTES.map(([name, type]) => [name, type, edge => edge[name]]);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">',
+    `  <meta><creator>Agent-Relational Simulation Testbed</creator><description>${xmlEscape(`Trust network (schema ${CSV_SCHEMA_VERSION}) ${description}`.trim())}</description></meta>`,
+    `  <graph defaultedgetype="directed" mode="${dynamic ? 'dynamic' : 'static'}"${dynamic ? ' timeformat="integer"' : ''}>`,
+    `    <attributes class="node" mode="${dynamic ? 'dynamic' : 'static'}">`,
+    ...nodeAttrs.map(([name, type], i) => `      <attribute id="${i}" title="${xmlEscape(name)}" type="${type}"/>`),
+    '    </attributes>',
+    `    <attributes class="edge" mode="${dynamic ? 'dynamic' : 'static'}">`,
+    ...edgeAttrs.map(([name, type], i) => `      <attribute id="${i}" title="${name}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+  for (const [id, series] of nodes) {
+    lines.push(`      <node id="${id}" label="#${id}">${attvalues(nodeAttrs, series)}${spells(series)}</node>`);
   }
-  // Fallback anchor download
-  const blob = new Blob(["\ufeff" + csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const link = createA(url, 'Download Obligations');
-  link.attribute('download', fileName);
-  link.hide();
-  link.elt.click();
-}
\ No newline at end of file
+  lines.push('    </nodes>', '    <edges>');
+  let index = 0;
+  for (const series of edges.values()) {
+    const last = series.filter(edge => edge !== undefined).pop();
+    lines.push(`      <edge id="${index++}" source="${last.from}" target="${last.to}" weight="${last.trust}">` +
+      `${attvalues(edgeAttrs, series)}${spells(series)}</edge>`);
+  }
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Download agent biographies as CSV and JSON files named after the
+ * scenario.
+ *
+ * @param {Array} log Biography rows (see biographyLog() in simulation.js)
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadBiographies(log, scenario, context = {}) {
+  await downloadCSV(buildBiographyCSV(log, context), `biographies_${scenario}.csv`, 'Download Biographies');
+  await downloadJSON(buildBiographyJSON(log, context), `biographies_${scenario}.json`, 'Download Biographies JSON');
+}
+
+/**
+ * Download the falsifiability events as CSV and JSON files named
+ * after the scenario.
+ *
+ * @param {Array} log Falsifiability events
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadFalsifyEvents(log, scenario, context = {}) {
+  await downloadCSV(buildFalsifyCSV(log, context), `falsifiability_${scenario}.csv`, 'Download Falsifiability');
+  await downloadJSON(buildFalsifyJSON(log, context), `falsifiability_${scenario}.json`, 'Download Falsifiability JSON');
+}
+
+/**
+ * Download the repair attempts as CSV and JSON files named after the
+ * scenario.
+ *
+ * @param {Array} log Repair attempts (sim.repairLog)
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadRepairs(log, scenario, context = {}) {
+  await downloadCSV(buildRepairCSV(log, context), `repairs_${scenario}.csv`, 'Download Repairs');
+  await downloadJSON(buildRepairJSON(log, context), `repairs_${scenario}.json`, 'Download Repairs JSON');
+}
+
+/**
+ * Download the group event log as CSV and JSON files named after the
+ * scenario.
+ *
+ * @param {Array} log Group events (sim.groupEventLog)
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadGroupEvents(log, scenario, context = {}) {
+  await downloadCSV(buildGroupEventsCSV(log, context), `groupEvents_${scenario}.csv`, 'Download Group Events');
+  await downloadJSON(buildGroupEventsJSON(log, context), `groupEvents_${scenario}.json`, 'Download Group Events JSON');
+}
+
+/**
+ * Download the norm learning log as CSV and JSON files named after the
+ * scenario.
+ *
+ * @param {Array} log Learning events (sim.acknowledgmentLog)
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadLearning(log, scenario, context = {}) {
+  await downloadCSV(buildLearningCSV(log, context), `learning_${scenario}.csv`, 'Download Learning');
+  await downloadJSON(buildLearningJSON(log, context), `learning_${scenario}.json`, 'Download Learning JSON');
+}
+
+/**
+ * Download the intervention log as CSV and JSON files named after the
+ * scenario.
+ *
+ * @param {Array} log Interventions (sim.interventionLog)
+ * @param {string} scenario The scenario name used to form the filenames
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadInterventions(log, scenario, context = {}) {
+  await downloadCSV(buildInterventionsCSV(log, context), `interventions_${scenario}.csv`, 'Download Interventions');
+  await downloadJSON(buildInterventionsJSON(log, context), `interventions_${scenario}.json`, 'Download Interventions JSON');
+}
+
+// Trust graph export formats offered by the GUI: file kind, builder
+// and the prefixes of the files written (see logFiles() in bundle.js)
+export const TRUST_GRAPH_FORMATS = {
+  GraphML: { kind: 'graphml', build: buildTrustGraphML, prefixes: ['trustGraph'] },
+  GEXF: { kind: 'gexf', build: buildTrustGEXF, prefixes: ['trustGraph'] },
+  'Edge list CSV': { kind: 'csv', build: buildTrustEdgesCSV, prefixes: ['trustEdges', 'trustNodes'] }
+};
+
+/**
+ * Download trust graph snapshots in one of TRUST_GRAPH_FORMATS.  The
+ * edge list comes with its node list, since CSV has no room for node
+ * attributes.
+ *
+ * @param {Array} graphs Snapshots from trustGraph() in simulation.js
+ * @param {string} scenario The scenario name used to form the filename
+ * @param {string} format Key of TRUST_GRAPH_FORMATS
+ * @param {Object} [context] Run-level values such as the seed and toggles
+ */
+export async function downloadTrustGraph(graphs, scenario, format, context = {}) {
+  const { kind, build } = TRUST_GRAPH_FORMATS[format] || TRUST_GRAPH_FORMATS.GraphML;
+  if (kind === 'csv') {
+    await downloadCSV(build(graphs, context), `trustEdges_${scenario}.csv`, 'Download Trust Edges');
+    await downloadCSV(buildTrustNodesCSV(graphs, context), `trustNodes_${scenario}.csv`, 'Download Trust Nodes');
+    return;
+  }
+  await downloadFile(build(graphs, context), `trustGraph_${scenario}.${kind}`, 'Download Trust Graph', kind);
+}
@@ -21,6 +21,28 @@
  * @param {Function} options.onReset Called when the Reset button is pressed
  * @param {Function} options.onDownloadAgentLog Called when the agent log download button is pressed
  * @param {Function} options.onDownloadObligationLog Called when the obligation log download button is pressed
+ * @param {Function} options.onDownloadMetrics Called when the metrics download button is pressed
+ * @param {Function} options.onDownloadBiographies Called when the biographies download button is pressed
+ * @param {Function} options.onDownloadFalsifyEvents Called when the falsifiability download button is pressed
+ * @param {Function} options.onDownloadRepairs Called when the repairs download button is pressed
+ * @param {Function} options.onDownloadGroupEvents Called when the group events download button is pressed
+ * @param {Function} options.onDownloadLearning Called when the norm learning download button is pressed
+ * @param {Function} options.onDownloadBundle Called when the bundle download button is pressed
+ * @param {Array} options.trustGraphFormats Names of the trust graph export formats
+ * @param {Function} options.onDownloadTrustGraph Called with the chosen format when the trust graph
+ *        download button is pressed
+ * @param {Function} options.onLoadSettings Called with the text and name of a settings file chosen via
+ *        "Load Settings"; returns the resulting flat settings (or null) so the controls can be synced
+ * @param {Function} options.onLoadBatchSpec Called with the text and name of a batch spec file chosen via
+ *        "Batch from File"
+ * @param {Array} options.roles Names of the agent roles offered for newcomers
+ * @param {Function} options.onInterventionChange Called with the intervention settings {tool, radius,
+ *        norm, scope, count, role, moralStance} whenever one of the intervention controls changes
+ * @param {Function} options.onIntervene Called with 'flip' or 'impose' and the intervention settings
+ *        when the Flip Acknowledgment or Impose Norm button is pressed
+ * @param {Function} options.onDownloadInterventions Called when the interventions download button is pressed
+ * @returns {Object} {panel, refreshNormManager}: the panel element, and a function the caller
+ *          calls when the norm figures may have changed (e.g. at a new generation)
  */
 export function createGUI({
   scenarios = [],
@@ -32,9 +54,28 @@ export function createGUI({
   onReset = () => {},
   onDownloadAgentLog = () => {},
   onDownloadObligationLog = () => {},
+  onDownloadMetrics = () => {},
+  onDownloadBiographies = () => {},
+  onDownloadFalsifyEvents = () => {},
+  onDownloadRepairs = () => {},
+  onDownloadGroupEvents = () => {},
+  onDownloadLearning = () => {},
+  onDownloadBundle = () => {},
+  trustGraphFormats = [],
+  onDownloadTrustGraph = () => {},
   onAdvancedChange = () => {},
+  onLoadSettings = () => null,
+  onLoadBatchSpec = () => {},
   onAddNorm = () => {}
+  , getCustomNorms = () => []
+  , getNormStats = () => []
+  , onSetNormEnabled = () => {}
+  , onDeleteNorm = () => {}
   , onShowAbout = () => {}
+  , roles = []
+  , onInterventionChange = () => {}
+  , onIntervene = () => {}
+  , onDownloadInterventions = () => {}
 } = {}) {
   const panel = createDiv()
     .id('guiPanel')
@@ -91,12 +132,13 @@ export function createGUI({
       // Descriptions for each toggle button
       const toggleDescriptions = {
         'Moral Repair': 'Enable or disable the moral repair process when obligations fail.',
-        'Directed Norms': 'Allow obligations to be directed based on agents\' norm preferences.',
-        'Vulnerability Targeting': 'Permit obligations to target the most vulnerable agent first.',
+        'Directed Norms': 'Obligations carry the source\'s preferred norm, target agents who share or acknowledge it, and grow stronger with trust.',
+        'Vulnerability Targeting': 'Obligations preferentially target the most vulnerable agents and flow one way: fulfilling them earns the target no trust.',
         'Trust Heatmap': 'Show or hide the trust intensity heatmap overlay.',
         'Affiliation Heatmap': 'Show or hide a heatmap indicating the density of affiliation groups.',
         'Conflict Heatmap': 'Show or hide a heatmap highlighting regions of high inter‑group conflict.',
-        'Trails': 'Show or hide motion trails behind agents.'
+        'Trails': 'Show or hide motion trails behind agents.',
+        'Group Timeline': 'Show or hide the timeline of affiliation group sizes, merges and schisms; hover a band for its norms and internal trust.'
       };
       toggleBtn.attribute('title', toggleDescriptions[toggleName] || 'Toggle this behaviour');
       toggleBtn.mousePressed(() => onToggleChange(toggleName));
@@ -133,6 +175,42 @@ export function createGUI({
     .parent(controlRow)
     .attribute('title', 'Download the obligation log as a CSV file')
     .mousePressed(onDownloadObligationLog);
+  createButton('Download Metrics')
+    .parent(controlRow)
+    .attribute('title', 'Download the per-generation metrics (debt, conflict, fulfilment, ...) as CSV and JSON files')
+    .mousePressed(onDownloadMetrics);
+  createButton('Download Biographies')
+    .parent(controlRow)
+    .attribute('title', 'Download every agent\'s per-generation biography, dead agents included, as CSV and JSON files')
+    .mousePressed(onDownloadBiographies);
+  createButton('Download Flags')
+    .parent(controlRow)
+    .attribute('title', 'Download the falsifiability events (acknowledgment changes with their cause) as CSV and JSON files')
+    .mousePressed(onDownloadFalsifyEvents);
+  createButton('Download Repairs')
+    .parent(controlRow)
+    .attribute('title', 'Download every moral repair attempt with its outcome, and the repair rates per norm and group, as CSV and JSON files')
+    .mousePressed(onDownloadRepairs);
+  createButton('Download Group Events')
+    .parent(controlRow)
+    .attribute('title', 'Download the affiliation group events (formations, merges, schisms, hostilities and truces) as CSV and JSON files')
+    .mousePressed(onDownloadGroupEvents);
+  createButton('Download Learning')
+    .parent(controlRow)
+    .attribute('title', 'Download the acknowledgments agents adopted or dropped through norm learning, with their cause, as CSV and JSON files')
+    .mousePressed(onDownloadLearning);
+  createButton('Download Bundle')
+    .parent(controlRow)
+    .attribute('title', 'Download every log of the run with a manifest of its settings, seed and norms as one ZIP file')
+    .mousePressed(onDownloadBundle);
+  // Trust graph export: the format select sits next to its button
+  const trustFormatSelect = createSelect().parent(controlRow);
+  trustGraphFormats.forEach(format => trustFormatSelect.option(format));
+  trustFormatSelect.attribute('title', 'Format of the trust graph download');
+  createButton('Download Trust Graph')
+    .parent(controlRow)
+    .attribute('title', 'Download the current trust network with agent attributes (GraphML or GEXF for Gephi, or an edge list CSV)')
+    .mousePressed(() => onDownloadTrustGraph(trustFormatSelect.value()));
 
   // About button to open a modal with a description of the simulation.
   createButton('About')
@@ -160,10 +238,19 @@ export function createGUI({
         separation: separationSlider.value(),
         alignment: alignmentSlider.value(),
         trustAttraction: trustAttrSlider.value(),
+        mergeThreshold: mergeSlider.value(),
+        hostileThreshold: hostileSlider.value(),
+        groupHysteresis: hysteresisSlider.value(),
+        schismThreshold: schismSlider.value(),
         memoryBase: memorySlider.value(),
         moralStanceDistribution: stanceSelect.value(),
-        validationMode: validationCheckbox.checked()
+        validationMode: validationCheckbox.checked(),
+        seed: seedInput.value().trim()
       };
+      // Custom norms travel with the settings so that the file
+      // reproduces them when loaded
+      const norms = getCustomNorms();
+      if (norms.length > 0) current.norms = norms;
       const blob = new Blob([JSON.stringify(current, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const link = createA(url, 'settings');
@@ -172,21 +259,142 @@ export function createGUI({
       link.elt.click();
     });
 
-  // Button to start batch mode.  Reads the batch run count and
-  // generations per run from the sliders and invokes the global
+  // Button to load a settings file, either one written by Download
+  // Settings or one in the format of sample_config.json.  The file
+  // input itself stays hidden; the button forwards the click to it.
+  const settingsFileInput = createFileInput(async (file) => {
+    const values = onLoadSettings(await file.file.text(), file.name);
+    if (values) setControlValues(values);
+    // Clear the input so that the same file can be loaded again
+    settingsFileInput.elt.value = '';
+  });
+  settingsFileInput.attribute('accept', '.json,application/json');
+  settingsFileInput.hide();
+  createButton('Load Settings')
+    .parent(controlRow)
+    .attribute('title', 'Load settings from a JSON file (Download Settings output or sample_config.json) and restart the run')
+    .mousePressed(() => settingsFileInput.elt.click());
+
+  // Button to start batch mode.  Runs the experiment defined by
+  // BATCH_SETTINGS in config.js, reading the replicate count and
+  // generations per run from the sliders, by invoking the global
   // startBatch() function defined in sketch.js.  During batch
-  // mode the simulation runs headlessly and exports logs for each
-  // run automatically.
+  // mode the simulation runs headlessly and exports the aggregated
+  // logs when all runs are done.
   createButton('Start Batch')
     .parent(controlRow)
-    .attribute('title', 'Run the simulation headlessly for the specified number of runs and generations per run')
+    .attribute('title', 'Run the BATCH_SETTINGS experiment headlessly with the specified replicates and generations per run')
     .mousePressed(() => {
       // Call the globally defined startBatch() in sketch.js
       if (typeof window.startBatch === 'function') {
-        window.startBatch(batchRunsSlider.value(), batchGenSlider.value());
+        window.startBatch({
+          replicates: parseInt(batchRunsSlider.value()),
+          generationsPerRun: parseInt(batchGenSlider.value())
+        });
       }
     });
 
+  // Button to start a batch from a spec file listing the scenarios,
+  // toggle combinations, parameter grid and replicates to run.
+  const batchFileInput = createFileInput(async (file) => {
+    onLoadBatchSpec(await file.file.text(), file.name);
+    batchFileInput.elt.value = '';
+  });
+  batchFileInput.attribute('accept', '.json,application/json');
+  batchFileInput.hide();
+  createButton('Batch from File')
+    .parent(controlRow)
+    .attribute('title', 'Run a batch experiment defined in a JSON spec file (scenarios, toggle combos, parameter grid, replicates)')
+    .mousePressed(() => batchFileInput.elt.click());
+
+  // Interventions: tools that perturb the running world.  The canvas
+  // tool decides what a click on the canvas does (select and drag an
+  // agent, remove the agents of a region or add newcomers); the buttons
+  // act on the agents in the chosen scope.  Every intervention is
+  // recorded in the intervention log.
+  createP('🛠 <strong>Interventions</strong>')
+    .parent(panel)
+    .style('margin', '14px 0 8px 0');
+  const interventionRow = createDiv()
+    .parent(panel)
+    .style('display', 'flex')
+    .style('flex-wrap', 'wrap')
+    .style('justify-content', 'center')
+    .style('align-items', 'center')
+    .style('gap', '8px');
+  const toolLabels = { 'Select & drag': 'select', 'Remove region': 'remove', 'Inject newcomers': 'inject' };
+  createSpan('Canvas tool').parent(interventionRow);
+  const toolSelect = createSelect().parent(interventionRow);
+  Object.keys(toolLabels).forEach(label => toolSelect.option(label));
+  toolSelect.attribute('title', 'What a click on the canvas does: select an agent (and drag it), remove every agent within the radius, or add newcomers there');
+  createSpan('Radius').parent(interventionRow);
+  const radiusSlider = createSlider(10, 200, 60, 5).parent(interventionRow).style('width', '90px');
+  radiusSlider.attribute('title', 'Radius of the region removed, or over which newcomers arrive');
+  const radiusValue = createSpan(radiusSlider.value()).parent(interventionRow).style('color', '#555');
+  createSpan('Norm').parent(interventionRow);
+  const interventionNormSelect = createSelect().parent(interventionRow);
+  interventionNormSelect.attribute('title', 'The norm flipped, imposed, or preferred and acknowledged by newcomers');
+  // Norms can be added and deleted at runtime, so the options are
+  // refilled from the norm registry before the select opens
+  function refreshInterventionNorms() {
+    const current = interventionNormSelect.value();
+    const names = getNormStats().map(norm => norm.name);
+    const options = Array.from(interventionNormSelect.elt.options || []).map(option => option.value);
+    if (options.join('|') === names.join('|')) return;
+    interventionNormSelect.elt.innerHTML = '';
+    names.forEach(name => interventionNormSelect.option(name));
+    if (names.includes(current)) interventionNormSelect.selected(current);
+  }
+  refreshInterventionNorms();
+  interventionNormSelect.elt.addEventListener('mousedown', refreshInterventionNorms);
+  interventionNormSelect.elt.addEventListener('focus', refreshInterventionNorms);
+  const scopeLabels = { 'Selected agent': 'agent', "Selected agent's group": 'group', 'All agents': 'all' };
+  const scopeSelect = createSelect().parent(interventionRow);
+  Object.keys(scopeLabels).forEach(label => scopeSelect.option(label));
+  scopeSelect.attribute('title', 'Agents the Flip Acknowledgment and Impose Norm buttons act on; select an agent by clicking it with the Select & drag tool');
+  createButton('Flip Acknowledgment')
+    .parent(interventionRow)
+    .attribute('title', 'Toggle whether the agents in scope acknowledge the chosen norm')
+    .mousePressed(() => onIntervene('flip', interventionSettings()));
+  createButton('Impose Norm')
+    .parent(interventionRow)
+    .attribute('title', 'Make the agents in scope acknowledge and prefer the chosen norm')
+    .mousePressed(() => onIntervene('impose', interventionSettings()));
+  createSpan('Newcomers').parent(interventionRow);
+  const newcomerSlider = createSlider(1, 50, 10, 1).parent(interventionRow).style('width', '90px');
+  newcomerSlider.attribute('title', 'Number of newcomers added by a click with the Inject newcomers tool');
+  const newcomerValue = createSpan(newcomerSlider.value()).parent(interventionRow).style('color', '#555');
+  const roleSelect = createSelect().parent(interventionRow);
+  roleSelect.option('Any role');
+  roles.forEach(role => roleSelect.option(role));
+  roleSelect.attribute('title', 'Role of the newcomers');
+  const newcomerStanceSelect = createSelect().parent(interventionRow);
+  ['Any stance', 'reactive', 'proactive'].forEach(stance => newcomerStanceSelect.option(stance));
+  newcomerStanceSelect.attribute('title', 'Moral stance of the newcomers');
+  createButton('Download Interventions')
+    .parent(interventionRow)
+    .attribute('title', 'Download the log of interventions made during the run as CSV and JSON files')
+    .mousePressed(onDownloadInterventions);
+  function interventionSettings() {
+    return {
+      tool: toolLabels[toolSelect.value()],
+      radius: parseInt(radiusSlider.value()),
+      norm: interventionNormSelect.value(),
+      scope: scopeLabels[scopeSelect.value()],
+      count: parseInt(newcomerSlider.value()),
+      role: roleSelect.value() === 'Any role' ? null : roleSelect.value(),
+      moralStance: newcomerStanceSelect.value() === 'Any stance' ? null : newcomerStanceSelect.value()
+    };
+  }
+  function notifyIntervention() {
+    radiusValue.html(parseInt(radiusSlider.value()));
+    newcomerValue.html(parseInt(newcomerSlider.value()));
+    onInterventionChange(interventionSettings());
+  }
+  [toolSelect, interventionNormSelect, scopeSelect, roleSelect, newcomerStanceSelect].forEach(control => control.changed(notifyIntervention));
+  [radiusSlider, newcomerSlider].forEach(slider => slider.input(notifyIntervention));
+  notifyIntervention();
+
   // Advanced settings panel
   // A collapsible section that exposes sliders and selectors for
   // modifiable simulation parameters.  Users can adjust the initial
@@ -209,25 +417,30 @@ export function createGUI({
     .style('border', '1px solid #ddd')
     .style('border-radius', '6px');
   advToggle.mousePressed(() => {
+    const currently = advancedPanel.style('display');
+    const expanded = currently === 'none';
+    advancedPanel.style('display', expanded ? 'block' : 'none');
+    advToggle.html((expanded ? '▲' : '▼') + ' Advanced Settings');
+    // The norm manager is not refreshed while hidden
+    if (expanded) refreshNormManager();
+  });
 
-  // Seed for reproducible randomness
-  const seedRow = createDiv().parent(advancedPanel).style('margin: 6px 0');
+  // Seed for reproducible randomness.  Applying a seed restarts the
+  // run; the same seed, scenario and settings reproduce it exactly.
+  const seedRow = createDiv().parent(advancedPanel).style('margin', '6px 0');
   createSpan('Random Seed: ').parent(seedRow);
-  const seedInput = createInput('').parent(seedRow).style('width','120px');
-  const seedApply = createButton('Apply').parent(seedRow).style('margin-left','6px');
-  const seedClear = createButton('Randomize').parent(seedRow).style('margin-left','4px');
+  const seedInput = createInput('').parent(seedRow).style('width', '120px');
+  seedInput.attribute('title', 'Number or text used to seed the random number generator');
+  const seedApply = createButton('Apply').parent(seedRow).style('margin-left', '6px');
+  seedApply.attribute('title', 'Restart the simulation using this seed');
+  const seedClear = createButton('Randomize').parent(seedRow).style('margin-left', '4px');
+  seedClear.attribute('title', 'Clear the seed and restart with a freshly drawn one');
   seedApply.mousePressed(() => {
-    options.onAdvancedChange && options.onAdvancedChange({ seed: seedInput.value() });
+    onAdvancedChange({ seed: seedInput.value().trim() });
   });
   seedClear.mousePressed(() => {
     seedInput.value('');
-    options.onAdvancedChange && options.onAdvancedChange({ seed: '' });
-  });
-
-    const currently = advancedPanel.style('display');
-    const expanded = currently === 'none';
-    advancedPanel.style('display', expanded ? 'block' : 'none');
-    advToggle.html((expanded ? '▲' : '▼') + ' Advanced Settings');
+    onAdvancedChange({ seed: '' });
   });
   // Number of agents slider
   createSpan('Number of agents').parent(advancedPanel).style('display', 'block');
@@ -259,7 +472,7 @@ export function createGUI({
     onAdvancedChange({
       numAgents: agentSlider.value(),
       proximityThreshold: proxSlider.value(),
-      defaultNormDistribution: normSelect.value().toLowerCase().replace(/ .*/, '')
+      defaultNormDistribution: normSelect.value()
     });
   }
   agentSlider.input(notifyAdvanced);
@@ -267,10 +480,11 @@ export function createGUI({
   normSelect.changed(notifyAdvanced);
 
   // Custom norm injection controls.  Users can define a new norm by
-  // specifying its name and a colour (as a hex string without the
-  // leading '#').  When the Add button is pressed, the onAddNorm
-  // callback is invoked with an object containing the name and
-  // colour.
+  // specifying its name and a colour (as comma-separated RGB values)
+  // and optionally its rules.  When the Add button is pressed, the
+  // onAddNorm callback is invoked with a norm definition in the form
+  // of a settings file's "norms" entries; rule fields left blank are
+  // omitted and keep their defaults.
   createSpan('Add custom norm').parent(advancedPanel).style('display', 'block').style('margin-top', '12px');
   const normNameInput = createInput('').parent(advancedPanel);
   normNameInput.attribute('placeholder', 'Name');
@@ -282,21 +496,120 @@ export function createGUI({
   normColorInput.style('width', '48%').style('margin-left', '4%');
   // Tooltip for the colour input
   normColorInput.attribute('title', 'Enter RGB values separated by commas to define the norm colour (0-255 per channel)');
-  const addNormButton = createButton('Add Norm').parent(advancedPanel).style('margin-top', '4px');
+  // Optional rules.  Each input maps to a rule of the same name.
+  const ruleInputs = [
+    ['fulfilmentNear', 'Fulfil near (0-1)', 'Chance of fulfilment when the parties are within the proximity threshold (default: obligation strength)'],
+    ['fulfilmentFar', 'Fulfil far (0-1)', 'Chance of fulfilment when the parties are further apart (default: 60% of the strength)'],
+    ['expiry', 'Expiry (ticks)', 'Ticks after issue before an unresolved obligation expires'],
+    ['proximity', 'Proximity', 'Distance that counts as near for this norm (default: proximity threshold)'],
+    ['trustReward', 'Trust reward', 'Trust gained when an obligation is fulfilled (default: trust increment)'],
+    ['trustPenalty', 'Trust penalty', 'Trust lost when an obligation is denied or expires (default: trust decrement)']
+  ].map(([key, placeholder, title]) => {
+    const input = createInput('').parent(advancedPanel).style('width', '48%').style('margin-top', '4px');
+    input.attribute('placeholder', placeholder).attribute('title', title);
+    return [key, input];
+  });
+  ruleInputs.forEach(([, input], i) => { if (i % 2 === 1) input.style('margin-left', '4%'); });
+  const normRolesInput = createInput('').parent(advancedPanel).style('width', '48%').style('margin-top', '4px');
+  normRolesInput.attribute('placeholder', 'Roles (e.g., mediator,responder)');
+  normRolesInput.attribute('title', 'Only agents with these roles acknowledge the norm (blank: decided per agent)');
+  const normScenariosInput = createInput('').parent(advancedPanel).style('width', '48%').style('margin-left', '4%').style('margin-top', '4px');
+  normScenariosInput.attribute('placeholder', 'Scenarios (e.g., pluralist)');
+  normScenariosInput.attribute('title', 'Only agents in these scenario groups acknowledge the norm (blank: decided per agent)');
+  const normReciprocalCheckbox = createCheckbox(' Reciprocal', true).parent(advancedPanel);
+  normReciprocalCheckbox.attribute('title', 'Untick so that fulfilment raises only the source\'s trust, not the target\'s');
+  const addNormButton = createButton('Add / Update Norm').parent(advancedPanel).style('margin-top', '4px');
   // Tooltip for the Add Norm button
-  addNormButton.attribute('title', 'Register the custom norm with the provided name and colour');
+  addNormButton.attribute('title', 'Register the custom norm with the provided name, colour and rules, or update the norm of that name');
   addNormButton.mousePressed(() => {
     const name = normNameInput.value().trim();
     const colourText = normColorInput.value().trim();
     if (!name) return;
     const parts = colourText.split(',').map(p => parseInt(p.trim(), 10));
-    if (parts.length !== 3 || parts.some(p => isNaN(p))) return;
-    onAddNorm({ name, color: parts });
-    // Clear inputs after adding
+    const spec = { name, color: parts };
+    for (const [key, input] of ruleInputs) {
+      if (input.value().trim() !== '') spec[key] = input.value().trim();
+    }
+    const list = input => input.value().split(',').map(v => v.trim()).filter(v => v !== '');
+    const roles = list(normRolesInput);
+    const scenarios = list(normScenariosInput);
+    if (roles.length > 0 || scenarios.length > 0) {
+      spec.acknowledgedBy = {};
+      if (roles.length > 0) spec.acknowledgedBy.roles = roles;
+      if (scenarios.length > 0) spec.acknowledgedBy.scenarios = scenarios;
+    }
+    if (!normReciprocalCheckbox.checked()) spec.reciprocal = false;
+    // Keep the inputs if the definition is rejected so it can be fixed
+    if (!onAddNorm(spec)) return;
     normNameInput.value('');
     normColorInput.value('');
+    for (const [, input] of ruleInputs) input.value('');
+    normRolesInput.value('');
+    normScenariosInput.value('');
+    normReciprocalCheckbox.checked(true);
+    refreshNormManager();
   });
 
+  // Copy a norm's current definition into the form above so that it
+  // can be changed and saved with Add / Update Norm
+  function fillNormForm(norm) {
+    const rules = norm.rules || {};
+    normNameInput.value(norm.name);
+    normColorInput.value(norm.color.join(','));
+    for (const [key, input] of ruleInputs) input.value(rules[key] ?? '');
+    normRolesInput.value((rules.acknowledgedBy?.roles || []).join(','));
+    normScenariosInput.value((rules.acknowledgedBy?.scenarios || []).join(','));
+    normReciprocalCheckbox.checked(rules.reciprocal !== false);
+  }
+
+  // Norm manager.  Lists every registered norm with its colour, the
+  // share of agents acknowledging it and the outcomes of the
+  // obligations issued under it.  Edit loads the norm into the form
+  // above; Disable stops new obligations under it; Delete (custom
+  // norms only) removes it from the model.  The rows are rebuilt when
+  // the set of norms changes.  The caller refreshes the figures when
+  // the model has moved on; a collapsed panel is left alone until it
+  // is opened again.
+  createSpan('Norm manager').parent(advancedPanel).style('display', 'block').style('margin-top', '12px');
+  const normManager = createDiv('').parent(advancedPanel).style('text-align', 'left').style('font-size', '12px');
+  let normRows = new Map();
+  let normRowsKey = '';
+  function refreshNormManager() {
+    if (advancedPanel.style('display') === 'none') return;
+    const stats = getNormStats();
+    const key = stats.map(n => `${n.name}:${n.enabled}:${n.custom}:${n.color.join(',')}`).join('|');
+    if (key !== normRowsKey) {
+      normRowsKey = key;
+      normManager.html('');
+      normRows = new Map();
+      for (const norm of stats) {
+        const row = createDiv('').parent(normManager).style('margin', '3px 0');
+        createSpan('■ ').parent(row).style('color', `rgb(${norm.color.join(',')})`);
+        createSpan(norm.enabled ? norm.name : `${norm.name} (disabled)`).parent(row).style('font-weight', 'bold');
+        const figures = createSpan('').parent(row).style('margin-left', '6px').style('color', '#555');
+        createButton('Edit').parent(row).style('margin-left', '6px')
+          .attribute('title', 'Load this norm into the form above to change its colour and rules')
+          .mousePressed(() => fillNormForm(norm));
+        createButton(norm.enabled ? 'Disable' : 'Enable').parent(row).style('margin-left', '4px')
+          .attribute('title', norm.enabled ? 'Stop issuing new obligations under this norm' : 'Issue obligations under this norm again')
+          .mousePressed(() => { onSetNormEnabled(norm.name, !norm.enabled); refreshNormManager(); });
+        if (norm.custom) {
+          createButton('Delete').parent(row).style('margin-left', '4px')
+            .attribute('title', 'Remove this norm from the agents, the legend and the selectors')
+            .mousePressed(() => { onDeleteNorm(norm.name); refreshNormManager(); });
+        }
+        normRows.set(norm.name, figures);
+      }
+    }
+    for (const norm of stats) {
+      normRows.get(norm.name).html(
+        `ack ${(norm.acknowledgedShare * 100).toFixed(0)}% · ${norm.issued} issued: ` +
+        `${norm.fulfilled} fulfilled, ${norm.denied} denied, ${norm.expired} expired, ${norm.repaired} repaired · ` +
+        `repair rate ${(norm.repairRate * 100).toFixed(0)}% of ${norm.repairAttempts}`
+      );
+    }
+  }
+
   // Model parameter controls.  This section exposes internal
   // simulation constants to the user via sliders.  Adjusting these
   // values through the GUI modifies the global SIM_CONFIG at runtime.
@@ -378,6 +691,27 @@ export function createGUI({
   trustAttrSlider.attribute('title', 'Trust attraction coefficient: additional attraction towards trusted agents');
   // Show current value next to the slider
   const trustAttrValue = createSpan(trustAttrSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
+  // Group dynamics thresholds (see SIM_CONFIG.groups)
+  createSpan('Group merge threshold').parent(advancedPanel).style('display','block').style('margin-top','6px');
+  const mergeSlider = createSlider(0, 10, 3, 0.1).parent(advancedPanel);
+  mergeSlider.style('width','100%');
+  mergeSlider.attribute('title', 'Average trust between two groups above which the smaller merges into the larger');
+  const mergeValue = createSpan(mergeSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
+  createSpan('Group hostility threshold').parent(advancedPanel).style('display','block').style('margin-top','6px');
+  const hostileSlider = createSlider(-2, 3, 0.5, 0.05).parent(advancedPanel);
+  hostileSlider.style('width','100%');
+  hostileSlider.attribute('title', 'Average trust between two groups below which they become hostile and stop issuing obligations to each other');
+  const hostileValue = createSpan(hostileSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
+  createSpan('Truce hysteresis').parent(advancedPanel).style('display','block').style('margin-top','6px');
+  const hysteresisSlider = createSlider(0, 2, 0.25, 0.05).parent(advancedPanel);
+  hysteresisSlider.style('width','100%');
+  hysteresisSlider.attribute('title', 'How far above the hostility threshold trust must climb before hostile groups make a truce');
+  const hysteresisValue = createSpan(hysteresisSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
+  createSpan('Schism threshold').parent(advancedPanel).style('display','block').style('margin-top','6px');
+  const schismSlider = createSlider(-3, 0, -0.35, 0.05).parent(advancedPanel);
+  schismSlider.style('width','100%');
+  schismSlider.attribute('title', 'Average trust among a group\'s members below which the group splits in two');
+  const schismValue = createSpan(schismSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
   // Memory length base
   createSpan('Memory length (base)').parent(advancedPanel).style('display','block').style('margin-top','6px');
   const memorySlider = createSlider(0.1, 1.0, 0.6, 0.05).parent(advancedPanel);
@@ -401,10 +735,10 @@ export function createGUI({
   validationCheckbox.attribute('title', 'When checked, run in dry-run validation mode (no rendering)');
 
   // Batch run controls
-  createSpan('Batch runs').parent(advancedPanel).style('display','block').style('margin-top','8px');
+  createSpan('Batch replicates').parent(advancedPanel).style('display','block').style('margin-top','8px');
   const batchRunsSlider = createSlider(1, 50, 5, 1).parent(advancedPanel);
   batchRunsSlider.style('width','100%');
-  batchRunsSlider.attribute('title', 'Number of consecutive runs to execute in batch mode');
+  batchRunsSlider.attribute('title', 'Number of replicate runs per scenario and toggle combination in batch mode');
   const batchRunsValue = createSpan(batchRunsSlider.value()).parent(advancedPanel).style('margin-left','6px').style('color','#555');
   createSpan('Generations per run').parent(advancedPanel).style('display','block').style('margin-top','6px');
   const batchGenSlider = createSlider(1, 200, 25, 1).parent(advancedPanel);
@@ -428,6 +762,10 @@ export function createGUI({
       separation: separationSlider.value(),
       alignment: alignmentSlider.value(),
       trustAttraction: trustAttrSlider.value(),
+      mergeThreshold: mergeSlider.value(),
+      hostileThreshold: hostileSlider.value(),
+      groupHysteresis: hysteresisSlider.value(),
+      schismThreshold: schismSlider.value(),
       memoryBase: memorySlider.value(),
       moralStanceDistribution: stanceSelect.value().toLowerCase(),
       validationMode: validationCheckbox.checked()
@@ -445,6 +783,10 @@ export function createGUI({
   separationSlider.input(notifyParams);
   alignmentSlider.input(notifyParams);
   trustAttrSlider.input(notifyParams);
+  mergeSlider.input(notifyParams);
+  hostileSlider.input(notifyParams);
+  hysteresisSlider.input(notifyParams);
+  schismSlider.input(notifyParams);
   memorySlider.input(notifyParams);
   stanceSelect.changed(notifyParams);
   validationCheckbox.changed(notifyParams);
@@ -460,6 +802,48 @@ export function createGUI({
   // Initialise the numerical displays with the current slider values
   updateValueDisplays();
 
+  // Move the controls to the given flat settings, as returned by
+  // onLoadSettings.  Values for which there is no control are ignored.
+  function setControlValues(values) {
+    const sliders = {
+      numAgents: agentSlider,
+      proximityThreshold: proxSlider,
+      trustIncrement: trustIncSlider,
+      trustDecrement: trustDecSlider,
+      expirationBase: expireBaseSlider,
+      expirationRandom: expireRandSlider,
+      reproductionChance: reproSlider,
+      deathRate: deathSlider,
+      cohesion: cohesionSlider,
+      separation: separationSlider,
+      alignment: alignmentSlider,
+      trustAttraction: trustAttrSlider,
+      mergeThreshold: mergeSlider,
+      hostileThreshold: hostileSlider,
+      groupHysteresis: hysteresisSlider,
+      schismThreshold: schismSlider,
+      memoryBase: memorySlider
+    };
+    for (const [key, slider] of Object.entries(sliders)) {
+      if (values[key] !== undefined) slider.value(values[key]);
+    }
+    // Selects hold labels such as 'A Priori biased' for the stored 'apriori'
+    const matchOption = (select, value, toKey) => {
+      const option = Array.from(select.elt.options).find(o => toKey(o.value) === value);
+      if (option) select.selected(option.value);
+    };
+    if (values.defaultNormDistribution !== undefined) {
+      matchOption(normSelect, values.defaultNormDistribution,
+        label => label.toLowerCase().replace(/\s*biased$/, '').replace(/[\s-]/g, ''));
+    }
+    if (values.moralStanceDistribution !== undefined) {
+      matchOption(stanceSelect, values.moralStanceDistribution, label => label.toLowerCase());
+    }
+    if (values.validationMode !== undefined) validationCheckbox.checked(values.validationMode);
+    if (values.seed !== undefined) seedInput.value(values.seed);
+    updateValueDisplays();
+  }
+
   // Update the number displays next to each slider.  This helper
   // function is called whenever any model parameter changes.
   function updateValueDisplays() {
@@ -473,10 +857,14 @@ export function createGUI({
     separationValue.html(parseFloat(separationSlider.value()).toFixed(2));
     alignmentValue.html(parseFloat(alignmentSlider.value()).toFixed(2));
     trustAttrValue.html(parseFloat(trustAttrSlider.value()).toFixed(2));
+    mergeValue.html(parseFloat(mergeSlider.value()).toFixed(1));
+    hostileValue.html(parseFloat(hostileSlider.value()).toFixed(2));
+    hysteresisValue.html(parseFloat(hysteresisSlider.value()).toFixed(2));
+    schismValue.html(parseFloat(schismSlider.value()).toFixed(2));
     memoryValue.html(parseFloat(memorySlider.value()).toFixed(2));
     batchRunsValue.html(parseInt(batchRunsSlider.value()));
     batchGenValue.html(parseInt(batchGenSlider.value()));
   }
 
-  return panel;
+  return { panel, refreshNormManager };
 }
\ No newline at end of file
@@ -0,0 +1,231 @@
+// inspector.js
+//
+// The agent inspector: a panel pinned to the right of the page that
+// follows one agent through its life.  Clicking an agent on the canvas
+// selects it (see mousePressed() in sketch.js); the panel then shows
+// the agent's traits and acknowledgments, its biography as sparklines,
+// the agents it trusts and its pending and resolved obligations.  The
+// caller refreshes it when the run moves on (see draw() in sketch.js).
+// Peers in the trust and obligation lists are links that move the
+// inspector to that peer.  When the agent dies the panel keeps showing
+// its archived biography.
+//
+// Like gui.js the panel reads no simulation state itself: the caller
+// supplies a function returning the profile of an agent (see
+// agentProfile() in simulation.js) and is told when the selection
+// changes.
+
+import { COLORS, normTypes } from './config.js';
+
+// Biography fields drawn as sparklines: field, label, colour
+const SPARKLINES = [
+  ['debt', 'Debt', '#3232c8'],
+  ['conflict', 'Conflict', '#c83232'],
+  ['trustCount', 'Trust ties', '#2a8a2a'],
+  ['trustMax', 'Max trust', '#7a5a00'],
+  ['momentum', 'Momentum', '#666']
+];
+
+// Escape text for use in the panel's HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// CSS colour of a norm from the palette in config.js
+function normColor(norm) {
+  const rgb = COLORS.norms[norm] || [120, 120, 120];
+  return `rgb(${rgb[0]},${rgb[1]},${rgb[2]})`;
+}
+
+// A number for display: fixed decimals, or '–' when missing
+function formatNumber(value, digits = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '–';
+}
+
+// Link that selects agent `id` when pressed
+function agentLink(id) {
+  return `<a href="#" data-agent="${id}">#${id}</a>`;
+}
+
+/**
+ * Draw a series of values as an inline SVG sparkline.
+ *
+ * @param {Array<number>} values The series, oldest first
+ * @param {string} stroke CSS colour of the line
+ * @returns {string} SVG markup
+ */
+function sparkline(values, stroke) {
+  const w = 140, h = 22;
+  if (values.length === 0) return `<svg width="${w}" height="${h}"></svg>`;
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const points = values.map((v, i) => {
+    const x = values.length > 1 ? (i / (values.length - 1)) * w : w / 2;
+    const y = h - 1 - ((v - min) / span) * (h - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  return `<svg width="${w}" height="${h}" style="vertical-align:middle">` +
+    `<polyline points="${points}" fill="none" stroke="${stroke}" stroke-width="1.5"/></svg>`;
+}
+
+/**
+ * Draw the acknowledgment of each norm over the agent's life as a
+ * strip: one cell per recorded generation, filled in the norm's colour
+ * where the agent acknowledged it.
+ */
+function acknowledgmentStrips(biography, norms) {
+  const w = 140, h = 8;
+  const cell = biography.length > 0 ? w / biography.length : w;
+  return norms.map(norm => {
+    const cells = biography.map((entry, i) => entry.acknowledgments?.[norm]
+      ? `<rect x="${(i * cell).toFixed(1)}" y="0" width="${Math.max(cell, 1).toFixed(1)}" height="${h}" fill="${normColor(norm)}"/>`
+      : '').join('');
+    return `<div><span style="display:inline-block;width:70px">${escapeHtml(norm)}</span>` +
+      `<svg width="${w}" height="${h}" style="background:#eee">${cells}</svg></div>`;
+  }).join('');
+}
+
+/**
+ * Render a profile from agentProfile() as the panel's HTML.
+ */
+function renderProfile(profile) {
+  const { id, alive, traits, acknowledgments, biography, trust, active, history } = profile;
+  const life = alive
+    ? `alive, born in generation ${profile.birthGeneration}`
+    : `died in generation ${profile.deathGeneration}, born in ${profile.birthGeneration}`;
+  const parent = profile.parentId === null ? 'none (founding agent)' : agentLink(profile.parentId);
+  const traitRows = [
+    ['Preferred norm', traits.normPreference],
+    ['Scenario group', traits.scenarioGroup],
+    ['Affiliation', traits.affiliation],
+    ['Role', traits.role],
+    ['Temperament', formatNumber(traits.temperament)],
+    ['Moral stance', traits.moralStance],
+    ['Memory length', formatNumber(traits.memoryLength)],
+    ['Vulnerability', formatNumber(traits.vulnerability)],
+    ['Cultural momentum', formatNumber(traits.culturalMomentum)],
+    ['Contradiction debt', formatNumber(traits.contradictionDebt)],
+    ['Internal conflict', formatNumber(traits.internalConflict)],
+    ['Obligations imposed', traits.obligationsImposed],
+    ['Obligations received', traits.obligationsReceived]
+  ].filter(([, value]) => value !== undefined && value !== null);
+  const norms = [...new Set([...normTypes, ...Object.keys(acknowledgments)])];
+  const ackList = norms.map(norm =>
+    `<span style="color:${normColor(norm)}">■</span> ${escapeHtml(norm)} ${acknowledgments[norm] ? '✓' : '✗'}`
+  ).join(' &nbsp;');
+  const sparklines = SPARKLINES.map(([field, label, stroke]) => {
+    const values = biography.map(entry => entry[field]).filter(v => typeof v === 'number' && Number.isFinite(v));
+    const latest = values.length > 0 ? formatNumber(values[values.length - 1]) : '–';
+    return `<div><span style="display:inline-block;width:70px">${label}</span>${sparkline(values, stroke)} ${latest}</div>`;
+  }).join('');
+  const trustList = trust.length === 0
+    ? '<em>none</em>'
+    : trust.map(peer => `${agentLink(peer.id)} ${formatNumber(peer.trust)}` +
+      (peer.alive ? ` <span style="color:#777">${escapeHtml(peer.affiliation)}</span>` : ' <span style="color:#777">(dead)</span>')
+    ).join('<br>');
+  const activeList = active.length === 0
+    ? '<em>none</em>'
+    : active.map(o => `${o.direction === 'issued' ? '→' : '←'} ${agentLink(o.peer)} ` +
+      `<span style="color:${normColor(o.norm)}">${escapeHtml(o.norm)}</span> ${formatNumber(o.strength)}` +
+      (o.repair ? ' (repair)' : '')).join('<br>');
+  const historyList = history.length === 0
+    ? '<em>none</em>'
+    : history.map(row => `g${row.generation} ${row.direction === 'issued' ? '→' : '←'} ${agentLink(row.peer)} ` +
+      `<span style="color:${normColor(row.norm)}">${escapeHtml(row.norm)}</span> ${escapeHtml(row.status)}` +
+      (row.kind ? ` (${escapeHtml(row.kind)})` : '') +
+      (row.reason && row.reason !== row.status ? ` <span style="color:#777">${escapeHtml(row.reason)}</span>` : '')
+    ).join('<br>');
+  const section = title => `<div style="margin-top:8px;font-weight:bold">${title}</div>`;
+  return `
+    <div style="display:flex;justify-content:space-between;align-items:center">
+      <strong>Agent #${id}</strong>
+      <button data-close="1" title="Close the inspector and clear the selection">✖</button>
+    </div>
+    <div style="color:#555">${life}; parent ${parent}</div>
+    ${section('Traits')}
+    <table style="border-collapse:collapse">${traitRows.map(([label, value]) =>
+      `<tr><td style="padding-right:8px;color:#555">${label}</td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+    ${section('Acknowledgments')}
+    <div>${ackList}</div>
+    ${section(`Biography (${biography.length} generations)`)}
+    ${sparklines}
+    ${acknowledgmentStrips(biography, norms)}
+    ${section(`Trusts (${trust.length})`)}
+    <div>${trustList}</div>
+    ${section(`Pending obligations (${active.length})`)}
+    <div>${activeList}</div>
+    ${section(`Resolved obligations (latest ${history.length})`)}
+    <div>${historyList}</div>
+  `;
+}
+
+/**
+ * Build the inspector panel.  It starts hidden and shows itself when
+ * an agent is selected.
+ *
+ * @param {Object} options
+ * @param {Function} options.getProfile Called with an agent id; returns
+ *        its profile (see agentProfile() in simulation.js) or null
+ * @param {Function} options.onSelect Called with the id of the agent
+ *        selected through a link in the panel, or null when the panel
+ *        is closed or its agent no longer exists
+ * @returns {Object} {select(id), selected(), refresh()}: select(id) shows
+ *          agent id, or hides the panel for null; selected() returns the
+ *          id shown; refresh() redraws the panel from a fresh profile
+ */
+export function createInspector({ getProfile = () => null, onSelect = () => {} } = {}) {
+  const panel = createDiv('')
+    .id('agent-inspector')
+    .style('position', 'absolute')
+    .style('top', '20px')
+    .style('right', '20px')
+    .style('width', '300px')
+    .style('max-height', '80vh')
+    .style('overflow-y', 'auto')
+    .style('background', '#fffff8')
+    .style('padding', '10px')
+    .style('border', '1px solid #ccc')
+    .style('border-radius', '8px')
+    .style('font-family', 'Arial')
+    .style('font-size', '12px')
+    .style('text-align', 'left')
+    .style('z-index', '900')
+    .style('display', 'none');
+  let selectedId = null;
+
+  function refresh() {
+    if (selectedId === null) return;
+    const profile = getProfile(selectedId);
+    if (!profile) {
+      // The agent belongs to a run that has been reset
+      select(null);
+      onSelect(null);
+      return;
+    }
+    panel.html(renderProfile(profile));
+  }
+
+  function select(id) {
+    selectedId = id;
+    panel.style('display', id === null ? 'none' : 'block');
+    refresh();
+  }
+
+  // Links and the close button act on mousedown so that a refresh at a
+  // new generation between pressing and releasing the button cannot
+  // swallow the click
+  panel.elt.addEventListener('mousedown', event => {
+    const target = event.target.closest('[data-agent], [data-close]');
+    if (!target) return;
+    event.preventDefault();
+    const id = target.dataset.close ? null : Number(target.dataset.agent);
+    select(id);
+    onSelect(id);
+  });
+  panel.elt.addEventListener('click', event => {
+    if (event.target.closest('[data-agent]')) event.preventDefault();
+  });
+
+  return { select, selected: () => selectedId, refresh };
+}
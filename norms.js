@@ -4,20 +4,26 @@
 // colour for drawing and functions for acknowledging and enforcing
 // obligations.  Researchers can register additional norms at run
 // time via the `registerNorm` function.  The enforcement logic here
-// encapsulates the default behaviour for obligations: denying when
-// one party does not acknowledge the norm, expiring after a
-// configurable lifespan and fulfilling when agents come within a
-// specified proximity.
+// encapsulates the default behaviour for obligations: resolving them
+// when they reach their target, with fulfilment less likely when the
+// parties are far apart or do not acknowledge the norm, and expiring
+// them after a configurable wait.
 
 import { COLORS, SIM_CONFIG } from './config.js';
+import { Vector } from './vector.js';
+import { random } from './random.js';
 
 /**
  * Registry of norms.  Keys correspond to norm names.  Each value
  * defines:
  *  - color: an array of RGB values used to colour obligation lines
- *  - enforceFn: a function taking (vector, state) and returning
- *    nothing; it should handle fulfillment, denial, expiration and
- *    force application
+ *  - enforceFn: a function taking (vector, state) and returning a
+ *    decision (see toDecision()).  It is called every tick while the
+ *    obligation is pending, with state = {generation, arrived}, where
+ *    arrived tells whether the obligation's line has reached its
+ *    target.  It must not change the agents itself: the
+ *    ObligationVector applies the decision exactly once.  A result
+ *    that is not a valid decision falls back to defaultEnforce().
  *  - acknowledgeFn: a function taking (agent) and returning
  *    a boolean indicating whether the agent acknowledges the norm
  */
@@ -57,56 +63,127 @@ export function registerNorm(name, spec) {
 }
 
 /**
- * Default enforcement logic used by all built in norms.  The logic
- * reflects the behaviour of the original monolithic sketch: if
- * either agent does not acknowledge the norm the obligation is
- * denied; obligations expire after a configurable number of ticks;
- * when the agents come within the proximity threshold the
- * obligation is fulfilled and trust is incremented.
+ * Default enforcement rule used by all built in norms.  An obligation
+ * expires once it has been pending longer than its maxAge, whether or
+ * not its line has reached the target, and otherwise stays pending
+ * until the line arrives.  On arrival it is
+ * fulfilled with probability equal to its strength, reduced to 60%
+ * when the parties are beyond the proximity threshold and halved when
+ * either does not acknowledge the norm, then adjusted by the target's
+ * traits (see Agent.fulfilmentChance()).  Otherwise it is denied.
  *
- * @param {Object} vec The obligation vector (with source/target)
- * @param {Object} state Simulation state containing generation and obligationLog
+ * @param {ObligationVector} vec The obligation being enforced
+ * @param {Object} state {generation, arrived}
+ * @returns {Object} The decision (see toDecision())
  */
-export function defaultEnforce(vec, { generation, obligationLog }) {
-  const { enforcementRules, trustGrowth } = SIM_CONFIG;
-  const proximity = enforcementRules.proximityThreshold;
-  const dist = p5.Vector.dist(vec.source.pos, vec.target.pos);
-  const source = vec.source;
-  const target = vec.target;
-  const norm = vec.normType;
+export function defaultEnforce(vec, { arrived }) {
+  if (vec.age > vec.maxAge) return { status: 'expired', reason: 'expired' };
+  if (!arrived) return { status: 'pending' };
+  const { source, target, norm } = vec;
+  const d = Vector.dist(source.pos, target.pos);
+  const proximityOK = d < (SIM_CONFIG.enforcementRules.proximityThreshold || 150);
+  const ackOK = acknowledges(source, norm) && acknowledges(target, norm);
+  const p = target.fulfilmentChance(vec, (vec.strength * (proximityOK ? 1.0 : 0.6)) * (ackOK ? 1.0 : 0.5));
+  if (random() < p) return { status: 'fulfilled', reason: 'fulfilled' };
+  return { status: 'denied', reason: !ackOK ? 'unacknowledged' : !proximityOK ? 'out of reach' : 'refused' };
+}
 
-  // Check acknowledgments
-  if (!normRegistry[norm].acknowledgeFn(source) || !normRegistry[norm].acknowledgeFn(target)) {
-    if (!source.relationalLedger.has(target.id)) {
-      source.relationalLedger.set(target.id, 'denied');
-      obligationLog.push({ status: 'denied', norm, from: source.id, to: target.id, generation });
-    }
-    return;
-  }
+// Whether an agent acknowledges a norm, through the norm's own test
+// when it is registered
+function acknowledges(agent, norm) {
+  const test = normRegistry[norm]?.acknowledgeFn;
+  return !!(test ? test(agent) : agent[`${norm}Acknowledges`]);
+}
 
-  // Expiration
-  if (!vec.fulfilled && vec.age >= vec.expiration) {
-    if (!source.relationalLedger.has(target.id)) {
-      source.relationalLedger.set(target.id, 'expired');
-      obligationLog.push({ status: 'expired', norm, from: source.id, to: target.id, generation });
-    }
-    return;
-  }
+// Statuses an enforcement decision may carry
+const DECISION_STATUSES = ['pending', 'fulfilled', 'denied', 'expired'];
 
-  // Fulfilment
-  if (dist < proximity && !vec.fulfilled) {
-    source.obligationAttempts++;
-    source.obligationSuccesses++;
-    // Trust increment uses configured trust growth
-    const currentTrust = source.trustMap.get(target.id) || 0;
-    source.trustMap.set(target.id, currentTrust + trustGrowth.increment);
-    source.relationalLedger.set(target.id, 'fulfilled');
-    vec.fulfilled = true;
-    obligationLog.push({ status: 'fulfilled', norm, from: source.id, to: target.id, generation });
-  }
-  // Apply force
-  const force = p5.Vector.sub(target.pos, source.pos);
-  force.setMag(vec.strength);
-  source.applyForce(force);
-  vec.age++;
-}
\ No newline at end of file
+/**
+ * Bring an enforcement rule's result into the canonical decision form
+ * {status, reason, trust, debt}:
+ *  - status: 'pending' | 'fulfilled' | 'denied' | 'expired'
+ *  - reason: short text recorded with the outcome (defaults to status)
+ *  - trust: {source, target} changes to the source's trust in the
+ *    target and the target's trust in the source; omitted entries use
+ *    SIM_CONFIG.trustGrowth (see ObligationVector.apply())
+ *  - debt: contradiction debt the outcome adds to the source; defaults
+ *    to 1 for denied or expired obligations and 0 otherwise
+ * A bare status string is accepted as shorthand for {status}.
+ *
+ * @param {*} result The value returned by an enforceFn
+ * @returns {Object|null} The decision, or null if result is not a
+ *          valid decision
+ */
+export function toDecision(result) {
+  const decision = typeof result === 'string' ? { status: result } : result;
+  if (!decision || typeof decision !== 'object' || !DECISION_STATUSES.includes(decision.status)) return null;
+  return {
+    status: decision.status,
+    reason: decision.reason ?? decision.status,
+    trust: decision.trust ?? {},
+    debt: decision.debt ?? (decision.status === 'denied' || decision.status === 'expired' ? 1 : 0)
+  };
+}
+
+/**
+ * Build the enforceFn and acknowledgeFn of a norm from a declarative
+ * rule set, as written in the GUI's custom norm form or the "norms"
+ * list of a settings file (validated by validateNormSpec() in
+ * settings.js).  Rules left out behave as in defaultEnforce():
+ *  - fulfilmentNear / fulfilmentFar: chance that an obligation between
+ *    acknowledging parties is fulfilled when they are within / beyond
+ *    `proximity` (default: its strength, and 60% of it)
+ *  - proximity: the distance threshold (default
+ *    enforcementRules.proximityThreshold)
+ *  - expiry: ticks an obligation may stay pending, counted from the
+ *    tick it is issued (default: a random lifespan from enforcementRules)
+ *  - trustReward / trustPenalty: trust gained on fulfilment and lost on
+ *    denial or expiry (default SIM_CONFIG.trustGrowth)
+ *  - reciprocal: false means fulfilment raises only the source's trust
+ *  - acknowledgedBy: {roles, scenarios}; exactly the agents whose role
+ *    and scenario group are listed acknowledge the norm (an empty or
+ *    missing list matches everyone).  The simulation keeps the agents'
+ *    acknowledgment flags in line with it and norm learning leaves the
+ *    norm alone.  Without it each agent's own acknowledgment flag
+ *    decides, as for the built-in norms.
+ *
+ * @param {string} name The norm name
+ * @param {Object} [rules] The rule set
+ * @returns {Object} {enforceFn, acknowledgeFn} for registerNorm()
+ */
+export function compileNormRules(name, rules = {}) {
+  const flag = `${name}Acknowledges`;
+  const acknowledgedBy = rules.acknowledgedBy;
+  const roles = acknowledgedBy?.roles || [];
+  const scenarios = acknowledgedBy?.scenarios || [];
+  const acknowledgeFn = acknowledgedBy
+    ? agent => (roles.length === 0 || roles.includes(agent.role)) &&
+        (scenarios.length === 0 || scenarios.includes(agent.scenarioGroup))
+    : agent => !!agent[flag];
+  const penalty = rules.trustPenalty === undefined ? {} : { source: -rules.trustPenalty, target: -rules.trustPenalty };
+
+  const enforceFn = (vec, { arrived }) => {
+    if (vec.age > (rules.expiry ?? vec.maxAge)) return { status: 'expired', reason: 'expired', trust: penalty };
+    if (!arrived) return { status: 'pending' };
+    const { source, target } = vec;
+    const proximity = rules.proximity ?? (SIM_CONFIG.enforcementRules.proximityThreshold || 150);
+    const near = Vector.dist(source.pos, target.pos) < proximity;
+    const ackOK = acknowledgeFn(source) && acknowledgeFn(target);
+    const base = near ? (rules.fulfilmentNear ?? vec.strength) : (rules.fulfilmentFar ?? vec.strength * 0.6);
+    const p = target.fulfilmentChance(vec, base * (ackOK ? 1.0 : 0.5));
+    if (random() < p) {
+      const reciprocal = rules.reciprocal !== false && vec.reciprocal;
+      return {
+        status: 'fulfilled',
+        reason: 'fulfilled',
+        trust: { source: rules.trustReward, target: reciprocal ? rules.trustReward : 0 }
+      };
+    }
+    return {
+      status: 'denied',
+      reason: !ackOK ? 'unacknowledged' : !near ? 'out of reach' : 'refused',
+      trust: penalty
+    };
+  };
+  return { enforceFn, acknowledgeFn };
+}
@@ -0,0 +1,111 @@
+// random.js
+//
+// Random number helpers for the model core.  The simulation originally
+// drew every random value from p5's global random() function, which
+// ties the model to a browser page.  This module reproduces the p5
+// calling conventions so that the same code paths run unchanged under
+// plain Node (see run.js) as well as inside the p5 sketch.
+//
+// All draws come from a seeded generator (mulberry32).  Seeding it with
+// setSeed() before a run makes the run reproducible: the same seed,
+// scenario and settings yield identical agent logs, obligation logs and
+// generation metrics.
+
+// The seed currently in effect and the generator derived from it.
+let currentSeed = null;
+let nextRandom = Math.random;
+
+/**
+ * Hash an arbitrary seed value into a 32-bit unsigned integer.  Numeric
+ * seeds (including numeric strings such as "42") map to themselves so
+ * that a seed typed into the GUI matches the same seed passed on the
+ * command line.  Other strings are hashed with FNV-1a.
+ */
+function hashSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator returning floats in [0, 1).
+ */
+function mulberry32(a) {
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed the generator.  A blank seed (undefined, null or empty string)
+ * draws a fresh seed so that unseeded runs can still be reproduced
+ * later from the recorded value.
+ *
+ * @param {number|string} [seed] The seed to use
+ * @returns {number|string} The seed now in effect
+ */
+export function setSeed(seed) {
+  const blank = seed === undefined || seed === null || String(seed).trim() === '';
+  currentSeed = blank ? Math.floor(Math.random() * 4294967296) : seed;
+  nextRandom = mulberry32(hashSeed(currentSeed));
+  return currentSeed;
+}
+
+/**
+ * Return the seed currently in effect, or null if setSeed() has not
+ * been called yet.
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Pick an element of an array with probability proportional to its
+ * weight.  Falls back to a uniform choice when all weights are zero.
+ *
+ * @param {Array} items The candidates
+ * @param {Function} weightFn Returns a non-negative weight per item
+ * @returns {*} The chosen element, or undefined for an empty array
+ */
+export function randomWeighted(items, weightFn) {
+  const weights = items.map(item => Math.max(0, weightFn(item)));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return random(items);
+  let r = random(total);
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * Return a random value following p5's random() semantics:
+ *  - random()          → float in [0, 1)
+ *  - random(max)       → float in [0, max)
+ *  - random(min, max)  → float in [min, max)
+ *  - random(array)     → a uniformly chosen element of the array
+ *
+ * @param {number|Array} [min] Upper bound, lower bound or array of choices
+ * @param {number} [max] Upper bound when a lower bound is supplied
+ * @returns {*} The random number or array element
+ */
+export function random(min, max) {
+  const r = nextRandom();
+  if (min === undefined) return r;
+  if (Array.isArray(min)) {
+    return min[Math.floor(r * min.length)];
+  }
+  if (max === undefined) return r * min;
+  if (min > max) [min, max] = [max, min];
+  return r * (max - min) + min;
+}
@@ -0,0 +1,196 @@
+// run.js
+//
+// Headless command-line runner for the simulation core.  Runs a single
+// scenario for a fixed number of generations under plain Node and
+// writes the same files that the browser's download buttons produce,
+// loose and packed in a bundle with its manifest (see bundle.js).  No
+// p5 or browser APIs are involved, which makes overnight parameter
+// sweeps possible on a server.
+//
+// Usage:
+//   node run.js --scenario pluralist --generations 200
+//   node run.js --batch experiment.json
+//
+// Options:
+//   --config <file>        Settings JSON to load first (see settings.js); the
+//                          options below override values from the file
+//   --scenario <name>      Scenario to load (default: pluralist, or the file's scenario)
+//   --generations <n>      Generations to simulate (default: SIM_CONFIG.maxGenerations)
+//   --agents <n>           Initial population (default: SIM_CONFIG.numAgents)
+//   --out <dir>            Output directory (default: BATCH_SETTINGS.batchOutputDir)
+//   --moralRepair [bool]   Enable or disable moral repair
+//   --directed [bool]      Enable or disable directed norm emergence
+//   --targeting [bool]     Enable or disable vulnerability targeting
+//   --seed <value>         Random seed; the same seed and options reproduce a run
+//   --batch [file]         Run a batch experiment from a spec file (see batch.js), or
+//                          BATCH_SETTINGS when no file is given.  --scenario and
+//                          --generations narrow the spec; the toggle options are ignored.
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { SIM_CONFIG, BATCH_SETTINGS } from './config.js';
+import { SCENARIO_NAMES } from './scenarios.js';
+import { buildBundle, buildRunBundle } from './bundle.js';
+import { sim, advancedSettings, resetSimulation, stepSimulation } from './simulation.js';
+import { loadSettings } from './settings.js';
+import { buildBatchPlan, applyBatchRun, finishBatch, tagRunLogs } from './batch.js';
+
+/**
+ * Parse `--key value` and bare `--flag` arguments into an object.
+ * Bare flags are recorded as the string 'true'.
+ *
+ * @param {Array<string>} argv Command-line arguments after the script name
+ * @returns {Object} Map of option names to string values
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = 'true';
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+function parseBool(value) {
+  return !['false', 'off', 'no', '0'].includes(String(value).toLowerCase());
+}
+
+function readJSON(file, what) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot read ${what} from ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Write the files of a bundle (see bundle.js) to `outDir`, both loose
+// and packed as bundle_<label>.zip.  With BATCH_SETTINGS.exportMetaJSON
+// the manifest is also written loose as meta_<label>.json.
+function writeBundle(outDir, label, { files, manifest, zip }) {
+  mkdirSync(outDir, { recursive: true });
+  for (const { name, text } of files) writeFileSync(join(outDir, name), text);
+  const written = files.map(({ name }) => name);
+  if (BATCH_SETTINGS.exportMetaJSON) {
+    writeFileSync(join(outDir, `meta_${label}.json`), JSON.stringify(manifest, null, 2));
+    written.push(`meta_${label}.json`);
+  }
+  writeFileSync(join(outDir, `bundle_${label}.zip`), zip);
+  written.push(`bundle_${label}.zip`);
+  console.log(`Wrote ${written.join(', ')} to ${outDir}`);
+}
+
+/**
+ * Run every run of a batch plan back to back and write the aggregated,
+ * tagged logs as the batch_runs bundle: agentLog_batch_runs.csv,
+ * obligationLog_batch_runs.csv and so on, plus bundle_batch_runs.zip.
+ * Biographies are left out when the spec turns off logAgentBiographies.
+ */
+function runBatch(spec, outDir) {
+  const plan = buildBatchPlan(spec);
+  if (plan.errors.length > 0) {
+    plan.errors.forEach(message => console.error(`Batch spec: ${message}`));
+    process.exit(1);
+  }
+  console.log(`Batch of ${plan.runs.length} run(s), ${plan.generationsPerRun} generations each`);
+  const startedAt = new Date().toISOString();
+  const records = [];
+  const trustLog = [];
+  const agentLog = [];
+  const obligationLog = [];
+  const metricsLog = [];
+  const biographies = [];
+  const falsifyLog = [];
+  const repairLog = [];
+  const groupEventLog = [];
+  const learningLog = [];
+  for (const run of plan.runs) {
+    applyBatchRun(run, plan);
+    resetSimulation();
+    while (sim.generation < plan.generationsPerRun) {
+      stepSimulation();
+    }
+    const tagged = tagRunLogs(run, plan);
+    agentLog.push(...tagged.agentLog);
+    obligationLog.push(...tagged.obligationLog);
+    metricsLog.push(...tagged.metricsLog);
+    if (tagged.biographyLog) biographies.push(...tagged.biographyLog);
+    falsifyLog.push(...tagged.falsifyLog);
+    repairLog.push(...tagged.repairLog);
+    groupEventLog.push(...tagged.groupEventLog);
+    learningLog.push(...tagged.learningLog);
+    trustLog.push(...tagged.trustLog);
+    records.push(tagged.record);
+    const params = Object.entries(run.params).map(([key, value]) => `${key}=${value}`).join(' ');
+    console.log(`Run ${run.run}/${plan.runs.length}: ${run.scenario} replicate ${run.replicate}${params ? ' ' + params : ''} (seed ${sim.seed})`);
+  }
+  finishBatch(plan);
+  writeBundle(outDir, 'batch_runs', buildBundle('batch_runs', {
+    agentLog,
+    obligationLog,
+    metricsLog,
+    biographyLog: plan.logAgentBiographies ? biographies : null,
+    falsifyLog,
+    repairLog,
+    groupEventLog,
+    learningLog,
+    trustLog
+  }, { kind: 'batch', startedAt, runs: records, spec }));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.config !== undefined) {
+    const input = readJSON(options.config, 'settings');
+    const { applied, errors } = loadSettings(input);
+    errors.forEach(message => console.error(`${options.config}: ${message}`));
+    console.log(`Loaded ${applied} setting(s) from ${options.config}, skipped ${errors.length}`);
+  }
+
+  const outDir = options.out || BATCH_SETTINGS.batchOutputDir;
+  if (options.agents !== undefined) {
+    advancedSettings.numAgents = parseInt(options.agents);
+    SIM_CONFIG.numAgents = parseInt(options.agents);
+  }
+  if (options.seed !== undefined) advancedSettings.seed = options.seed;
+
+  if (options.batch !== undefined) {
+    const spec = options.batch === 'true' ? {} : readJSON(options.batch, 'batch spec');
+    if (options.scenario !== undefined) spec.scenarios = [options.scenario];
+    if (options.generations !== undefined) spec.generationsPerRun = parseInt(options.generations);
+    runBatch(spec, outDir);
+    return;
+  }
+
+  const scenario = options.scenario || (options.config !== undefined ? sim.scenario : 'pluralist');
+  if (!SCENARIO_NAMES.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}".  Available: ${SCENARIO_NAMES.join(', ')}`);
+    process.exit(1);
+  }
+  const generations = parseInt(options.generations) || SIM_CONFIG.maxGenerations;
+  sim.scenario = scenario;
+  if (options.moralRepair !== undefined) sim.enableMoralRepair = parseBool(options.moralRepair);
+  if (options.directed !== undefined) sim.enableDirectedEmergence = parseBool(options.directed);
+  if (options.targeting !== undefined) sim.enableNonReciprocalTargeting = parseBool(options.targeting);
+
+  resetSimulation();
+  while (sim.generation < generations) {
+    stepSimulation();
+  }
+
+  const latest = sim.log[sim.log.length - 1] || {};
+  console.log(`Scenario ${scenario} (seed ${sim.seed}): ${sim.generation} generations, ${sim.agents.length} agents alive`);
+  console.log(`Fulfillment rate ${(latest.fulfillmentRate ?? 0).toFixed(2)}, avg debt ${(latest.avgDebt ?? 0).toFixed(2)}`);
+  writeBundle(outDir, scenario, buildRunBundle());
+}
+
+main();
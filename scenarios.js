@@ -7,6 +7,7 @@
 // without touching other modules.
 
 import { normTypes } from './config.js';
+import { random } from './random.js';
 
 /**
  * Utility to assign acknowledgments for all norms on an agent.  A truthy
@@ -0,0 +1,479 @@
+// settings.js
+//
+// Loading simulation settings from plain objects such as the JSON
+// written by the GUI's "Download Settings" button or the format of
+// sample_config.json.  Every key is validated against the fields of
+// SIM_CONFIG, TOGGLES and advancedSettings before anything is changed,
+// so a colleague's experiment can be reproduced from a single file and
+// mistakes in that file are reported rather than silently ignored.
+//
+// Accepted keys:
+//  - the flat advanced-panel keys listed in ADVANCED_PARAMS
+//    (numAgents, proximityThreshold, trustIncrement, seed, ...)
+//  - any SIM_CONFIG field, nested objects included
+//    (e.g. "generationInterval": 50 or "reproduction": { "chance": 0.3 })
+//  - "scenario": the name of a scenario in scenarios.js
+//  - "toggles": an object of TOGGLES flags
+//  - "norms": a list of custom norm definitions (see validateNormSpec())
+
+import { SIM_CONFIG, TOGGLES, COLORS, normTypes } from './config.js';
+import { SCENARIO_NAMES } from './scenarios.js';
+import { sim, advancedSettings, addCustomNorm, setNormEnabled, SCENARIO_GROUPS } from './simulation.js';
+import { normRegistry } from './norms.js';
+import { ROLES } from './agent.js';
+import { world } from './world.js';
+
+/**
+ * Flat parameters exposed by the Advanced Settings panel.  Each entry
+ * describes how a value is parsed and checked and where it is stored:
+ * `paths` are dotted SIM_CONFIG paths, `advanced` stores the value in
+ * advancedSettings and `toggle` names a TOGGLES flag.
+ */
+export const ADVANCED_PARAMS = {
+  numAgents: { type: 'int', min: 2, paths: ['numAgents'], advanced: true },
+  proximityThreshold: {
+    type: 'float', min: 1,
+    paths: ['enforcementRules.proximityThreshold', 'obligation.proximityThreshold'],
+    advanced: true
+  },
+  defaultNormDistribution: { type: 'normDistribution', advanced: true },
+  trustIncrement: { type: 'float', min: 0, paths: ['trustGrowth.increment'] },
+  trustDecrement: { type: 'float', min: 0, paths: ['trustGrowth.decrement'] },
+  expirationBase: { type: 'int', min: 1, paths: ['enforcementRules.expirationBase'] },
+  expirationRandom: { type: 'int', min: 0, paths: ['enforcementRules.expirationRandom'] },
+  reproductionChance: { type: 'float', min: 0, max: 1, paths: ['reproduction.chance'] },
+  deathRate: { type: 'float', min: 0, max: 1, paths: ['death.baseRate'] },
+  cohesion: { type: 'float', min: 0, paths: ['forceParams.cohesion'] },
+  separation: { type: 'float', min: 0, paths: ['forceParams.separation'] },
+  alignment: { type: 'float', min: 0, paths: ['forceParams.alignment'] },
+  trustAttraction: { type: 'float', min: 0, paths: ['forceParams.trustAttraction'] },
+  mergeThreshold: { type: 'float', min: 0, paths: ['groups.mergeThreshold'] },
+  hostileThreshold: { type: 'float', min: -Infinity, paths: ['groups.hostileThreshold'] },
+  groupHysteresis: { type: 'float', min: 0, paths: ['groups.hysteresis'] },
+  schismThreshold: { type: 'float', min: -Infinity, paths: ['groups.schismThreshold'] },
+  memoryBase: { type: 'float', min: 0.1, max: 1, advanced: true },
+  moralStanceDistribution: {
+    type: 'enum', values: ['uniform', 'reactive-biased', 'proactive-biased'], advanced: true
+  },
+  validationMode: { type: 'bool', toggle: 'enableValidationMode' },
+  seed: { type: 'seed', advanced: true }
+};
+
+// Range constraints for SIM_CONFIG fields set directly.  Numeric fields
+// not listed here must be finite and non-negative.
+const CONFIG_RANGES = {
+  numAgents: { type: 'int', min: 2 },
+  generationInterval: { type: 'int', min: 1 },
+  maxGenerations: { type: 'int', min: 1 },
+  'obligation.maxVectors': { type: 'int', min: 0 },
+  'enforcementRules.expirationBase': { type: 'int', min: 1 },
+  'enforcementRules.expirationRandom': { type: 'int', min: 0 },
+  'reproduction.chance': { min: 0, max: 1 },
+  'reproduction.mutationBase': { min: 0, max: 1 },
+  'reproduction.maxConflictMutation': { min: 0, max: 1 },
+  'reproduction.preferenceInheritance': { min: 0, max: 1 },
+  'death.baseRate': { min: 0, max: 1 },
+  repairChance: { min: 0, max: 1 },
+  'repair.norm': { type: 'repairNorm' },
+  'repair.strength': { min: 0, max: 1 },
+  'repair.expiry': { type: 'int', min: 1 },
+  'repair.mediationBonus': { min: 0, max: 1 },
+  'repair.maxAttempts': { type: 'int', min: 0 },
+  'groups.hostileThreshold': { min: -Infinity },
+  'groups.mergeGenerations': { type: 'int', min: 1 },
+  'groups.schismThreshold': { min: -Infinity },
+  'groups.schismMinSize': { type: 'int', min: 1 },
+  memoryDecay: { min: 0 },
+  'traits.roleMix.initiator': { min: 0 },
+  'traits.roleMix.responder': { min: 0 },
+  'traits.roleMix.mediator': { min: 0 },
+  'traits.roleMix.disruptor': { min: 0 },
+  'traits.issueWeight': { min: 0 },
+  'traits.responderBonus': { min: 0, max: 1 },
+  'traits.mediationChance': { min: 0, max: 1 },
+  'traits.disruptorDenial': { min: 0, max: 1 },
+  'traits.proactiveReach': { min: 0 },
+  'traits.reactiveInitiative': { min: 0, max: 1 },
+  'learning.rate': { min: 0, max: 1 },
+  'learning.outcomeWeight': { min: 0, max: 1 },
+  'learning.peerWeight': { min: 0, max: 1 },
+  'learning.momentumResistance': { min: 0, max: 1 },
+  memoryHalfLife: { min: 0 }
+};
+
+// SIM_CONFIG fields that cannot be loaded from a file.  Norms carry
+// colours and enforcement rules and must be registered, not listed.
+const READ_ONLY_CONFIG = ['normTypes'];
+
+// Numeric and boolean fields of a custom norm's rule set (see
+// compileNormRules() in norms.js)
+const NORM_RULES = {
+  fulfilmentNear: { type: 'float', min: 0, max: 1 },
+  fulfilmentFar: { type: 'float', min: 0, max: 1 },
+  proximity: { type: 'float', min: 1 },
+  expiry: { type: 'int', min: 1 },
+  trustReward: { type: 'float', min: 0 },
+  trustPenalty: { type: 'float', min: 0 },
+  reciprocal: { type: 'bool' }
+};
+
+// Toggles that mirror into the simulation state so that they take
+// effect on the next reset.
+const MODEL_TOGGLES = ['enableMoralRepair', 'enableDirectedEmergence', 'enableNonReciprocalTargeting'];
+
+/**
+ * Parse and range-check a single value.
+ *
+ * @param {string} label Name used in error messages
+ * @param {Object} spec {type, min, max, values}
+ * @param {*} raw The value from the settings object
+ * @returns {Object} {value} on success or {error} describing the problem
+ */
+function normaliseValue(label, spec, raw) {
+  switch (spec.type) {
+    case 'bool':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: `"${label}" must be true or false (got ${JSON.stringify(raw)})` };
+    case 'seed':
+      if (raw === null || ['string', 'number'].includes(typeof raw)) {
+        return { value: raw === null ? '' : String(raw).trim() };
+      }
+      return { error: `"${label}" must be a number or text (got ${JSON.stringify(raw)})` };
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      if (spec.values.includes(value)) return { value };
+      return { error: `"${label}" must be one of ${spec.values.join(', ')} (got ${JSON.stringify(raw)})` };
+    }
+    case 'normDistribution': {
+      // Accept both the stored form ('care') and the GUI label ('Care biased')
+      const value = String(raw).trim().toLowerCase().replace(/\s*biased$/, '').replace(/[\s-]/g, '');
+      if (value === 'uniform' || normTypes.includes(value)) return { value };
+      return { error: `"${label}" must be uniform or one of ${normTypes.join(', ')} (got ${JSON.stringify(raw)})` };
+    }
+    case 'repairNorm': {
+      // 'same' repairs under the norm of the broken obligation
+      const value = String(raw).trim().toLowerCase();
+      if (value === 'same' || normTypes.includes(value)) return { value };
+      return { error: `"${label}" must be same or one of ${normTypes.join(', ')} (got ${JSON.stringify(raw)})` };
+    }
+    default: {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `"${label}" must be a number (got ${JSON.stringify(raw)})` };
+      }
+      if (spec.type === 'int' && !Number.isInteger(value)) {
+        return { error: `"${label}" must be a whole number (got ${value})` };
+      }
+      const min = spec.min ?? 0;
+      const max = spec.max ?? Infinity;
+      if (value < min || value > max) {
+        const range = max === Infinity ? `>= ${min}` : `[${min}, ${max}]`;
+        return { error: `"${label}" = ${value} is out of range ${range}` };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Validate a (possibly nested) SIM_CONFIG fragment against the shape of
+ * the defaults.  Valid leaves are appended to `changes` as
+ * {path, value}; problems are appended to `errors`.
+ */
+function validateConfig(fragment, defaults, prefix, changes, errors) {
+  for (const [key, raw] of Object.entries(fragment)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!(key in defaults)) {
+      errors.push(`Unknown key "${path}"`);
+      continue;
+    }
+    if (READ_ONLY_CONFIG.includes(path)) {
+      errors.push(`"${path}" cannot be loaded from a file; define custom norms in "norms" instead`);
+      continue;
+    }
+    const current = defaults[key];
+    if (current && typeof current === 'object' && !Array.isArray(current)) {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`"${path}" must be an object`);
+        continue;
+      }
+      validateConfig(raw, current, path, changes, errors);
+      continue;
+    }
+    const spec = typeof current === 'boolean'
+      ? { type: 'bool' }
+      : { type: 'float', ...CONFIG_RANGES[path] };
+    const result = normaliseValue(path, spec, raw);
+    if (result.error) errors.push(result.error);
+    else changes.push({ path, value: result.value });
+  }
+}
+
+/**
+ * Validate a norm definition.  A definition names the norm, gives its
+ * colour and may add any rule of NORM_RULES plus acknowledgedBy, e.g.
+ *
+ *   { "name": "honour", "color": [180, 40, 40], "fulfilmentNear": 0.9,
+ *     "trustPenalty": 3, "reciprocal": false,
+ *     "acknowledgedBy": { "roles": ["initiator"], "scenarios": ["authoritarian"] } }
+ *
+ * Naming a registered norm, built-in norms included, redefines it.
+ * acknowledgedBy.scenarios may only list the scenario groups agents are
+ * classified into (SCENARIO_GROUPS in simulation.js): every scenario
+ * can be loaded, but from the first generation on an agent's scenario
+ * group is reclassified from its acknowledgments, so a norm naming
+ * another scenario would be acknowledged by nobody.
+ *
+ * @param {Object} spec The definition, e.g. from a settings file
+ * @param {string} [label] Prefix for error messages
+ * @returns {Object} {norm, errors}: norm is {name, color, rules} when
+ *          errors is empty
+ */
+export function validateNormSpec(spec, label = 'norm') {
+  const errors = [];
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { norm: null, errors: [`${label} must be an object`] };
+  }
+  const { name, color, acknowledgedBy, ...rest } = spec;
+  const lower = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!/^[a-z][a-z0-9]*$/.test(lower)) {
+    errors.push(`${label}: "name" must be letters and digits, starting with a letter (got ${JSON.stringify(name)})`);
+  }
+  if (!Array.isArray(color) || color.length !== 3 ||
+      color.some(c => !Number.isInteger(c) || c < 0 || c > 255)) {
+    errors.push(`${label}: "color" must be three whole numbers in [0, 255] (got ${JSON.stringify(color)})`);
+  }
+  const rules = {};
+  for (const [key, raw] of Object.entries(rest)) {
+    if (!(key in NORM_RULES)) {
+      errors.push(`Unknown key "${label}.${key}"`);
+      continue;
+    }
+    const result = normaliseValue(`${label}.${key}`, NORM_RULES[key], raw);
+    if (result.error) errors.push(result.error);
+    else rules[key] = result.value;
+  }
+  if (acknowledgedBy !== undefined) {
+    if (!acknowledgedBy || typeof acknowledgedBy !== 'object' || Array.isArray(acknowledgedBy)) {
+      errors.push(`${label}: "acknowledgedBy" must be an object with "roles" and/or "scenarios"`);
+    } else {
+      const lists = { roles: ROLES, scenarios: SCENARIO_GROUPS };
+      rules.acknowledgedBy = {};
+      for (const [key, values] of Object.entries(acknowledgedBy)) {
+        if (!(key in lists)) {
+          errors.push(`Unknown key "${label}.acknowledgedBy.${key}"`);
+        } else if (!Array.isArray(values) || values.some(v => !lists[key].includes(v))) {
+          errors.push(`${label}.acknowledgedBy.${key} must list only ${lists[key].join(', ')}`);
+        } else {
+          rules.acknowledgedBy[key] = values;
+        }
+      }
+    }
+  }
+  return { norm: errors.length === 0 ? { name: lower, color, rules } : null, errors };
+}
+
+/**
+ * Describe the custom norms, and the built-in norms given rules, in
+ * the form validateNormSpec() accepts, for writing them to a settings
+ * file.
+ *
+ * @returns {Array<Object>} One definition per norm
+ */
+export function customNormSpecs() {
+  return normTypes
+    .filter(name => normRegistry[name]?.custom || normRegistry[name]?.rules)
+    .map(name => ({ name, color: normRegistry[name].color, ...normRegistry[name].rules }));
+}
+
+/**
+ * Validate a settings object without applying it.
+ *
+ * @param {Object} input Parsed settings, e.g. from a JSON file
+ * @returns {Object} {changes, errors} where changes is a list of
+ *          validated assignments for applySettings() and errors a list
+ *          of human-readable messages for unknown or invalid keys
+ */
+export function validateSettings(input) {
+  const changes = [];
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, errors: ['Settings must be a JSON object'] };
+  }
+  for (const [key, raw] of Object.entries(input)) {
+    if (key === 'scenario') {
+      if (SCENARIO_NAMES.includes(raw)) changes.push({ scenario: raw });
+      else errors.push(`Unknown scenario ${JSON.stringify(raw)}; expected one of ${SCENARIO_NAMES.join(', ')}`);
+    } else if (key === 'toggles') {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push('"toggles" must be an object');
+        continue;
+      }
+      for (const [name, flag] of Object.entries(raw)) {
+        if (!(name in TOGGLES)) {
+          errors.push(`Unknown toggle "toggles.${name}"`);
+          continue;
+        }
+        const result = normaliseValue(`toggles.${name}`, { type: 'bool' }, flag);
+        if (result.error) errors.push(result.error);
+        else changes.push({ toggle: name, value: result.value });
+      }
+    } else if (key === 'norms') {
+      if (!Array.isArray(raw)) {
+        errors.push('"norms" must be a list of norm definitions');
+        continue;
+      }
+      raw.forEach((spec, i) => {
+        const result = validateNormSpec(spec, `norms[${i}]`);
+        errors.push(...result.errors);
+        if (result.norm) changes.push({ norm: result.norm });
+      });
+    } else if (key in ADVANCED_PARAMS) {
+      const result = normaliseValue(key, ADVANCED_PARAMS[key], raw);
+      if (result.error) errors.push(result.error);
+      else changes.push({ param: key, value: result.value });
+    } else if (key in SIM_CONFIG) {
+      validateConfig({ [key]: raw }, SIM_CONFIG, '', changes, errors);
+    } else {
+      errors.push(`Unknown key "${key}"`);
+    }
+  }
+  return { changes, errors };
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) node = node[key];
+  node[last] = value;
+}
+
+/**
+ * Apply validated changes to SIM_CONFIG, TOGGLES, advancedSettings and
+ * the simulation state.  Parameters that shape the initial population
+ * (agent count, distributions, seed, scenario) take effect on the next
+ * resetSimulation(); the rest apply immediately.
+ *
+ * @param {Array} changes The changes returned by validateSettings()
+ */
+export function applySettings(changes) {
+  for (const change of changes) {
+    if (change.scenario !== undefined) {
+      sim.scenario = change.scenario;
+    } else if (change.norm !== undefined) {
+      addCustomNorm(change.norm.name, change.norm.color, change.norm.rules);
+    } else if (change.toggle !== undefined) {
+      TOGGLES[change.toggle] = change.value;
+      if (MODEL_TOGGLES.includes(change.toggle)) sim[change.toggle] = change.value;
+    } else if (change.param !== undefined) {
+      const spec = ADVANCED_PARAMS[change.param];
+      for (const path of spec.paths || []) setPath(SIM_CONFIG, path, change.value);
+      if (spec.advanced) advancedSettings[change.param] = change.value;
+      if (spec.toggle) TOGGLES[spec.toggle] = change.value;
+    } else {
+      setPath(SIM_CONFIG, change.path, change.value);
+      // Keep the advanced settings that shadow SIM_CONFIG in step
+      if (change.path === 'numAgents') advancedSettings.numAgents = change.value;
+      if (change.path === 'enforcementRules.proximityThreshold') {
+        advancedSettings.proximityThreshold = change.value;
+      }
+    }
+  }
+}
+
+function getPath(target, path) {
+  return path.split('.').reduce((node, key) => node[key], target);
+}
+
+/**
+ * Read the current value of every ADVANCED_PARAMS entry, in the same
+ * flat form the GUI's "Download Settings" button writes.  Used to sync
+ * the GUI controls after a file has been loaded.
+ *
+ * @returns {Object} Map of parameter names to their current values
+ */
+export function currentSettings() {
+  const values = {};
+  for (const [key, spec] of Object.entries(ADVANCED_PARAMS)) {
+    if (spec.advanced) values[key] = advancedSettings[key];
+    else if (spec.paths) values[key] = getPath(SIM_CONFIG, spec.paths[0]);
+    else if (spec.toggle) values[key] = TOGGLES[spec.toggle];
+  }
+  return values;
+}
+
+/**
+ * Validate and apply a settings object.  Invalid or unknown keys are
+ * skipped and reported; valid keys are applied.  Call
+ * resetSimulation() afterwards to start a run with the new settings.
+ *
+ * @param {Object} input Parsed settings, e.g. from a JSON file
+ * @returns {Object} {applied, errors}: number of applied values and a
+ *          list of messages describing skipped keys
+ */
+export function loadSettings(input) {
+  const { changes, errors } = validateSettings(input);
+  applySettings(changes);
+  return { applied: changes.length, errors };
+}
+
+/**
+ * Capture everything a fresh copy of the model needs to reproduce the
+ * page's configuration: SIM_CONFIG, TOGGLES, advancedSettings, custom
+ * norm colours, rules and disabled norms, the scenario and model toggles, and the world size.
+ * The result is plain data and can be posted to a Web Worker.
+ *
+ * @returns {Object} The configuration for importModelConfig()
+ */
+export function exportModelConfig() {
+  return {
+    simConfig: SIM_CONFIG,
+    toggles: TOGGLES,
+    advanced: advancedSettings,
+    normColors: COLORS.norms,
+    normRules: Object.fromEntries(normTypes.map(name => [name, normRegistry[name]?.rules ?? null])),
+    disabledNorms: normTypes.filter(name => normRegistry[name]?.disabled),
+    scenario: sim.scenario,
+    flags: Object.fromEntries(MODEL_TOGGLES.map(name => [name, sim[name]])),
+    world: { width: world.width, height: world.height }
+  };
+}
+
+// Copy nested plain-object values from source onto target in place so
+// that modules holding references to the nested objects see the values
+function assignDeep(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object') {
+      assignDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Apply a configuration captured by exportModelConfig(), registering
+ * any custom norms it contains.  Call resetSimulation() afterwards.
+ *
+ * @param {Object} config The configuration to apply
+ */
+export function importModelConfig(config) {
+  const { normTypes: norms, ...simConfig } = config.simConfig;
+  for (const name of norms) {
+    if (!normTypes.includes(name) || config.normRules?.[name]) {
+      addCustomNorm(name, config.normColors[name], config.normRules?.[name]);
+    }
+  }
+  Object.assign(COLORS.norms, config.normColors);
+  for (const name of config.disabledNorms || []) setNormEnabled(name, false);
+  assignDeep(SIM_CONFIG, simConfig);
+  Object.assign(TOGGLES, config.toggles);
+  Object.assign(advancedSettings, config.advanced);
+  sim.scenario = config.scenario;
+  Object.assign(sim, config.flags);
+  world.width = config.world.width;
+  world.height = config.world.height;
+}
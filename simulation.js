@@ -0,0 +1,1689 @@
+// simulation.js
+//
+// The model core of the agent–obligation simulation: population
+// initialisation, scenario loading, obligation generation, per-tick
+// enforcement and movement, and the generational cycle of death,
+// drift, affiliation, logging, repair and reproduction.  Nothing here
+// depends on p5 or the DOM, so the same code drives the interactive
+// sketch (sketch.js) and headless runs under Node (run.js).
+
+import { SIM_CONFIG, TOGGLES, normTypes, COLORS } from './config.js';
+import { Agent, ObligationVector, ROLES } from './agent.js';
+import { normRegistry, registerNorm, defaultEnforce, toDecision, compileNormRules } from './norms.js';
+import { SCENARIO_FUNCTIONS } from './scenarios.js';
+import { logGeneration, summariseRepairs } from './exporter.js';
+import { random, randomWeighted, setSeed } from './random.js';
+import { world } from './world.js';
+
+// Mutable simulation state.  Exported as a single object so that the
+// sketch and the headless runner observe reassignments (e.g. the
+// agents array is replaced every generation) without stale bindings.
+export const sim = {
+  agents: [],
+  obligationVectors: [],
+  agentLog: [],
+  obligationLog: [],
+  log: [],
+  falsifyFlags: [],
+  // The changes behind falsifyFlags, one {generation, id, norm,
+  // oldValue, newValue, cause} per change.  cause is the learning
+  // signal that made the change ('outcomes' or 'peers'), or
+  // 'unexplained' when nothing in the model accounts for it.
+  falsifyEvents: [],
+  // Biographies of every agent of the run, living or dead, keyed by
+  // id: {id, parentId, birthGeneration, deathGeneration, biography}.
+  // biography is the agent's own array (see Agent.recordBiography()),
+  // so it keeps growing while the agent lives and survives its death.
+  biographyArchive: new Map(),
+  // Trust graphs captured at the end of every generation while
+  // recordTrustGraphs is set (see trustGraph()).  Batches set it when
+  // their spec asks for logTrustGraphs; single runs export the graph
+  // of the current generation instead.
+  trustGraphLog: [],
+  recordTrustGraphs: false,
+  // Acknowledgment changes made by norm learning during the run, one
+  // {generation, id, norm, acknowledges, cause, pressure} per change
+  acknowledgmentLog: [],
+  // Resolved repair attempts of the run, one {generation, from, to,
+  // norm, repairNorm, strength, attempt, mediator, fromGroup, toGroup,
+  // outcome} per attempt (see ObligationVector.settleRepair()); from is
+  // the agent offering the repair, to the agent it wronged
+  repairLog: [],
+
+  generation: 0,
+  generationTimer: 0,
+
+  // The current scenario and toggle states.  Scenario defaults to
+  // 'pluralist'.  Toggles mirror the properties defined in TOGGLES but
+  // are copied here to allow mutation.
+  scenario: 'pluralist',
+  enableMoralRepair: TOGGLES.enableMoralRepair,
+  enableDirectedEmergence: TOGGLES.enableDirectedEmergence,
+  enableNonReciprocalTargeting: TOGGLES.enableNonReciprocalTargeting,
+
+  // Whether generations advance.  Agents keep moving and obligations
+  // keep resolving while stopped; only the generational cycle halts.
+  running: true,
+
+  // Index of the current batch run (1-based), written to every agent
+  // log row.  Headless and interactive single runs stay at 1.
+  batchRun: 1,
+
+  // ISO time at which the current run was started by resetSimulation()
+  startedAt: null,
+
+  // The random seed in effect for the current run.  Set by
+  // resetSimulation() and recorded in every log row and export.
+  seed: null,
+
+  // Map of affiliation labels to RGBA colour arrays.  When a new group
+  // is created at runtime a random colour is assigned and stored here;
+  // the sketch converts them to p5 colours when drawing.  Groups that
+  // merge away or dissolve keep their entry so that the group event log
+  // can still be drawn in their colours.
+  groupColors: {},
+
+  // Set of hostile group pairs.  Each entry is a string "g1|g2" with
+  // lexicographically sorted group names.  If a pair is hostile, the
+  // obligation generator will avoid creating obligations between these
+  // groups.  Updated each generation by updateGroupDynamics(); a pair
+  // stays hostile until it makes a truce (see SIM_CONFIG.groups).
+  hostilePairs: new Set(),
+
+  // Consecutive generations each group pair ("g1|g2") has spent above
+  // SIM_CONFIG.groups.mergeThreshold
+  mergeStreaks: new Map(),
+
+  // Groups that had members at the end of the last generation, used to
+  // notice groups forming and dissolving
+  activeGroups: new Set(),
+
+  // Group lifecycle events in order of occurrence, one entry per
+  // {generation, event, group, other, size, otherSize, trust}, where
+  // event is formation, dissolution, merge (group merged into other),
+  // schism (other split off from group), hostility or truce.  Sizes
+  // are member counts; trust is the average trust that triggered the
+  // event.  Cleared by resetSimulation().
+  groupEventLog: [],
+
+  // Census of the affiliation groups taken with every generation log
+  // entry (see groupCensus()), the data behind the group timeline
+  groupHistory: [],
+
+  // Interventions made on the running world (see moveAgent(),
+  // flipAcknowledgment(), imposeNorm(), removeRegion() and
+  // injectAgents()), one {generation, tick, time, intervention, scope,
+  // norm, count, ids, x, y, radius} per intervention in order of
+  // occurrence.  tick is world.frame and time the ISO wall-clock time;
+  // fields that do not apply to an intervention are null.  Cleared by
+  // resetSimulation().
+  interventionLog: [],
+
+  // Unique id generator for agents.  Incremented whenever an agent is
+  // created and restarted by resetSimulation() so that a seeded run
+  // reproduces identical ids; batch rows are told apart by run index.
+  globalAgentIndex: 0
+};
+
+// Advanced settings allow users to modify core parameters at runtime
+// without editing the code.  They are initialised from SIM_CONFIG
+// defaults and updated via the GUI's advanced panel.
+export const advancedSettings = {
+  numAgents: SIM_CONFIG.numAgents,
+  proximityThreshold: SIM_CONFIG.enforcementRules.proximityThreshold,
+  defaultNormDistribution: 'uniform',
+  // Base memory length for new agents.  Values in [0.1,1.0].  Agents
+  // sample around this base when initialised.
+  memoryBase: 0.6,
+  // Distribution for moral stance of new agents.  Can be
+  // 'uniform', 'reactive-biased' or 'proactive-biased'.
+  moralStanceDistribution: 'uniform',
+  // Random seed for reproducible runs.  Leave blank to draw a fresh
+  // seed on every reset; the seed actually used is kept in sim.seed.
+  seed: ''
+};
+
+/**
+ * Publish the current population to the shared world state so that
+ * agents can look up neighbours and peers by id.  Also rebuilds the
+ * spatial grid used for neighbour queries.
+ */
+function syncWorld() {
+  world.agents = sim.agents;
+  world.agentMap.clear();
+  for (const a of sim.agents) world.agentMap.set(a.id, a);
+  world.grid.rebuild(sim.agents);
+}
+
+/**
+ * Pick a random RGBA colour for a newly formed affiliation group.
+ */
+function randomGroupColor() {
+  return [random(100, 255), random(100, 255), random(100, 255), 220];
+}
+
+// Scenario groups classifyScenario() assigns.  From the first
+// generation on these are the only values of Agent.scenarioGroup, so
+// they are the scenarios a norm's acknowledgedBy rule may list.
+export const SCENARIO_GROUPS = ['utopian', 'collapsed', 'authoritarian', 'allCare', 'pluralist'];
+
+// Helper to classify an agent into a high-level scenario based on its
+// current norm acknowledgments.  This function approximates the
+// original scenario definitions: agents acknowledging all norms are
+// classified as 'utopian'; agents acknowledging none as 'collapsed';
+// agents acknowledging only the legal norm as 'authoritarian';
+// agents acknowledging only the care norm as 'allCare'; otherwise
+// agents fall into 'pluralist'.  Additional patterns can easily be
+// added here.
+function classifyScenario(agent) {
+  const acknowledgments = {
+    apriori: agent.aprioriAcknowledges,
+    legal: agent.legalAcknowledges,
+    care: agent.careAcknowledges,
+    epistemic: agent.epistemicAcknowledges
+  };
+  const ackCount = Object.values(acknowledgments).filter(Boolean).length;
+  if (ackCount === normTypes.length) return 'utopian';
+  if (ackCount === 0) return 'collapsed';
+  if (ackCount === 1) {
+    if (acknowledgments.legal) return 'authoritarian';
+    if (acknowledgments.care) return 'allCare';
+    // If only one other norm is acknowledged, classify as pluralist by default
+    return 'pluralist';
+  }
+  // Default catch-all for mixed acknowledgments
+  return 'pluralist';
+}
+
+// Set the acknowledgment flags of the norms whose rules say who
+// acknowledges them (acknowledgedBy, see compileNormRules()) from
+// those rules, so that logs, learning and targeting agree with them.
+// Like editNorm() this is not a change for the falsifiability monitor.
+function applyAcknowledgmentRules(agent) {
+  for (const norm of normTypes) {
+    const entry = normRegistry[norm];
+    if (!entry?.rules?.acknowledgedBy) continue;
+    agent[`${norm}Acknowledges`] = !!entry.acknowledgeFn(agent);
+    agent.lastAcknowledgments[norm] = agent[`${norm}Acknowledges`];
+  }
+}
+
+/**
+ * Reset the simulation while preserving the unique id counter.  This
+ * function clears all agents, logs and obligations and then
+ * reinitialises the agents and obligations according to the current
+ * scenario and toggle settings.
+ */
+export function resetSimulation() {
+  // Seed the generator first so that every random draw of the run,
+  // including agent creation, follows from the seed.  Later runs of a
+  // batch derive their own seed from the base seed and run index so
+  // that replicates differ but each remains reproducible on its own.
+  const baseSeed = advancedSettings.seed;
+  const hasSeed = baseSeed !== undefined && baseSeed !== null && String(baseSeed).trim() !== '';
+  sim.seed = setSeed(hasSeed && sim.batchRun > 1 ? `${baseSeed}:${sim.batchRun}` : baseSeed);
+  world.frame = 0;
+  sim.globalAgentIndex = 0;
+  sim.startedAt = new Date().toISOString();
+
+  sim.falsifyFlags = [];
+  sim.falsifyEvents = [];
+  sim.biographyArchive = new Map();
+  sim.trustGraphLog = [];
+  sim.acknowledgmentLog = [];
+  sim.repairLog = [];
+  sim.log = [];
+  sim.agentLog = [];
+  sim.obligationLog = [];
+  sim.generation = 0;
+  sim.generationTimer = 0;
+  // Clear group colours so that new runs generate fresh colours for emerging groups
+  sim.groupColors = {};
+  sim.hostilePairs.clear();
+  sim.mergeStreaks.clear();
+  sim.activeGroups.clear();
+  sim.groupEventLog = [];
+  sim.groupHistory = [];
+  sim.interventionLog = [];
+  // Drop the previous run's obligations so that generateObligations()
+  // does not expire them into this run's logs
+  sim.obligationVectors = [];
+  initializeAgents();
+  loadScenario(sim.scenario);
+  trackGroupLifecycle(partitionGroups());
+  syncWorld();
+  generateObligations();
+  logGeneration(sim.agents, sim.generation, sim.log, sim.repairLog);
+  sim.groupHistory.push(groupCensus());
+  if (sim.recordTrustGraphs) sim.trustGraphLog.push(trustGraph());
+  sim.running = true;
+}
+
+/**
+ * Advance the simulation by one tick: enforce pending obligations,
+ * move agents and refresh their conflict and debt, then run the
+ * generational cycle once SIM_CONFIG.generationInterval ticks have
+ * elapsed.  The browser sketch calls this once per frame; headless
+ * runs call it in a tight loop.
+ */
+export function stepSimulation() {
+  world.frame++;
+  syncWorld();
+  for (const vec of sim.obligationVectors) {
+    vec.enforce({ generation: sim.generation, obligationLog: sim.obligationLog, repairLog: sim.repairLog });
+  }
+  for (const agent of sim.agents) {
+    agent.update();
+    agent.updateConflictAndDebt();
+  }
+  if (sim.running) {
+    sim.generationTimer++;
+    if (sim.generationTimer >= SIM_CONFIG.generationInterval) {
+      evolveGeneration();
+      sim.generationTimer = 0;
+    }
+  }
+}
+
+/**
+ * Update the affiliation of each agent based on the affiliations of
+ * their trusted neighbours.  An agent examines its trustMap and
+ * aggregates trust scores by neighbour group; it then adopts the
+ * group with the highest cumulative trust.  If an agent has no
+ * trusted neighbours, it retains its current group, but if the
+ * group does not exist yet (e.g. due to norm drift) a new group
+ * labelled pref_<norm> is created.  New groups are assigned random
+ * colours and stored in sim.groupColors.
+ */
+function updateAffiliations() {
+  // For each agent compute the best group to join
+  for (const agent of sim.agents) {
+    const groupScores = {};
+    // Accumulate trust by neighbour group
+    agent.trustMap.forEach((trust, id) => {
+      const neighbour = world.agentMap.get(id);
+      if (neighbour) {
+        const group = neighbour.affiliation || `pref_${neighbour.normPreference}`;
+        groupScores[group] = (groupScores[group] || 0) + trust;
+      }
+    });
+    // Determine the group with the highest trust
+    let bestGroup = agent.affiliation;
+    let maxScore = -Infinity;
+    for (const group in groupScores) {
+      const score = groupScores[group];
+      if (score > maxScore) {
+        maxScore = score;
+        bestGroup = group;
+      }
+    }
+    // If no neighbours contributed scores and the current group is undefined,
+    // fall back to the agent's norm-based group
+    if (Object.keys(groupScores).length === 0) {
+      bestGroup = `pref_${agent.normPreference}`;
+    }
+    // If this is a new group, assign a colour
+    if (!sim.groupColors[bestGroup]) {
+      sim.groupColors[bestGroup] = randomGroupColor();
+    }
+    agent.affiliation = bestGroup;
+  }
+}
+
+/**
+ * Update the scenario classification of each agent based on its
+ * current pattern of norm acknowledgments.  This function uses
+ * classifyScenario() to assign the scenarioGroup property, allowing
+ * scenarios to evolve dynamically over time.
+ */
+function updateScenarios() {
+  for (const agent of sim.agents) {
+    agent.scenarioGroup = classifyScenario(agent);
+  }
+}
+
+/**
+ * Partition the living agents by affiliation.
+ *
+ * @returns {Map} Group label → array of its member agents
+ */
+function partitionGroups() {
+  const members = new Map();
+  for (const agent of sim.agents) {
+    if (!members.has(agent.affiliation)) members.set(agent.affiliation, []);
+    members.get(agent.affiliation).push(agent);
+  }
+  return members;
+}
+
+// Key of a group pair in sim.hostilePairs and sim.mergeStreaks
+function groupPairKey(g1, g2) {
+  return [g1, g2].sort().join('|');
+}
+
+// Append an event to sim.groupEventLog; missing values are null
+function logGroupEvent(event, group, other, size, otherSize = null, trust = null) {
+  sim.groupEventLog.push({ generation: sim.generation, event, group, other, size, otherSize, trust });
+}
+
+// Drop the hostilities and merge streaks of a group that no longer
+// exists.  Its end is logged as a merge or dissolution, not a truce.
+function forgetGroup(group) {
+  for (const pairs of [sim.hostilePairs, sim.mergeStreaks]) {
+    for (const key of pairs.keys()) {
+      if (key.split('|').includes(group)) pairs.delete(key);
+    }
+  }
+  sim.activeGroups.delete(group);
+}
+
+/**
+ * Log the formation of groups that have gained their first members
+ * since the last call and the dissolution of groups that have lost
+ * their last, and remember the current groups.  Groups come and go as
+ * agents change affiliation in updateAffiliations(), are born and die.
+ *
+ * @param {Map} members Partition from partitionGroups()
+ */
+function trackGroupLifecycle(members) {
+  for (const [group, list] of members) {
+    if (!sim.activeGroups.has(group)) logGroupEvent('formation', group, null, list.length);
+  }
+  for (const group of sim.activeGroups) {
+    if (members.has(group)) continue;
+    logGroupEvent('dissolution', group, null, 0);
+    forgetGroup(group);
+  }
+  sim.activeGroups = new Set(members.keys());
+}
+
+/**
+ * Sum the trust between and within groups in a single pass over the
+ * members' trust maps, so that the cost grows with the number of trust
+ * relations rather than with the product of group sizes.
+ *
+ * @param {Map} members Partition from partitionGroups()
+ * @returns {Object} {between, within}: between maps each group pair key
+ *          to the trust its members hold in each other, both directions
+ *          summed; within maps each group to {sum, relations}, the trust
+ *          its members hold in each other and the number of such
+ *          relations
+ */
+function groupTrust(members) {
+  const byId = new Map();
+  for (const list of members.values()) {
+    for (const agent of list) byId.set(agent.id, agent);
+  }
+  const between = new Map();
+  const within = new Map();
+  for (const [group, list] of members) {
+    for (const agent of list) {
+      agent.trustMap.forEach((trust, id) => {
+        const other = byId.get(id);
+        if (!other || other === agent) return;
+        if (other.affiliation === group) {
+          const entry = within.get(group) || { sum: 0, relations: 0 };
+          entry.sum += trust;
+          entry.relations++;
+          within.set(group, entry);
+        } else {
+          const key = groupPairKey(group, other.affiliation);
+          between.set(key, (between.get(key) || 0) + trust);
+        }
+      });
+    }
+  }
+  return { between, within };
+}
+
+/**
+ * Take a census of the affiliation groups: for each group its size,
+ * the preferred norms of its members and the average trust among
+ * members who have dealt with each other (null when none have).
+ *
+ * @returns {Object} {generation, groups}, groups keyed by label, each
+ *          {size, norms: {norm: count}, trust}
+ */
+function groupCensus() {
+  const members = partitionGroups();
+  const { within } = groupTrust(members);
+  const groups = {};
+  for (const [group, list] of members) {
+    const norms = {};
+    for (const agent of list) norms[agent.normPreference] = (norms[agent.normPreference] || 0) + 1;
+    const cohesion = within.get(group);
+    groups[group] = { size: list.length, norms, trust: cohesion ? cohesion.sum / cohesion.relations : null };
+  }
+  return { generation: sim.generation, groups };
+}
+
+/**
+ * Divide a group along its deepest rift.  The two members whose trust
+ * in each other is lowest become the poles; every other member then
+ * sides with the pole whose side it trusts more, over a few rounds so
+ * that allegiance spreads along chains of trust.  Members without a
+ * preference stay with the first pole.
+ *
+ * @param {Array} list Members of the group
+ * @returns {Array} The members siding with the second pole
+ */
+function schismFaction(list) {
+  const inGroup = new Set(list.map(agent => agent.id));
+  let poles = null;
+  let lowest = Infinity;
+  for (const agent of list) {
+    agent.trustMap.forEach((trust, id) => {
+      if (id === agent.id || !inGroup.has(id)) return;
+      if (trust < lowest) {
+        lowest = trust;
+        poles = [agent.id, id];
+      }
+    });
+  }
+  if (!poles) return [];
+  const side = new Map([[poles[0], 0], [poles[1], 1]]);
+  for (let round = 0; round < 3; round++) {
+    for (const agent of list) {
+      if (poles.includes(agent.id)) continue;
+      const pull = [0, 0];
+      agent.trustMap.forEach((trust, id) => {
+        const s = side.get(id);
+        if (s !== undefined && id !== agent.id) pull[s] += trust;
+      });
+      side.set(agent.id, pull[1] > pull[0] ? 1 : 0);
+    }
+  }
+  return list.filter(agent => side.get(agent.id) === 1);
+}
+
+/**
+ * Update the relations between affiliation groups and their lifecycle
+ * (see SIM_CONFIG.groups).  Pairs of groups whose average mutual trust
+ * falls below the hostility threshold are declared hostile, which
+ * stops obligations between them, until their trust recovers past the
+ * threshold plus the hysteresis margin and they make a truce.  Pairs
+ * that stay above the merge threshold merge, the smaller group into
+ * the larger, which keeps its name and colour.  Groups whose internal
+ * trust falls below the schism threshold split in two.  Every change
+ * is recorded in sim.groupEventLog.
+ */
+function updateGroupDynamics() {
+  const {
+    mergeThreshold, hostileThreshold, hysteresis, mergeGenerations, schismThreshold, schismMinSize
+  } = SIM_CONFIG.groups;
+  const members = partitionGroups();
+  trackGroupLifecycle(members);
+  const { between, within } = groupTrust(members);
+  const groups = [...members.keys()];
+  // Group merging into another → {to, trust}
+  const mergeTargets = new Map();
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const g1 = groups[i];
+      const g2 = groups[j];
+      const size1 = members.get(g1).length;
+      const size2 = members.get(g2).length;
+      const key = groupPairKey(g1, g2);
+      // Average over every ordered pair of members, both directions;
+      // members who have never dealt with each other count as 0
+      const avgTrust = (between.get(key) || 0) / (2 * size1 * size2);
+      if (sim.hostilePairs.has(key)) {
+        if (avgTrust > hostileThreshold + hysteresis) {
+          sim.hostilePairs.delete(key);
+          logGroupEvent('truce', g1, g2, size1, size2, avgTrust);
+        }
+      } else if (avgTrust < hostileThreshold) {
+        sim.hostilePairs.add(key);
+        logGroupEvent('hostility', g1, g2, size1, size2, avgTrust);
+      }
+      if (avgTrust <= mergeThreshold) {
+        sim.mergeStreaks.delete(key);
+        continue;
+      }
+      const streak = (sim.mergeStreaks.get(key) || 0) + 1;
+      sim.mergeStreaks.set(key, streak);
+      if (streak < mergeGenerations) continue;
+      // The smaller group merges into the larger, into its most
+      // trusted partner if several qualify
+      const [from, to] = size1 >= size2 ? [g2, g1] : [g1, g2];
+      if (!mergeTargets.has(from) || mergeTargets.get(from).trust < avgTrust) {
+        mergeTargets.set(from, { to, trust: avgTrust });
+      }
+    }
+  }
+  const grown = new Set();
+  for (const [from, { to: partner, trust }] of mergeTargets) {
+    // Follow chains of merges to the group that survives them
+    let to = partner;
+    const visited = new Set([from]);
+    while (mergeTargets.has(to) && !visited.has(to)) {
+      visited.add(to);
+      to = mergeTargets.get(to).to;
+    }
+    if (to === from || !members.has(from)) continue;
+    const absorbed = members.get(from);
+    const survivor = members.get(to);
+    logGroupEvent('merge', from, to, absorbed.length, survivor.length, trust);
+    for (const agent of absorbed) agent.affiliation = to;
+    survivor.push(...absorbed);
+    grown.add(to);
+    members.delete(from);
+    forgetGroup(from);
+  }
+  for (const [group, list] of members) {
+    // Groups that absorbed others were measured before the merge
+    if (grown.has(group) || list.length < 2 * schismMinSize) continue;
+    // Too few relations say little about a group's cohesion
+    const cohesion = within.get(group);
+    if (!cohesion || cohesion.relations < list.length) continue;
+    const avgTrust = cohesion.sum / cohesion.relations;
+    if (avgTrust >= schismThreshold) continue;
+    const faction = schismFaction(list);
+    if (faction.length < schismMinSize || list.length - faction.length < schismMinSize) continue;
+    // The splinter is named after its founding group and the generation
+    // it left, e.g. pref_care/12; its parent is in the event log
+    const root = group.split('/')[0];
+    let splinter = `${root}/${sim.generation}`;
+    for (let n = 2; sim.activeGroups.has(splinter) || members.has(splinter); n++) {
+      splinter = `${root}/${sim.generation}.${n}`;
+    }
+    if (!sim.groupColors[splinter]) sim.groupColors[splinter] = randomGroupColor();
+    for (const agent of faction) agent.affiliation = splinter;
+    logGroupEvent('schism', group, splinter, list.length - faction.length, faction.length, avgTrust);
+    sim.activeGroups.add(splinter);
+  }
+}
+
+/**
+ * Create the initial population of agents.  The number of agents is
+ * determined by SIM_CONFIG.numAgents.  Each agent is assigned a
+ * unique id.
+ */
+export function initializeAgents() {
+  sim.agents = [];
+  // Use the advanced settings to determine the initial number of agents
+  const count = parseInt(advancedSettings.numAgents) || SIM_CONFIG.numAgents;
+  for (let i = 0; i < count; i++) {
+    const agent = new Agent(sim.globalAgentIndex++);
+    agent.birthGeneration = sim.generation;
+    archiveBiography(agent);
+    // Override the agent's preferred norm based on the advanced
+    // distribution setting.  When biased toward a specific norm,
+    // approximately 60% of agents will adopt that norm as their
+    // preference, with the remainder distributed uniformly among the
+    // other norms.  For the uniform case no adjustment is made.
+    const dist = (advancedSettings.defaultNormDistribution || 'uniform');
+    if (dist !== 'uniform') {
+      const target = dist;
+      if (random() < 0.6) {
+        agent.normPreference = target;
+      } else {
+        // choose uniformly from other norms
+        const others = normTypes.filter(n => n !== target);
+        agent.normPreference = random(others);
+      }
+    }
+    sim.agents.push(agent);
+  }
+
+  // After creating new agents assign their scenario group to match
+  // their norm preference.  This initialises emergent scenarios.
+  for (const agent of sim.agents) {
+    // Initial scenario group is the current global scenario.  The
+    // classification will update automatically each generation.
+    agent.scenarioGroup = sim.scenario;
+    // Initialise affiliations based on preference and assign a colour
+    agent.affiliation = `pref_${agent.normPreference}`;
+    if (!sim.groupColors[agent.affiliation]) {
+      // Assign a random pastel colour for the group for visibility
+      sim.groupColors[agent.affiliation] = randomGroupColor();
+    }
+    applyAcknowledgmentRules(agent);
+  }
+
+  // After creating new agents assign memory length and moral stance
+  // based on advanced settings.  Memory length is drawn from a
+  // distribution centred on memoryBase, and moral stance can be
+  // biased toward reactive or proactive if selected.
+  for (const agent of sim.agents) {
+    if (advancedSettings.memoryBase) {
+      const base = parseFloat(advancedSettings.memoryBase);
+      const minVal = Math.max(0.1, base - 0.2);
+      const maxVal = Math.min(1.0, base + 0.2);
+      agent.memoryLength = random(minVal, maxVal);
+    }
+    if (advancedSettings.moralStanceDistribution) {
+      const dist = advancedSettings.moralStanceDistribution;
+      if (dist === 'reactive-biased') {
+        agent.moralStance = random() < 0.7 ? 'reactive' : 'proactive';
+      } else if (dist === 'proactive-biased') {
+        agent.moralStance = random() < 0.7 ? 'proactive' : 'reactive';
+      }
+      // uniform case uses whatever the Agent constructor set.
+    }
+  }
+}
+
+/**
+ * Apply a scenario to all agents.  Scenario functions mutate
+ * acknowledgments and preferences according to their definitions in
+ * scenarios.js.
+ *
+ * @param {string} type The name of the scenario to apply
+ */
+export function loadScenario(type) {
+  const fn = SCENARIO_FUNCTIONS[type];
+  if (!fn) return;
+  for (const agent of sim.agents) {
+    fn(agent);
+    applyAcknowledgmentRules(agent);
+    // The scenario sets the starting acknowledgments; only later
+    // changes are reported by the falsifiability monitor
+    for (const norm of normTypes) {
+      agent.lastAcknowledgments[norm] = agent[`${norm}Acknowledges`];
+    }
+  }
+}
+
+/**
+ * Choose an obligation target among candidates.  With vulnerability
+ * targeting enabled, more vulnerable agents are preferred (weight =
+ * vulnerability ^ SIM_CONFIG.obligation.vulnerabilityExponent);
+ * otherwise the choice is uniform.
+ *
+ * @param {Array} candidates Non-empty array of candidate agents
+ * @returns {Agent} The chosen target
+ */
+function pickTarget(candidates) {
+  if (!sim.enableNonReciprocalTargeting) return random(candidates);
+  const exponent = SIM_CONFIG.obligation.vulnerabilityExponent;
+  return randomWeighted(candidates, a => Math.pow(a.vulnerability || 0, exponent));
+}
+
+/**
+ * Create an obligation vector, record it on both parties and add it
+ * to the active set.  Under vulnerability targeting obligations are
+ * non-reciprocal: the target gains no trust from fulfilling them.
+ */
+function issueObligation(source, target, strength, norm) {
+  const vec = new ObligationVector(source, target, strength, norm);
+  vec.reciprocal = !sim.enableNonReciprocalTargeting;
+  source.openObligation(vec, sim.generation);
+  source.obligationsImposed++;
+  target.obligationsReceived++;
+  sim.obligationVectors.push(vec);
+}
+
+/**
+ * Choose the target, norm and strength of a directed obligation.  The
+ * obligation carries the source's preferred norm and is addressed to a
+ * nearby agent who shares that preference or acknowledges the norm.
+ * Its strength is the usual random base shifted by the source's trust
+ * in the target, so trusted peers receive stronger obligations.
+ *
+ * @param {Agent} source The issuing agent
+ * @param {Array} nearby Candidate targets already filtered by proximity
+ * @returns {Object|null} {target, norm, strength} or null if no nearby
+ *          agent shares or acknowledges the source's norm
+ */
+function pickDirectedObligation(source, nearby) {
+  const norm = source.normPreference;
+  if (normRegistry[norm]?.disabled) return null;
+  const candidates = nearby.filter(a => a.normPreference === norm || a[`${norm}Acknowledges`]);
+  if (candidates.length === 0) return null;
+  const target = pickTarget(candidates);
+  const trust = source.trustMap.get(target.id) || 0;
+  const weight = SIM_CONFIG.obligation.directedTrustWeight;
+  const strength = Math.min(1.0, Math.max(0.2, random(0.2, 1.0) + weight * trust));
+  return { target, norm, strength };
+}
+
+/**
+ * Generate a set of obligation vectors between agents based on the
+ * configured proximity threshold and maximum count.  Each vector
+ * represents a social obligation that will either be fulfilled,
+ * denied or expire.  With directed emergence enabled obligations
+ * follow norm preferences and trust (see pickDirectedObligation());
+ * otherwise norm and target are chosen at random.  Vulnerability
+ * targeting biases the target choice in both cases (see pickTarget()).
+ * Disabled norms (see setNormEnabled()) are never chosen.
+ */
+export function generateObligations() {
+  // Obligations still pending when their generation ends expire
+  for (const vec of sim.obligationVectors) {
+    if (vec.status === 'pending') {
+      vec.apply(toDecision({ status: 'expired', reason: 'generation ended' }), {
+        generation: sim.generation,
+        obligationLog: sim.obligationLog,
+        repairLog: sim.repairLog
+      });
+    }
+  }
+  // Reactive agents only answer the obligations addressed to them in
+  // the previous generation, so note who obliged whom before clearing.
+  // Repair offers do not count: they answer a wrong rather than oblige
+  const obligedBy = new Map();
+  for (const vec of sim.obligationVectors) {
+    if (vec.repair || !world.agentMap.has(vec.source.id)) continue;
+    if (!obligedBy.has(vec.target)) obligedBy.set(vec.target, new Set());
+    obligedBy.get(vec.target).add(vec.source);
+  }
+  sim.obligationVectors = [];
+  const agents = sim.agents;
+  if (!agents || agents.length < 2) return;
+  // Disabled norms issue no new obligations
+  const norms = activeNorms();
+  if (norms.length === 0) return;
+  const maxVectors = SIM_CONFIG.obligation.maxVectors;
+  const multiplier = SIM_CONFIG.obligation.countMultiplier;
+  // Use advancedSettings proximity if provided
+  const proximity = advancedSettings.proximityThreshold || SIM_CONFIG.enforcementRules.proximityThreshold;
+  const vectorCount = Math.min(agents.length * multiplier, maxVectors);
+  for (let i = 0; i < vectorCount; i++) {
+    // Initiators are picked as sources more often than other roles
+    const source = randomWeighted(agents, a => a.issueWeight());
+    // Proactive agents seek targets further afield; reactive agents
+    // respond to those who obliged them, and only now and then take the
+    // first step when nobody did
+    let nearby;
+    if (source.moralStance !== 'reactive') {
+      nearby = world.grid.within(source.pos.x, source.pos.y, proximity * SIM_CONFIG.traits.proactiveReach).filter(a => a !== source);
+    } else if (obligedBy.has(source)) {
+      nearby = Array.from(obligedBy.get(source));
+    } else if (random() < SIM_CONFIG.traits.reactiveInitiative) {
+      nearby = world.grid.within(source.pos.x, source.pos.y, proximity).filter(a => a !== source);
+    } else {
+      continue;
+    }
+    // Filter out targets from hostile affiliation pairs
+    nearby = nearby.filter(a => {
+      const key = groupPairKey(source.affiliation, a.affiliation);
+      return !sim.hostilePairs.has(key);
+    });
+    if (nearby.length === 0) continue;
+    if (sim.enableDirectedEmergence) {
+      const directed = pickDirectedObligation(source, nearby);
+      if (!directed) continue;
+      const { target, norm, strength } = directed;
+      issueObligation(source, target, strength, norm);
+      continue;
+    }
+    const target = pickTarget(nearby);
+    const strength = random(0.2, 1.0);
+    const norm = random(norms);
+    issueObligation(source, target, strength, norm);
+  }
+}
+
+/**
+ * Norm learning: every living agent may adopt or drop acknowledgment
+ * of each norm according to Agent.normPressure(), resisted by its
+ * cultural momentum (see SIM_CONFIG.learning).  Pressures are computed
+ * for all agents before any changes so that the order of agents does
+ * not matter.  Each change is recorded in sim.acknowledgmentLog with
+ * its dominant cause, 'outcomes' or 'peers'.
+ */
+function learnAcknowledgments() {
+  const { rate, outcomeWeight, peerWeight, momentumResistance } = SIM_CONFIG.learning;
+  if (!(rate > 0)) return;
+  const pressures = sim.agents.map(agent => agent.normPressure());
+  sim.agents.forEach((agent, i) => {
+    const resistance = 1 - momentumResistance * (agent.culturalMomentum || 0);
+    for (const norm of normTypes) {
+      // Norms with acknowledgedBy rules are not learned
+      if (normRegistry[norm]?.rules?.acknowledgedBy) continue;
+      const { outcome, peers, pressure } = pressures[i][norm];
+      const key = `${norm}Acknowledges`;
+      // Only pressure against the current stance can change it
+      if (agent[key] ? pressure >= 0 : pressure <= 0) continue;
+      if (random() >= rate * Math.abs(pressure) * resistance) continue;
+      agent[key] = !agent[key];
+      sim.acknowledgmentLog.push({
+        generation: sim.generation,
+        id: agent.id,
+        norm,
+        acknowledges: agent[key],
+        cause: Math.abs(outcomeWeight * outcome) >= Math.abs(peerWeight * peers) ? 'outcomes' : 'peers',
+        pressure: Number(pressure.toFixed(3))
+      });
+    }
+  });
+}
+
+// Whether a grievance -- an obligation that was denied or expired --
+// may still be offered a repair.  Failed repairs are not themselves
+// repaired, and each grievance has one repair pending at most.
+function repairable(record) {
+  return (record.outcome === 'denied' || record.outcome === 'expired') && !record.repair &&
+    !record.repairPending && (record.repairAttempts || 0) < SIM_CONFIG.repair.maxAttempts;
+}
+
+/**
+ * Issue a repair obligation for a grievance: from the agent who failed
+ * the original obligation back to the agent it wronged, under
+ * SIM_CONFIG.repair.norm (or the broken obligation's norm when that is
+ * 'same' or disabled), with repair.strength and repair.expiry.  A
+ * mediator brokering the repair adds repair.mediationBonus to its
+ * strength.  The outcome is applied by ObligationVector.settleRepair().
+ *
+ * @param {Agent} wronged Agent whose obligation was denied or expired
+ * @param {Object} record The grievance in wronged's obligation history
+ * @param {Agent} [mediator] Agent brokering the repair
+ * @returns {ObligationVector|null} The repair obligation, or null if
+ *          the agent who failed the obligation has died
+ */
+function issueRepair(wronged, record, mediator = null) {
+  const offender = world.agentMap.get(record.targetId);
+  if (!offender) return null;
+  const { norm: repairNorm, strength, expiry, mediationBonus } = SIM_CONFIG.repair;
+  const usable = repairNorm !== 'same' && normRegistry[repairNorm] && !normRegistry[repairNorm].disabled;
+  const vec = new ObligationVector(offender, wronged, Math.min(1, strength + (mediator ? mediationBonus : 0)), usable ? repairNorm : record.norm);
+  vec.maxAge = expiry;
+  vec.repair = { record, mediator };
+  offender.openObligation(vec, sim.generation);
+  record.repairPending = true;
+  record.repairAttempts = (record.repairAttempts || 0) + 1;
+  sim.obligationVectors.push(vec);
+  return vec;
+}
+
+/**
+ * Give every grievance of the living agents a SIM_CONFIG.repairChance
+ * chance that the agent who failed it offers a repair (see
+ * issueRepair()).  Only called with moral repair enabled.
+ */
+function offerRepairs() {
+  for (const agent of sim.agents) {
+    for (const record of agent.obligationHistory) {
+      if (repairable(record) && random() < SIM_CONFIG.repairChance) issueRepair(agent, record);
+    }
+  }
+}
+
+/**
+ * Let mediators broker repairs between third parties.  Each mediator,
+ * with probability SIM_CONFIG.traits.mediationChance scaled by its
+ * temperament, picks one grievance whose parties are both within the
+ * proximity threshold of it and has the agent who failed the
+ * obligation offer a repair (see issueRepair()).  Only called with
+ * moral repair enabled.
+ */
+function mediateRepairs() {
+  const proximity = advancedSettings.proximityThreshold || SIM_CONFIG.enforcementRules.proximityThreshold;
+  for (const mediator of sim.agents) {
+    if (mediator.role !== 'mediator') continue;
+    if (random() >= SIM_CONFIG.traits.mediationChance * mediator.temperament) continue;
+    const around = world.grid.within(mediator.pos.x, mediator.pos.y, proximity).filter(a => a !== mediator);
+    const aroundIds = new Set(around.map(a => a.id));
+    const failed = [];
+    for (const party of around) {
+      for (const record of party.obligationHistory) {
+        if (repairable(record) && aroundIds.has(record.targetId)) failed.push({ party, record });
+      }
+    }
+    if (failed.length === 0) continue;
+    const { party, record } = random(failed);
+    issueRepair(party, record, mediator);
+  }
+}
+
+// Start the archived biography of a new agent (see sim.biographyArchive)
+function archiveBiography(agent, parent = null) {
+  sim.biographyArchive.set(agent.id, {
+    id: agent.id,
+    parentId: parent ? parent.id : null,
+    birthGeneration: agent.birthGeneration,
+    deathGeneration: null,
+    biography: agent.biography
+  });
+}
+
+// Cause of an acknowledgment change seen by the falsifiability
+// monitor: the learning event of this generation behind it, if any
+function changeCause(id, norm) {
+  for (let i = sim.acknowledgmentLog.length - 1; i >= 0; i--) {
+    const event = sim.acknowledgmentLog[i];
+    if (event.generation !== sim.generation) break;
+    if (event.id === id && event.norm === norm) return event.cause;
+  }
+  return 'unexplained';
+}
+
+/**
+ * Flatten the biography archive into one row per agent and generation
+ * recorded, for export.  Each row holds the agent's id, parent, birth
+ * and death generations and the fields of its biography entry.
+ *
+ * @returns {Array<Object>} Biography rows, ordered by agent id
+ */
+export function biographyLog() {
+  const rows = [];
+  for (const { biography, ...agent } of sim.biographyArchive.values()) {
+    for (const entry of biography) rows.push({ ...agent, ...entry });
+  }
+  return rows;
+}
+
+/**
+ * Capture the trust network of the current generation as a weighted
+ * directed graph.  Nodes are the living agents with their affiliation,
+ * norm preference, scenario group, role, vulnerability and
+ * acknowledgments.  Edges run from truster to trusted agent with the
+ * trust score (rounded to 3 decimals) and the outcome of the latest
+ * obligation the truster issued to that agent ('' if none).  Trust an
+ * agent still holds in agents that have died is left out.
+ *
+ * @returns {Object} {generation, nodes, edges}
+ */
+export function trustGraph() {
+  const alive = new Set(sim.agents.map(agent => agent.id));
+  const nodes = sim.agents.map(agent => ({
+    id: agent.id,
+    affiliation: agent.affiliation,
+    normPreference: agent.normPreference,
+    scenarioGroup: agent.scenarioGroup,
+    role: agent.role,
+    vulnerability: Number(agent.vulnerability.toFixed(3)),
+    acknowledgments: Object.fromEntries(normTypes.map(norm => [norm, !!agent[`${norm}Acknowledges`]]))
+  }));
+  const edges = [];
+  for (const agent of sim.agents) {
+    const lastStatus = new Map();
+    for (const record of agent.obligationHistory) lastStatus.set(record.targetId, record.outcome);
+    for (const [id, trust] of agent.trustMap) {
+      if (!alive.has(id)) continue;
+      edges.push({ from: agent.id, to: id, trust: Number(trust.toFixed(3)), lastStatus: lastStatus.get(id) ?? '' });
+    }
+  }
+  return { generation: sim.generation, nodes, edges };
+}
+
+/**
+ * Gather everything known about one agent of the run for the agent
+ * inspector: its traits and acknowledgments, its biography, the agents
+ * it trusts, its pending obligations and its latest resolved ones.  A
+ * dead agent is described by its archived biography; its traits are
+ * those of its last recorded generation and it has no trust or pending
+ * obligations.
+ *
+ * @param {number} id The agent's id
+ * @param {number} [historyLength] Number of resolved obligations to include
+ * @returns {Object|null} {id, alive, parentId, birthGeneration,
+ *          deathGeneration, traits, acknowledgments, biography, trust,
+ *          active, history}, or null if no agent of the run has this id.
+ *          trust is a list of {id, trust, alive, affiliation}, most
+ *          trusted first; active a list of {direction, peer, norm,
+ *          strength, repair}; history the agent's obligation log
+ *          rows, newest first, each with its direction ('issued' or
+ *          'received') and peer
+ */
+export function agentProfile(id, historyLength = 20) {
+  const archive = sim.biographyArchive.get(id);
+  if (!archive) return null;
+  const agent = world.agentMap.get(id) || null;
+  const last = archive.biography[archive.biography.length - 1] || {};
+  const traits = agent
+    ? {
+      normPreference: agent.normPreference,
+      scenarioGroup: agent.scenarioGroup,
+      affiliation: agent.affiliation,
+      role: agent.role,
+      temperament: agent.temperament,
+      moralStance: agent.moralStance,
+      memoryLength: agent.memoryLength,
+      vulnerability: agent.vulnerability,
+      culturalMomentum: agent.culturalMomentum,
+      contradictionDebt: agent.contradictionDebt,
+      internalConflict: agent.internalConflict,
+      obligationsImposed: agent.obligationsImposed,
+      obligationsReceived: agent.obligationsReceived
+    }
+    : {
+      normPreference: last.normPreference,
+      role: last.role,
+      temperament: last.temperament,
+      moralStance: last.moralStance,
+      memoryLength: last.memoryLength,
+      culturalMomentum: last.momentum,
+      contradictionDebt: last.debt,
+      internalConflict: last.conflict
+    };
+  const acknowledgments = agent
+    ? Object.fromEntries(normTypes.map(norm => [norm, !!agent[`${norm}Acknowledges`]]))
+    : { ...last.acknowledgments };
+  const trust = agent
+    ? [...agent.trustMap]
+      .map(([peerId, score]) => {
+        const peer = world.agentMap.get(peerId);
+        return { id: peerId, trust: score, alive: !!peer, affiliation: peer ? peer.affiliation : null };
+      })
+      .sort((a, b) => b.trust - a.trust)
+    : [];
+  const active = agent
+    ? sim.obligationVectors
+      .filter(vec => vec.status === 'pending' && (vec.source === agent || vec.target === agent))
+      .map(vec => ({
+        direction: vec.source === agent ? 'issued' : 'received',
+        peer: vec.source === agent ? vec.target.id : vec.source.id,
+        norm: vec.norm,
+        strength: vec.strength,
+        repair: !!vec.repair
+      }))
+    : [];
+  const history = [];
+  for (let i = sim.obligationLog.length - 1; i >= 0 && history.length < historyLength; i--) {
+    const row = sim.obligationLog[i];
+    if (row.from === id) history.push({ ...row, direction: 'issued', peer: row.to });
+    else if (row.to === id) history.push({ ...row, direction: 'received', peer: row.from });
+  }
+  return {
+    id,
+    alive: !!agent,
+    parentId: archive.parentId,
+    birthGeneration: archive.birthGeneration,
+    deathGeneration: archive.deathGeneration,
+    traits,
+    acknowledgments,
+    biography: archive.biography,
+    trust,
+    active,
+    history
+  };
+}
+
+// Interventions arrive between ticks, when offspring born at the end of
+// a generation are not yet in world.agentMap; each one therefore
+// publishes the population with syncWorld() before looking agents up.
+
+// Record an intervention in sim.interventionLog
+function logIntervention(intervention, { scope = null, norm = null, ids = [], x = null, y = null, radius = null } = {}) {
+  const round = value => value === null ? null : Math.round(value);
+  sim.interventionLog.push({
+    generation: sim.generation,
+    tick: world.frame,
+    time: new Date().toISOString(),
+    intervention,
+    scope,
+    norm,
+    count: ids.length,
+    ids: ids.join(' '),
+    x: round(x),
+    y: round(y),
+    radius: round(radius)
+  });
+}
+
+// Expire the pending obligations issued by or addressed to the given
+// agents, as when a norm is removed
+function expireObligations(agents, reason) {
+  for (const vec of sim.obligationVectors) {
+    if (vec.status !== 'pending' || !(agents.has(vec.source) || agents.has(vec.target))) continue;
+    vec.apply(toDecision({ status: 'expired', reason }), {
+      generation: sim.generation,
+      obligationLog: sim.obligationLog,
+      repairLog: sim.repairLog
+    });
+  }
+}
+
+/**
+ * Move a living agent to a point of the world, at rest.  Dragging an
+ * agent in the sketch moves it every frame without recording and
+ * records the whole drag once, when the agent is dropped.
+ *
+ * @param {number} id The agent's id
+ * @param {number} x Horizontal position
+ * @param {number} y Vertical position
+ * @param {Object} [options]
+ * @param {boolean} [options.record] Whether to log the move
+ * @returns {boolean} Whether the agent exists
+ */
+export function moveAgent(id, x, y, { record = true } = {}) {
+  syncWorld();
+  const agent = world.agentMap.get(id);
+  if (!agent) return false;
+  agent.pos.x = Math.min(Math.max(x, 0), world.width);
+  agent.pos.y = Math.min(Math.max(y, 0), world.height);
+  agent.vel.x = 0;
+  agent.vel.y = 0;
+  if (record) logIntervention('move', { ids: [id], x: agent.pos.x, y: agent.pos.y });
+  return true;
+}
+
+/**
+ * Flip the acknowledgment of a norm for each of the given agents.  Like
+ * editNorm() this is an edit from outside the model, so the
+ * falsifiability monitor does not report the change; the intervention
+ * log does.
+ *
+ * @param {Array<number>} ids Ids of the agents
+ * @param {string} norm A registered norm
+ * @param {string} [scope] How the agents were chosen, for the log
+ *        (e.g. 'agent', 'group pref_care' or 'all')
+ * @returns {Array<number>} Ids of the living agents changed
+ */
+export function flipAcknowledgment(ids, norm, scope = null) {
+  if (!normRegistry[norm]) return [];
+  syncWorld();
+  const changed = [];
+  for (const id of ids) {
+    const agent = world.agentMap.get(id);
+    if (!agent) continue;
+    agent[`${norm}Acknowledges`] = !agent[`${norm}Acknowledges`];
+    agent.lastAcknowledgments[norm] = agent[`${norm}Acknowledges`];
+    changed.push(id);
+  }
+  if (changed.length > 0) logIntervention('flip', { scope, norm, ids: changed });
+  return changed;
+}
+
+/**
+ * Impose a norm on the given agents: each comes to acknowledge it and
+ * to prefer it.  Scenario groups and affiliations follow at the next
+ * generation.  As with flipAcknowledgment() the falsifiability monitor
+ * does not report the change.
+ *
+ * @param {Array<number>} ids Ids of the agents
+ * @param {string} norm A registered norm
+ * @param {string} [scope] How the agents were chosen, for the log
+ * @returns {Array<number>} Ids of the living agents changed
+ */
+export function imposeNorm(ids, norm, scope = null) {
+  if (!normRegistry[norm]) return [];
+  syncWorld();
+  const changed = [];
+  for (const id of ids) {
+    const agent = world.agentMap.get(id);
+    if (!agent) continue;
+    agent[`${norm}Acknowledges`] = true;
+    agent.lastAcknowledgments[norm] = true;
+    agent.normPreference = norm;
+    changed.push(id);
+  }
+  if (changed.length > 0) logIntervention('impose', { scope, norm, ids: changed });
+  return changed;
+}
+
+/**
+ * Remove every agent within `radius` of a point: a localised shock in
+ * the spirit of the genocideShock scenario.  The agents die at once;
+ * their biographies record the current generation as their death and
+ * their pending obligations expire.
+ *
+ * @param {number} x Horizontal centre of the region
+ * @param {number} y Vertical centre of the region
+ * @param {number} radius Radius of the region
+ * @returns {Array<number>} Ids of the removed agents
+ */
+export function removeRegion(x, y, radius) {
+  syncWorld();
+  const removed = new Set(world.grid.within(x, y, radius)
+    .filter(agent => Math.hypot(agent.pos.x - x, agent.pos.y - y) <= radius));
+  if (removed.size === 0) return [];
+  expireObligations(removed, 'removed');
+  for (const agent of removed) {
+    const entry = sim.biographyArchive.get(agent.id);
+    if (entry) entry.deathGeneration = sim.generation;
+  }
+  sim.agents = sim.agents.filter(agent => !removed.has(agent));
+  syncWorld();
+  const ids = [...removed].map(agent => agent.id);
+  logIntervention('remove', { ids, x, y, radius });
+  return ids;
+}
+
+/**
+ * Add newcomers with a chosen profile around a point.  Each newcomer
+ * prefers and acknowledges `norm` and no other norm (norms with
+ * acknowledgedBy rules follow their rules instead), joins the
+ * affiliation group of that preference and draws its remaining traits
+ * as any new agent does.
+ *
+ * @param {number} x Horizontal centre of the arrival
+ * @param {number} y Vertical centre of the arrival
+ * @param {Object} profile
+ * @param {number} [profile.count] Number of newcomers
+ * @param {string} profile.norm A registered norm
+ * @param {string} [profile.role] One of the agent roles, or random if omitted
+ * @param {string} [profile.moralStance] 'reactive' or 'proactive', or random if omitted
+ * @param {number} [profile.radius] Spread of the newcomers around the point
+ * @returns {Array<number>} Ids of the newcomers
+ */
+export function injectAgents(x, y, { count = 10, norm, role = null, moralStance = null, radius = 40 } = {}) {
+  if (!normRegistry[norm] || count < 1) return [];
+  const { left, right, top, bottom } = SIM_CONFIG.margins;
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const agent = new Agent(sim.globalAgentIndex++);
+    const angle = random(0, 2 * Math.PI);
+    const distance = radius * Math.sqrt(random());
+    agent.pos.x = Math.min(Math.max(x + Math.cos(angle) * distance, left), world.width - right);
+    agent.pos.y = Math.min(Math.max(y + Math.sin(angle) * distance, top), world.height - bottom);
+    for (const name of normTypes) {
+      agent[`${name}Acknowledges`] = name === norm;
+      agent.lastAcknowledgments[name] = name === norm;
+    }
+    agent.normPreference = norm;
+    agent.scenarioGroup = sim.scenario;
+    agent.affiliation = `pref_${norm}`;
+    if (!sim.groupColors[agent.affiliation]) sim.groupColors[agent.affiliation] = randomGroupColor();
+    if (ROLES.includes(role)) agent.role = role;
+    if (moralStance === 'reactive' || moralStance === 'proactive') agent.moralStance = moralStance;
+    applyAcknowledgmentRules(agent);
+    agent.birthGeneration = sim.generation;
+    archiveBiography(agent);
+    sim.agents.push(agent);
+    ids.push(agent.id);
+  }
+  syncWorld();
+  logIntervention('inject', { norm, ids, x, y, radius });
+  return ids;
+}
+
+/**
+ * Compute statistics, perform reproduction and death, record
+ * biographies and refresh obligations.  This function is called
+ * whenever a generation elapses.
+ */
+export function evolveGeneration() {
+  // Death based on age and conflict
+  sim.agents = sim.agents.filter(agent => {
+    const age = sim.generation - (agent.birthGeneration || 0);
+    const baseDeathRate = SIM_CONFIG.death.baseRate;
+    // Conflict penalty is capped to avoid excessively high mortality from
+    // extremely conflicted agents.  A constant cap of 0.1 mirrors the
+    // behaviour of the original sketch.
+    const conflictPenalty = Math.min(agent.internalConflict * SIM_CONFIG.death.conflictWeight, 0.1);
+    const oldAgeBoost = age > SIM_CONFIG.death.ageThreshold ? SIM_CONFIG.death.oldAgeBoost * (age - SIM_CONFIG.death.ageThreshold) : 0;
+    const deathChance = baseDeathRate + conflictPenalty + oldAgeBoost;
+    if (random() < deathChance) {
+      const entry = sim.biographyArchive.get(agent.id);
+      if (entry) entry.deathGeneration = sim.generation;
+      return false;
+    }
+    return true;
+  });
+  for (const agent of sim.agents) {
+    agent.updateConflictAndDebt();
+  }
+
+  // Update agent map after removing dead agents
+  syncWorld();
+
+  sim.generation++;
+  // Create new obligations after reproduction/death; logging will
+  // occur later after agents update conflict/debt for this generation.
+  generateObligations();
+
+  // First pass: update normative preferences and scenario groups
+  for (const agent of sim.agents) {
+    // Normative drift: with a small probability agents may change their
+    // preferred norm, simulating evolving norms and emergent scenarios.
+    const driftChance = 0.02; // 2% chance per generation
+    if (random() < driftChance) {
+      const others = normTypes.filter(n => n !== agent.normPreference);
+      agent.normPreference = random(others);
+    }
+    // Scenario group will be re-evaluated after drift using
+    // updateScenarios().
+  }
+  // Re-evaluate scenario membership after normative drift.  This
+  // classification allows scenario groups to evolve dynamically.
+  updateScenarios();
+  // Update affiliations based on trust networks after preferences shift
+  updateAffiliations();
+  // Compute group-level trust and handle hostile or merging dynamics
+  updateGroupDynamics();
+  // Agents adopt or drop norms in light of what they have experienced
+  learnAcknowledgments();
+  // Norms with acknowledgedBy rules follow the new scenario groups
+  for (const agent of sim.agents) applyAcknowledgmentRules(agent);
+
+  // Second pass: record biographies, update conflict/debt and log entries
+  for (const agent of sim.agents) {
+    agent.recordBiography(sim.generation);
+    agent.decayMemory();
+    agent.updateConflictAndDebt();
+    // Outcomes over the agent's whole obligation history
+    const { fulfilled, denied, expired, repaired } = agent.countOutcomes();
+    // Monitor acknowledgment changes
+    for (const norm of normTypes) {
+      const key = `${norm}Acknowledges`;
+      if (agent[key] !== agent.lastAcknowledgments[norm]) {
+        sim.falsifyFlags.push(`Agent #${agent.id} changed ${norm} to ${agent[key]} @ Gen ${sim.generation}`);
+        sim.falsifyEvents.push({
+          generation: sim.generation,
+          id: agent.id,
+          norm,
+          oldValue: agent.lastAcknowledgments[norm] ?? null,
+          newValue: agent[key],
+          cause: changeCause(agent.id, norm)
+        });
+        agent.lastAcknowledgments[norm] = agent[key];
+      }
+    }
+    // Capture per-agent log entry
+    sim.agentLog.push({
+      generation: sim.generation,
+      scenario: sim.scenario,
+      id: agent.id,
+      normPref: agent.normPreference || 'n/a',
+      // One entry per live norm, custom norms included; the exporter
+      // turns each into a <norm>Ack column
+      acks: Object.fromEntries(normTypes.map(norm => [norm, agent[`${norm}Acknowledges`] || false])),
+      attempts: agent.obligationAttempts || 0,
+      successes: agent.obligationSuccesses || 0,
+      conflict: Number((agent.internalConflict || 0).toFixed(3)),
+      debt: Number((agent.contradictionDebt || 0).toFixed(3)),
+      momentum: (agent.culturalMomentum || 0).toFixed(3),
+      trustCount: agent.trustMap.size || 0,
+      trustMax: Math.max(...Array.from(agent.trustMap.values()), 0),
+      fulfilled,
+      denied,
+      expired,
+      repaired,
+      role: agent.role,
+      temperament: agent.temperament,
+      moralStance: agent.moralStance,
+      scenarioGroup: agent.scenarioGroup,
+      memoryLength: agent.memoryLength,
+      vulnerability: agent.vulnerability,
+      birthGeneration: agent.birthGeneration,
+      imposed: agent.obligationsImposed,
+      received: agent.obligationsReceived,
+      // Include the agent's current affiliation to track emergent group
+      affiliation: agent.affiliation,
+      enableMoralRepair: sim.enableMoralRepair,
+      enableDirectedEmergence: sim.enableDirectedEmergence,
+      enableNonReciprocalTargeting: sim.enableNonReciprocalTargeting,
+      batchRun: sim.batchRun,
+      seed: sim.seed
+    });
+  }
+
+  // After agents update conflict and debt, log aggregate metrics for
+  // this generation.  This ensures that avgDebt and avgConflict
+  // reflect the latest updates rather than the previous
+  // generation's values.
+  logGeneration(sim.agents, sim.generation, sim.log, sim.repairLog);
+  sim.groupHistory.push(groupCensus());
+  if (sim.recordTrustGraphs) sim.trustGraphLog.push(trustGraph());
+
+  // Moral repair: agents who failed obligations offer repairs to those
+  // they wronged, on their own or brokered by mediators.  The repair
+  // obligations resolve during the coming generation.
+  if (sim.enableMoralRepair) {
+    offerRepairs();
+    mediateRepairs();
+  }
+
+  // Reproduction: offspring inherit or mutate acknowledgments and preferences
+  const offspring = [];
+  for (const parent of sim.agents) {
+    if (random() < SIM_CONFIG.reproduction.chance && sim.agents.length + offspring.length < SIM_CONFIG.numAgents * 10) {
+      const child = new Agent(sim.globalAgentIndex++);
+      // Mutate acknowledgments based on parent's conflict
+      const mutationRate = SIM_CONFIG.reproduction.mutationBase + SIM_CONFIG.reproduction.maxConflictMutation * parent.internalConflict;
+      for (const norm of normTypes) {
+        const key = `${norm}Acknowledges`;
+        child[key] = (random() < (1 - mutationRate)) ? parent[key] : random() > 0.5;
+        // Inherited acknowledgments are the child's starting point, not
+        // a change for the falsifiability monitor to report
+        child.lastAcknowledgments[norm] = child[key];
+      }
+      // Inherit or mutate norm preference
+      child.normPreference = (random() < SIM_CONFIG.reproduction.preferenceInheritance)
+        ? parent.normPreference
+        : random(normTypes);
+      // Inherit scenario and affiliation from parent.  These may be
+      // re-classified in the next generation but preserve continuity.
+      child.scenarioGroup = parent.scenarioGroup;
+      child.affiliation = parent.affiliation;
+      applyAcknowledgmentRules(child);
+      // Jitter cultural momentum
+      child.culturalMomentum = Math.min(
+        Math.max((parent.culturalMomentum || 0.5) + random(-0.1, 0.1), 0.1),
+        1.0
+      );
+      // Offspring remember as long as their parent
+      child.memoryLength = parent.memoryLength;
+      child.birthGeneration = sim.generation;
+      archiveBiography(child, parent);
+      offspring.push(child);
+    }
+  }
+  sim.agents = sim.agents.concat(offspring);
+}
+
+// Enforcement and acknowledgment functions of a norm: compiled from
+// its rules, or the defaults of the built-in norms without rules
+function normFunctions(name, rules) {
+  if (rules) return compileNormRules(name, rules);
+  return {
+    // Delegate to the default enforcement logic provided in norms.js.
+    // Without this wrapper the obligation will not be processed.
+    enforceFn: (vec, state) => defaultEnforce(vec, state),
+    acknowledgeFn: (agent) => agent[`${name}Acknowledges`]
+  };
+}
+
+/**
+ * Register a custom norm, add it to the norm types and palette, and
+ * set every living agent's acknowledgment of it.  Without rules the
+ * norm uses default enforcement and agents acknowledge it at random;
+ * with a rule set (see compileNormRules() in norms.js) its behaviour
+ * and acknowledgment follow the rules.  A name that is already
+ * registered is passed to editNorm() instead.  Used by the GUI's
+ * "Add Norm" form, settings files and worker runs, which replay the
+ * custom norms of the page.
+ *
+ * @param {string} name Name of the norm (case-insensitive)
+ * @param {Array<number>} color RGB colour of the norm
+ * @param {Object} [rules] Declarative rule set, or null for defaults
+ * @returns {string|null} The registered (lowercase) name, or null if
+ *          the name is empty
+ */
+export function addCustomNorm(name, color, rules = null) {
+  if (!name) return null;
+  const lower = name.toLowerCase();
+  if (normRegistry[lower]) return editNorm(lower, color, rules);
+  const { enforceFn, acknowledgeFn } = normFunctions(lower, rules);
+  registerNorm(lower, { color, enforceFn, acknowledgeFn, custom: true, rules });
+  // normTypes is a reference to SIM_CONFIG.normTypes, so pushing onto
+  // SIM_CONFIG.normTypes suffices.  Do not push to normTypes again or
+  // it will create duplicates.
+  SIM_CONFIG.normTypes.push(lower);
+  // Add the colour to the global palette so that agents and
+  // obligations are rendered consistently
+  COLORS.norms[lower] = color;
+  for (const agent of sim.agents) {
+    agent[`${lower}Acknowledges`] = rules?.acknowledgedBy ? acknowledgeFn(agent) : random() > 0.5;
+    // Ensure lastAcknowledgments is defined for the new norm
+    if (!agent.lastAcknowledgments) agent.lastAcknowledgments = {};
+    agent.lastAcknowledgments[lower] = agent[`${lower}Acknowledges`];
+  }
+  return lower;
+}
+
+/**
+ * Change the colour and rules of a registered norm, built-in or
+ * custom.  Obligations already issued under the norm follow the new
+ * rules from the next tick.  When the rules say who acknowledges the
+ * norm, living agents' acknowledgments are updated to match; this is
+ * an edit, not a change for the falsifiability monitor to report.
+ *
+ * @param {string} name Name of a registered norm
+ * @param {Array<number>} color RGB colour of the norm
+ * @param {Object} [rules] Declarative rule set, or null for defaults
+ * @returns {string|null} The name, or null if no such norm is registered
+ */
+export function editNorm(name, color, rules = null) {
+  const entry = normRegistry[name];
+  if (!entry) return null;
+  const { enforceFn, acknowledgeFn } = normFunctions(name, rules);
+  registerNorm(name, { ...entry, color, enforceFn, acknowledgeFn, rules });
+  COLORS.norms[name] = color;
+  if (rules?.acknowledgedBy) {
+    for (const agent of sim.agents) {
+      agent[`${name}Acknowledges`] = acknowledgeFn(agent);
+      agent.lastAcknowledgments[name] = agent[`${name}Acknowledges`];
+    }
+  }
+  return name;
+}
+
+/**
+ * Disable a norm temporarily, or enable it again.  No new obligations
+ * are issued under a disabled norm; obligations already issued run
+ * their course and agents keep their acknowledgments.
+ *
+ * @param {string} name Name of a registered norm
+ * @param {boolean} enabled Whether new obligations may use the norm
+ */
+export function setNormEnabled(name, enabled) {
+  if (normRegistry[name]) normRegistry[name].disabled = !enabled;
+}
+
+// Norms under which new obligations may be issued
+function activeNorms() {
+  return normTypes.filter(name => !normRegistry[name]?.disabled);
+}
+
+/**
+ * Delete a custom norm from the registry, the norm types, the palette
+ * and every living agent.  Its pending obligations expire, agents
+ * preferring it pick another enabled norm, and an initial norm
+ * distribution biased towards it reverts to uniform.  Built-in norms
+ * can only be disabled.
+ *
+ * @param {string} name Name of a custom norm
+ * @returns {boolean} Whether the norm was deleted
+ */
+export function removeCustomNorm(name) {
+  if (!normRegistry[name]?.custom) return false;
+  for (const vec of sim.obligationVectors) {
+    if (vec.norm === name && vec.status === 'pending') {
+      vec.apply(toDecision({ status: 'expired', reason: 'norm removed' }), {
+        generation: sim.generation,
+        obligationLog: sim.obligationLog,
+        repairLog: sim.repairLog
+      });
+    }
+  }
+  SIM_CONFIG.normTypes.splice(SIM_CONFIG.normTypes.indexOf(name), 1);
+  delete normRegistry[name];
+  delete COLORS.norms[name];
+  const remaining = activeNorms().length > 0 ? activeNorms() : normTypes;
+  for (const agent of sim.agents) {
+    delete agent[`${name}Acknowledges`];
+    delete agent.lastAcknowledgments[name];
+    if (agent.normPreference === name) agent.normPreference = random(remaining);
+  }
+  if (advancedSettings.defaultNormDistribution === name) advancedSettings.defaultNormDistribution = 'uniform';
+  return true;
+}
+
+/**
+ * Summarise every registered norm for the GUI's norm manager: its
+ * colour and state, the share of living agents acknowledging it, the
+ * outcomes of the obligations living agents issued under it and the
+ * repairs offered for broken obligations of the norm during the run.
+ *
+ * @returns {Array<Object>} One {name, color, custom, enabled, rules,
+ *          acknowledgedShare, issued, pending, fulfilled, denied,
+ *          expired, repaired, repairAttempts, repairRate} per norm
+ */
+export function normStats() {
+  const stats = new Map(normTypes.map(name => [name, {
+    name,
+    color: COLORS.norms[name],
+    custom: !!normRegistry[name]?.custom,
+    enabled: !normRegistry[name]?.disabled,
+    rules: normRegistry[name]?.rules ?? null,
+    acknowledgedShare: 0,
+    issued: 0, pending: 0, fulfilled: 0, denied: 0, expired: 0, repaired: 0,
+    repairAttempts: 0, repairRate: 0
+  }]));
+  for (const [name, { attempts, rate }] of Object.entries(summariseRepairs(sim.repairLog).byNorm)) {
+    const entry = stats.get(name);
+    if (entry) Object.assign(entry, { repairAttempts: attempts, repairRate: rate });
+  }
+  for (const agent of sim.agents) {
+    for (const entry of stats.values()) {
+      const acknowledges = normRegistry[entry.name]?.acknowledgeFn || (a => a[`${entry.name}Acknowledges`]);
+      if (acknowledges(agent)) entry.acknowledgedShare++;
+    }
+    for (const record of agent.obligationHistory) {
+      const entry = stats.get(record.norm);
+      if (!entry) continue;
+      entry.issued++;
+      entry[record.outcome]++;
+    }
+  }
+  for (const entry of stats.values()) {
+    entry.acknowledgedShare = sim.agents.length > 0 ? entry.acknowledgedShare / sim.agents.length : 0;
+  }
+  return Array.from(stats.values());
+}
+
+/**
+ * Run-level values of the current run: scenario, seed and toggles.  Passed to
+ * the CSV builders in exporter.js so every row records the context it
+ * was produced in, also for logs whose rows do not carry it.
+ *
+ * @returns {Object} {scenario, seed, enableMoralRepair, enableDirectedEmergence, enableNonReciprocalTargeting}
+ */
+export function runContext() {
+  return {
+    scenario: sim.scenario,
+    seed: sim.seed,
+    enableMoralRepair: sim.enableMoralRepair,
+    enableDirectedEmergence: sim.enableDirectedEmergence,
+    enableNonReciprocalTargeting: sim.enableNonReciprocalTargeting
+  };
+}
+
+/**
+ * Capture a compact, cloneable view of the current state for a
+ * renderer that does not own the model (see worker.js).  Agents are
+ * reduced to the fields the snapshot renderer draws; the generation
+ * log and the group census are trimmed to their most recent entries and
+ * the group event log to the events of those generations.
+ *
+ * @param {number} [logLength] Number of recent generation log entries to include
+ * @returns {Object} The snapshot
+ */
+export function takeSnapshot(logLength = 100) {
+  const log = sim.log.slice(-logLength);
+  const since = log.length > 0 ? log[0].generation : sim.generation;
+  return {
+    generation: sim.generation,
+    scenario: sim.scenario,
+    seed: sim.seed,
+    batchRun: sim.batchRun,
+    enableMoralRepair: sim.enableMoralRepair,
+    enableDirectedEmergence: sim.enableDirectedEmergence,
+    enableNonReciprocalTargeting: sim.enableNonReciprocalTargeting,
+    log,
+    groupEvents: sim.groupEventLog.filter(event => event.generation >= since),
+    groupHistory: sim.groupHistory.slice(-logLength),
+    falsifyFlags: sim.falsifyFlags.slice(-20),
+    groupColors: { ...sim.groupColors },
+    agents: sim.agents.map(agent => {
+      // Same colour source as Agent.updateVisuals() when the agent's
+      // affiliation has no group colour
+      const colorKey = agent.scenarioGroup || agent.normPreference;
+      const acknowledged = agent[`${colorKey}Acknowledges`];
+      return {
+        id: agent.id,
+        x: agent.pos.x,
+        y: agent.pos.y,
+        role: agent.role,
+        moralStance: agent.moralStance,
+        affiliation: agent.affiliation,
+        colorKey,
+        acknowledged: acknowledged !== undefined ? acknowledged : true
+      };
+    })
+  };
+}
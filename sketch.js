@@ -1,41 +1,28 @@
 // sketch.js
 //
 // The entry point for the modular agent–obligation simulation.  This file
-// orchestrates the P5.js setup/draw lifecycle, composes the imported
-// modules and maintains the simulation state.  It largely mirrors the
-// structure of the original monolithic sketch but references
-// configuration, class definitions, scenarios, exporters and GUI
-// builders from dedicated modules.
-
-import { SIM_CONFIG, TOGGLES, normTypes, COLORS } from './config.js';
-import { registerNorm, defaultEnforce } from './norms.js';
-import { Agent, ObligationVector, getNormColor } from './agent.js';
-import { SCENARIO_FUNCTIONS, SCENARIO_NAMES } from './scenarios.js';
+// orchestrates the P5.js setup/draw lifecycle, renders the model state
+// and wires the GUI to it.  The model itself (agents, obligations and
+// the generational cycle) lives in simulation.js so that it can also run
+// headlessly; this module drives it one tick per frame and draws the
+// result.  Batch and validation runs execute in a Web Worker instead
+// (worker.js) and are drawn from the snapshots it streams back.
+
+import { TOGGLES, normTypes, COLORS, VISUALS } from './config.js';
+import { getNormColor, drawAgentShape, ROLES } from './agent.js';
+import { SCENARIO_NAMES } from './scenarios.js';
 import { createGUI } from './gui.js';
-import { logGeneration, generateInterpretiveSummary, downloadAgentLog, downloadObligationLog } from './exporter.js';
-
-// Declare global state variables.  Using module‑level variables keeps
-// the simulation state encapsulated within this file but still
-// accessible from callback functions and the P5.js environment.
-let agents = [];
-let obligationVectors = [];
-let agentLog = [];
-let obligationLog = [];
-let log = [];
-let falsifyFlags = [];
-
-let generation = 0;
-let generationTimer = 0;
-const generationInterval = SIM_CONFIG.generationInterval;
-
-// The current scenario and toggle states.  Scenario defaults to
-// 'pluralist' but can be changed via the GUI.  Toggles mirror the
-// properties defined in TOGGLES but are copied locally to allow
-// mutation.
-let scenario = 'pluralist';
-let enableMoralRepair = TOGGLES.enableMoralRepair;
-let enableDirectedEmergence = TOGGLES.enableDirectedEmergence;
-let enableNonReciprocalTargeting = TOGGLES.enableNonReciprocalTargeting;
+import { createInspector } from './inspector.js';
+import {
+  generateInterpretiveSummary, downloadAgentLog, downloadObligationLog, downloadMetrics,
+  downloadBiographies, downloadFalsifyEvents, downloadRepairs, downloadGroupEvents, downloadLearning, downloadInterventions, downloadTrustGraph, downloadNamedFile, downloadZip,
+  TRUST_GRAPH_FORMATS
+} from './exporter.js';
+import { buildRunBundle } from './bundle.js';
+import { sim, resetSimulation, stepSimulation, runContext, biographyLog, trustGraph, agentProfile, moveAgent, flipAcknowledgment, imposeNorm, removeRegion, injectAgents, addCustomNorm, setNormEnabled, removeCustomNorm, normStats } from './simulation.js';
+import { loadSettings, currentSettings, exportModelConfig, validateNormSpec, customNormSpecs } from './settings.js';
+import { buildBatchPlan } from './batch.js';
+import { world } from './world.js';
 
 // Visual toggle states copied from the configuration toggles.  These
 // flags control optional render layers such as trust heatmap and
@@ -44,6 +31,7 @@ let enableNonReciprocalTargeting = TOGGLES.enableNonReciprocalTargeting;
 // imported constants.
 let enableTrustHeatmap = TOGGLES.showTrustHeatmap;
 let enableAgentTrails = TOGGLES.showAgentTrails;
+let enableGroupTimeline = TOGGLES.showGroupTimeline;
 
 // Additional visual layers for emerging affiliation groups and conflict intensity.
 // These toggles control whether translucent heatmaps are drawn to
@@ -53,158 +41,176 @@ let enableAffiliationHeatmap = false;
 let enableConflictHeatmap = false;
 
 // Validation mode controls whether the sketch renders the canvas.
-// When true the simulation still updates but visual output is
-// suppressed and only metrics are collected.  This flag is
-// toggled via the advanced settings panel.
-let validationMode = TOGGLES.enableValidationMode;
-
-// Batch mode variables.  When batchMode is true the simulation runs
-// repeatedly without drawing, logging results after a fixed number
-// of generations.  Use window.startBatch(runs, generations) to
-// initiate batch mode.
-let batchMode = false;
-let batchTotalRuns = 1;
-let batchGenerations = 25;
-let batchIndex = 0;
-
-// Sequence of {scenario, combo} objects representing the order of
-// scenario/toggle combinations to execute in batch mode.  Each
-// element is consumed sequentially.  The array is built when
-// startBatch() is called.
-let batchRunsSequence = [];
-
-// Accumulators for logs across batch runs.  When running in batch
-// mode, we collect all agent and obligation log entries into these
-// arrays.  At the end of the batch sequence the aggregated logs
-// will be exported as single CSV files instead of one per run.
-let batchAgentLog = [];
-let batchObligationLog = [];
-
-// Map of affiliation labels to colours used for rendering.  When a
-// new group is created at runtime, a random colour is assigned and
-// stored here.  This map is exposed on the window so that the
-// Agent class can access groupColours during its update() call.
-window.groupColors = {};
-
-// Advanced settings allow users to modify core parameters at runtime
-// without editing the code.  They are initialised from SIM_CONFIG
-// defaults and updated via the GUI's advanced panel.
-let advancedSettings = {
-  numAgents: SIM_CONFIG.numAgents,
-  proximityThreshold: SIM_CONFIG.enforcementRules.proximityThreshold,
-  defaultNormDistribution: 'uniform',
-  // Base memory length for new agents.  Values in [0.1,1.0].  Agents
-  // sample around this base when initialised.
-  memoryBase: 0.6,
-  // Distribution for moral stance of new agents.  Can be
-  // 'uniform', 'reactive-biased' or 'proactive-biased'.
-  moralStanceDistribution: 'uniform'
+// When true the current settings run to SIM_CONFIG.maxGenerations in
+// a Web Worker and the canvas only shows the snapshots it streams
+// back.  This flag is toggled via the advanced settings panel; see
+// setValidationMode().
+let validationMode = false;
+
+// Heading of the error report when the worker rejects its run, by mode
+const WORKER_ERROR_HEADINGS = {
+  batch: 'Batch not started: the batch spec is invalid.',
+  validation: 'Validation run not started.'
 };
 
-// Unique id generator for agents.  Incremented whenever an agent is
-// created.  Persisting across resets ensures that ids never repeat.
-let globalAgentIndex = 0;
+// The Web Worker running a batch or validation run (see worker.js),
+// the kind of run and the latest snapshot and progress it reported.
+// While a worker runs, the interactive run on the canvas is suspended.
+let simWorker = null;
+let workerMode = null;
+let workerSnapshot = null;
+let workerProgress = null;
 
-// Maintain a map of id → agent for efficient lookup.  This map is
-// recreated every frame in draw() so that changes to the agents
-// array are reflected automatically.
-let agentMap = new Map();
-// Set of hostile group pairs.  Each entry is a string "g1|g2" with
-// lexicographically sorted group names.  If a pair is hostile, the
-// obligation generator will avoid creating obligations between these
-// groups.  Updated each generation by updateGroupDynamics().
-let hostilePairs = new Set();
+// CSV text of the last completed validation run.  The download buttons
+// export it instead of the interactive logs while validation mode is on.
+let validationResult = null;
 
 // Control flags
-let running = true;
 let isPaused = false;
 let interpretiveSummary = '';
 let summaryPopup;
 let aboutPopup;
 
-// Helper to classify an agent into a high-level scenario based on its
-// current norm acknowledgments.  This function approximates the
-// original scenario definitions: agents acknowledging all norms are
-// classified as 'utopian'; agents acknowledging none as 'collapsed';
-// agents acknowledging only the legal norm as 'authoritarian';
-// agents acknowledging only the care norm as 'allCare'; otherwise
-// agents fall into 'pluralist'.  Additional patterns can easily be
-// added here.
-function classifyScenario(agent) {
-  const acknowledgments = {
-    apriori: agent.aprioriAcknowledges,
-    legal: agent.legalAcknowledges,
-    care: agent.careAcknowledges,
-    epistemic: agent.epistemicAcknowledges
-  };
-  const ackCount = Object.values(acknowledgments).filter(Boolean).length;
-  if (ackCount === normTypes.length) return 'utopian';
-  if (ackCount === 0) return 'collapsed';
-  if (ackCount === 1) {
-    if (acknowledgments.legal) return 'authoritarian';
-    if (acknowledgments.care) return 'allCare';
-    // If only one other norm is acknowledged, classify as pluralist by default
-    return 'pluralist';
-  }
-  // Default catch-all for mixed acknowledgments
-  return 'pluralist';
-}
-
-// Expose the agents and agentMap on the window so that imported
-// classes can access them without circular dependencies.  See the
-// applyCohesionForce() and applyAlignmentForce() implementations.
-window.agents = agents;
-window.agentMap = agentMap;
+// The agent inspector (see inspector.js), the id of the agent selected
+// by clicking on the canvas and the biography archive of the run it
+// belongs to.  A reset replaces the archive, which ends the selection.
+let inspector;
+let selectedAgentId = null;
+let selectedArchive = null;
+
+// The control panel (see createGUI()) and the state of the model its
+// norm manager and the inspector last showed: generation, interventions
+// made and biography archive, which a reset replaces
+let gui;
+let shownState = null;
+
+// Settings of the intervention controls (see createGUI()): the canvas
+// tool and the region, norm, scope and newcomer profile it uses.  While
+// an agent is dragged with the Select & drag tool, draggedAgentId holds
+// its id and dragStart the point it was picked up from.
+let interventionSettings = { tool: 'select', radius: 60, norm: null, scope: 'agent', count: 10, role: null, moralStance: null };
+let draggedAgentId = null;
+let dragStart = null;
+
+// Expose the agents and agentMap on the window for debugging from the
+// browser console.  The model itself reads them from world.js.
+window.agents = world.agents;
+window.agentMap = world.agentMap;
 window.isPaused = isPaused;
 
 // Provide a function on the window for initiating batch mode.  This
 // allows the GUI module to call startBatch() without importing
-// sketch.js directly.  When invoked it sets up the batch counters,
-// enables headless rendering via validationMode and resets the
-// simulation for the first run.
-window.startBatch = function(runs, generations) {
-  // Determine how many repetitions of each scenario/toggle combo to
-  // execute.  A run represents one execution per parameter combo.
-  const reps = parseInt(runs) || 1;
-  batchGenerations = parseInt(generations) || 25;
-  batchRunsSequence = [];
-  // Clear batch log accumulators at the start of a new batch run
-  batchAgentLog = [];
-  batchObligationLog = [];
-  // Define the toggle combinations for batch cycling.  These combos
-  // cover different moral repair and norm emergence settings.  Heatmap
-  // and trail toggles are disabled in batch mode to reduce overhead.
- const combos = [
-  { enableMoralRepair: false, enableDirectedEmergence: false, enableNonReciprocalTargeting: false },
-  { enableMoralRepair: true,  enableDirectedEmergence: false, enableNonReciprocalTargeting: false },
-  { enableMoralRepair: false, enableDirectedEmergence: true,  enableNonReciprocalTargeting: false },
-  { enableMoralRepair: false, enableDirectedEmergence: false, enableNonReciprocalTargeting: true },
-  { enableMoralRepair: true,  enableDirectedEmergence: true,  enableNonReciprocalTargeting: false },
-  { enableMoralRepair: true,  enableDirectedEmergence: false, enableNonReciprocalTargeting: true },
-  { enableMoralRepair: false, enableDirectedEmergence: true,  enableNonReciprocalTargeting: true },
-  { enableMoralRepair: true,  enableDirectedEmergence: true,  enableNonReciprocalTargeting: true }
-];
-
-  // Build the batch run sequence by iterating over all scenarios and
-  // toggle combos.  Each combination is repeated the specified
-  // number of times.
-  for (const s of SCENARIO_NAMES) {
-    for (const combo of combos) {
-      for (let i = 0; i < reps; i++) {
-        batchRunsSequence.push({ scenario: s, combo });
+// sketch.js directly.  It accepts a batch spec (see batch.js); fields
+// the spec omits come from BATCH_SETTINGS.  The legacy form
+// startBatch(runs, generations) runs BATCH_SETTINGS with the given
+// replicate count and run length.  The spec is checked here so that
+// mistakes are reported at once; the runs themselves execute in a Web
+// Worker and the aggregated logs are downloaded when it finishes.
+window.startBatch = function(spec = {}, generations) {
+  if (typeof spec !== 'object' || spec === null) {
+    spec = { replicates: parseInt(spec) || 1, generationsPerRun: parseInt(generations) || 25 };
+  }
+  const { errors } = buildBatchPlan(spec);
+  if (errors.length > 0) {
+    showErrorReport('Batch not started: the batch spec is invalid.', errors);
+    return false;
+  }
+  startWorker('batch', spec);
+  return true;
+};
+
+/**
+ * Start a Web Worker running the model with the page's current
+ * configuration.  Any worker already running is terminated first.
+ *
+ * @param {string} mode 'batch' or 'validation'
+ * @param {Object} [spec] The batch spec for batch mode
+ */
+function startWorker(mode, spec) {
+  stopWorker();
+  simWorker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  simWorker.onmessage = ({ data }) => handleWorkerMessage(data);
+  simWorker.onerror = (event) => {
+    showErrorReport('The simulation worker failed.', [event.message || 'Unknown error']);
+    stopWorker();
+  };
+  workerMode = mode;
+  workerSnapshot = null;
+  workerProgress = null;
+  simWorker.postMessage({ type: 'start', mode, spec, config: exportModelConfig() });
+}
+
+/**
+ * Terminate the running worker, discarding its results.  The canvas
+ * returns to the interactive run unless validation mode is on.
+ */
+function stopWorker() {
+  if (simWorker) simWorker.terminate();
+  simWorker = null;
+  workerMode = null;
+}
+
+/**
+ * Handle snapshots, errors and results posted by the worker.
+ */
+function handleWorkerMessage(data) {
+  switch (data.type) {
+    case 'snapshot':
+      workerSnapshot = data.snapshot;
+      workerProgress = data.progress;
+      break;
+    case 'error':
+      // startBatch() validates the spec first, so this only reports
+      // what the worker's own configuration rejects
+      showErrorReport(WORKER_ERROR_HEADINGS[workerMode] ?? 'The simulation worker stopped.', data.errors);
+      stopWorker();
+      break;
+    case 'done': {
+      const mode = workerMode;
+      stopWorker();
+      if (mode === 'batch') {
+        // Export the aggregated logs of all runs and their manifest
+        // as a single archive
+        downloadZip(data.bundle, `bundle_${data.label}.zip`, 'Download Bundle');
+      } else {
+        validationResult = data;
       }
+      // Show an interpretive summary of the final run
+      interpretiveSummary = data.summary;
+      showInterpretivePopup();
+      break;
     }
   }
-  batchTotalRuns = batchRunsSequence.length;
-  batchIndex = 0;
-  batchMode = true;
-  validationMode = true;
-  // Apply the configuration for the first run and reset the simulation
-  if (batchRunsSequence.length > 0) {
-    applyBatchConfig(batchRunsSequence[0]);
+}
+
+/**
+ * Download the files of the finished validation run whose names start
+ * with `prefix`, e.g. 'metrics' for its metrics CSV and JSON.
+ *
+ * @param {string} prefix Name prefix of the files (see logFiles() in bundle.js)
+ */
+function downloadResultFiles(prefix, extension = null) {
+  for (const { name, text } of validationResult.files) {
+    if (!name.startsWith(`${prefix}_`)) continue;
+    if (extension && !name.endsWith(`.${extension}`)) continue;
+    downloadNamedFile(text, name);
   }
-  resetSimulation();
-};
+}
+
+/**
+ * Switch validation mode on or off.  Switching it on starts a
+ * validation run in the worker; switching it off abandons an
+ * unfinished one and returns the canvas to the interactive run.
+ *
+ * @param {boolean} enabled Whether validation mode should be on
+ */
+function setValidationMode(enabled) {
+  if (enabled === validationMode) return;
+  validationMode = enabled;
+  validationResult = null;
+  if (enabled) startWorker('validation');
+  else if (workerMode === 'validation') stopWorker();
+}
 
 /**
  * Setup is called once by P5.js when the page loads.  It
@@ -215,6 +221,9 @@ window.startBatch = function(runs, generations) {
 export function setup() {
   const canvas = createCanvas(windowWidth - 40, windowHeight - 100);
   canvas.parent('sketch-holder');
+  // Agents move within the canvas bounds
+  world.width = width;
+  world.height = height;
   // Improve graphics quality by increasing pixel density and enabling
   // smoothing.  This reduces jagged edges and produces clearer lines
   // and curves on high DPI displays.
@@ -263,27 +272,27 @@ export function setup() {
   // Build the GUI.  Callbacks are defined here to manipulate the
   // simulation state without leaking implementation details into the
   // GUI module.
-    createGUI({
+  gui = createGUI({
     scenarios: SCENARIO_NAMES,
     // Expose an array of toggle names.  Additional toggles for
     // visual layers (trust heatmap, affiliation heatmap, conflict heatmap
     // and motion trails) are included to provide more modifiability.
     // These labels are used in the onToggleChange handler below.
-    toggles: ['Moral Repair', 'Directed Norms', 'Vulnerability Targeting', 'Trust Heatmap', 'Affiliation Heatmap', 'Conflict Heatmap', 'Trails'],
+    toggles: ['Moral Repair', 'Directed Norms', 'Vulnerability Targeting', 'Trust Heatmap', 'Affiliation Heatmap', 'Conflict Heatmap', 'Trails', 'Group Timeline'],
     onScenarioSelect: (type) => {
-      scenario = type;
+      sim.scenario = type;
       resetSimulation();
     },
     onToggleChange: (name) => {
       switch (name) {
         case 'Moral Repair':
-          enableMoralRepair = !enableMoralRepair;
+          sim.enableMoralRepair = !sim.enableMoralRepair;
           break;
         case 'Directed Norms':
-          enableDirectedEmergence = !enableDirectedEmergence;
+          sim.enableDirectedEmergence = !sim.enableDirectedEmergence;
           break;
         case 'Vulnerability Targeting':
-          enableNonReciprocalTargeting = !enableNonReciprocalTargeting;
+          sim.enableNonReciprocalTargeting = !sim.enableNonReciprocalTargeting;
           break;
         case 'Trust Heatmap':
           enableTrustHeatmap = !enableTrustHeatmap;
@@ -297,237 +306,249 @@ export function setup() {
         case 'Trails':
           enableAgentTrails = !enableAgentTrails;
           break;
+        case 'Group Timeline':
+          enableGroupTimeline = !enableGroupTimeline;
+          break;
       }
     },
     onPauseResume: () => {
       isPaused = !isPaused;
-      running = !isPaused;
+      sim.running = !isPaused;
     },
     onStop: () => {
-      running = false;
-      interpretiveSummary = generateInterpretiveSummary(log, agents, scenario);
+      // A running worker finishes early and reports what it has so far
+      if (simWorker) {
+        simWorker.postMessage({ type: 'stop' });
+        return;
+      }
+      sim.running = false;
+      interpretiveSummary = generateInterpretiveSummary(sim.log, sim.agents, sim.scenario, sim.repairLog);
       showInterpretivePopup();
     },
     onReset: () => {
       resetSimulation();
     },
     onDownloadAgentLog: () => {
-      downloadAgentLog(agentLog, scenario);
+      if (validationMode && validationResult) {
+        downloadResultFiles('agentLog');
+        return;
+      }
+      downloadAgentLog(sim.agentLog, sim.scenario, runContext());
     },
     onDownloadObligationLog: () => {
-      downloadObligationLog(obligationLog, scenario);
-    },
-    onAdvancedChange: (settings) => {
-      // Update advanced settings from the GUI and propagate changes
-      // into the global configuration.  Many of these updates take
-      // effect immediately (e.g. force constants) while others only
-      // affect new agents on the next reset (e.g. memory base).
-      advancedSettings = { ...advancedSettings, ...settings };
-      // Proximity and agent count
-      if (settings.proximityThreshold !== undefined) {
-        SIM_CONFIG.enforcementRules.proximityThreshold = parseFloat(settings.proximityThreshold);
-        SIM_CONFIG.obligation.proximityThreshold = parseFloat(settings.proximityThreshold);
-      }
-      if (settings.numAgents !== undefined) {
-        SIM_CONFIG.numAgents = parseInt(settings.numAgents);
+      if (validationMode && validationResult) {
+        downloadResultFiles('obligationLog');
+        return;
       }
-      // Trust growth
-      if (settings.trustIncrement !== undefined) {
-        SIM_CONFIG.trustGrowth.increment = parseFloat(settings.trustIncrement);
+      downloadObligationLog(sim.obligationLog, sim.scenario, runContext());
+    },
+    onDownloadMetrics: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('metrics');
+        return;
       }
-      if (settings.trustDecrement !== undefined) {
-        SIM_CONFIG.trustGrowth.decrement = parseFloat(settings.trustDecrement);
+      downloadMetrics(sim.log, sim.scenario, runContext());
+    },
+    onDownloadBiographies: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('biographies');
+        return;
       }
-      // Expiration rules
-      if (settings.expirationBase !== undefined) {
-        SIM_CONFIG.enforcementRules.expirationBase = parseInt(settings.expirationBase);
+      downloadBiographies(biographyLog(), sim.scenario, runContext());
+    },
+    onDownloadBundle: () => {
+      if (validationMode && validationResult) {
+        downloadZip(validationResult.bundle, `bundle_${validationResult.label}.zip`, 'Download Bundle');
+        return;
       }
-      if (settings.expirationRandom !== undefined) {
-        SIM_CONFIG.enforcementRules.expirationRandom = parseInt(settings.expirationRandom);
+      downloadZip(buildRunBundle().zip, `bundle_${sim.scenario}.zip`, 'Download Bundle');
+    },
+    onDownloadFalsifyEvents: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('falsifiability');
+        return;
       }
-      // Reproduction and death
-      if (settings.reproductionChance !== undefined) {
-        SIM_CONFIG.reproduction.chance = parseFloat(settings.reproductionChance);
+      downloadFalsifyEvents(sim.falsifyEvents, sim.scenario, runContext());
+    },
+    onDownloadRepairs: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('repairs');
+        return;
       }
-      if (settings.deathRate !== undefined) {
-        SIM_CONFIG.death.baseRate = parseFloat(settings.deathRate);
+      downloadRepairs(sim.repairLog, sim.scenario, runContext());
+    },
+    onDownloadGroupEvents: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('groupEvents');
+        return;
       }
-      // Force constants
-      if (settings.cohesion !== undefined) {
-        SIM_CONFIG.forceParams.cohesion = parseFloat(settings.cohesion);
+      downloadGroupEvents(sim.groupEventLog, sim.scenario, runContext());
+    },
+    onDownloadLearning: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('learning');
+        return;
       }
-      if (settings.separation !== undefined) {
-        SIM_CONFIG.forceParams.separation = parseFloat(settings.separation);
+      downloadLearning(sim.acknowledgmentLog, sim.scenario, runContext());
+    },
+    trustGraphFormats: Object.keys(TRUST_GRAPH_FORMATS),
+    onDownloadTrustGraph: (format) => {
+      if (validationMode && validationResult) {
+        const { kind, prefixes } = TRUST_GRAPH_FORMATS[format];
+        prefixes.forEach(prefix => downloadResultFiles(prefix, kind));
+        return;
       }
-      if (settings.alignment !== undefined) {
-        SIM_CONFIG.forceParams.alignment = parseFloat(settings.alignment);
+      downloadTrustGraph([trustGraph()], sim.scenario, format, runContext());
+    },
+    onAdvancedChange: (settings) => {
+      // Update advanced settings from the GUI and propagate changes
+      // into the global configuration.  Many of these updates take
+      // effect immediately (e.g. force constants) while others only
+      // affect new agents on the next reset (e.g. memory base).
+      const { errors } = loadSettings(settings);
+      errors.forEach(message => console.warn(`Advanced settings: ${message}`));
+      // Validation mode toggling
+      if (settings.validationMode !== undefined) {
+        setValidationMode(TOGGLES.enableValidationMode);
       }
-      if (settings.trustAttraction !== undefined) {
-        SIM_CONFIG.forceParams.trustAttraction = parseFloat(settings.trustAttraction);
+      // A new seed restarts the run so that it follows from the seed
+      if (settings.seed !== undefined) {
+        resetSimulation();
       }
-      // Memory and moral stance distributions
-      if (settings.memoryBase !== undefined) {
-        advancedSettings.memoryBase = parseFloat(settings.memoryBase);
+    },
+    // Apply a settings file chosen via "Load Settings".  Valid keys are
+    // applied and the run restarts from them; skipped keys are listed
+    // in a popup.  Returns the resulting flat settings so that the GUI
+    // can move its controls to match.
+    onLoadSettings: (text, fileName) => {
+      let input;
+      try {
+        input = JSON.parse(text);
+      } catch (err) {
+        showErrorReport(`Could not load ${fileName}.`, [`Not valid JSON: ${err.message}`]);
+        return null;
       }
-      if (settings.moralStanceDistribution !== undefined) {
-        advancedSettings.moralStanceDistribution = settings.moralStanceDistribution;
+      const { applied, errors } = loadSettings(input);
+      customNormSpecs().forEach(norm => addNormOption(norm.name));
+      // Re-read the toggles that this module keeps local copies of
+      enableTrustHeatmap = TOGGLES.showTrustHeatmap;
+      enableAgentTrails = TOGGLES.showAgentTrails;
+      resetSimulation();
+      setValidationMode(TOGGLES.enableValidationMode);
+      if (errors.length > 0) {
+        showErrorReport(`Loaded ${fileName}: ${applied} value(s) applied, ${errors.length} skipped.`, errors);
       }
-      // Validation mode toggling
-      if (settings.validationMode !== undefined) {
-        validationMode = !!settings.validationMode;
+      return currentSettings();
+    },
+    // Start a batch from a spec file chosen via "Batch from File"
+    onLoadBatchSpec: (text, fileName) => {
+      let spec;
+      try {
+        spec = JSON.parse(text);
+      } catch (err) {
+        showErrorReport(`Could not load ${fileName}.`, [`Not valid JSON: ${err.message}`]);
+        return;
       }
+      window.startBatch(spec);
     }
 
     ,
     // Handle custom norm injection.  When users define a new norm via
-    // the advanced settings panel this callback registers the norm
-    // with the norm registry, extends the list of norm types and
-    // updates existing agents and UI elements accordingly.
-    onAddNorm: ({ name, color }) => {
-      if (!name) return;
-      const lower = name.toLowerCase();
-      // Avoid duplicates by checking existing norm types
-      if (SIM_CONFIG.normTypes.includes(lower)) return;
-      // Register the new norm with default enforcement and acknowledgment
-      registerNorm(lower, {
-        color,
-        // Delegate to the default enforcement logic provided in norms.js.
-        // Without this wrapper the obligation will not be processed.
-        enforceFn: (vec, state) => defaultEnforce(vec, state),
-        acknowledgeFn: (agent) => agent[`${lower}Acknowledges`]
-      });
-      // Extend the normTypes array; normTypes is a reference to SIM_CONFIG.normTypes
-      SIM_CONFIG.normTypes.push(lower);
-      // Add colour definition to the global palette so that agents and
-      // obligations are rendered consistently.  Because COLORS.norms
-      // is an object, mutating it here updates the palette seen by
-      // other modules.
-      COLORS.norms[lower] = color;
-      // The exported normTypes constant references SIM_CONFIG.normTypes, so
-      // pushing onto SIM_CONFIG.normTypes suffices.  Do not push to
-      // normTypes again or it will create duplicates.
-      // Update the norm distribution selector in the GUI.  See gui.js
-      // where window.normSelect is assigned.
-      if (window.normSelect && typeof window.normSelect.option === 'function') {
-        const label = lower.charAt(0).toUpperCase() + lower.slice(1) + ' biased';
-        window.normSelect.option(label);
-      }
-      // Augment existing agents with acknowledgment and default
-      // preference values.  By default agents randomise their
-      // acknowledgment for the new norm.
-      for (const agent of agents) {
-        // Randomly decide if this agent acknowledges the new norm
-        agent[`${lower}Acknowledges`] = random() > 0.5;
-        // Ensure lastAcknowledgments is defined for the new norm
-        if (!agent.lastAcknowledgments) agent.lastAcknowledgments = {};
-        agent.lastAcknowledgments[lower] = agent[`${lower}Acknowledges`];
+    // the advanced settings panel this callback validates the
+    // definition, registers the norm with the norm registry, extends
+    // the list of norm types and updates existing agents and UI
+    // elements accordingly.  Returns whether the norm was added.
+    onAddNorm: (spec) => {
+      const { norm, errors } = validateNormSpec(spec);
+      if (errors.length > 0) {
+        showErrorReport('The norm was not added.', errors);
+        return false;
       }
+      addNormOption(addCustomNorm(norm.name, norm.color, norm.rules));
+      return true;
+    }
+    ,
+    getCustomNorms: customNormSpecs
+    ,
+    // Norm manager callbacks (see gui.js)
+    getNormStats: normStats,
+    onSetNormEnabled: setNormEnabled,
+    onDeleteNorm: (name) => {
+      if (removeCustomNorm(name)) removeNormOption(name);
     }
     ,
     onShowAbout: () => {
       showAboutPopup();
     }
+    ,
+    // Intervention toolbox (see gui.js)
+    roles: ROLES,
+    onInterventionChange: (settings) => {
+      interventionSettings = settings;
+    },
+    onIntervene: (action, settings) => {
+      interventionSettings = settings;
+      intervene(action);
+    },
+    onDownloadInterventions: () => {
+      if (validationMode && validationResult) {
+        downloadResultFiles('interventions');
+        return;
+      }
+      downloadInterventions(sim.interventionLog, sim.scenario, runContext());
+    }
+  });
+
+  inspector = createInspector({
+    getProfile: (id) => sim.biographyArchive === selectedArchive ? agentProfile(id) : null,
+    onSelect: selectAgent
   });
 
-  initializeAgents();
-  loadScenario(scenario);
-  generateObligations();
-  // Log initial state
-  logGeneration(agents, generation, log);
+  // Create the initial agents and obligations and log the initial state
+  resetSimulation();
+  setValidationMode(TOGGLES.enableValidationMode);
 
   frameRate(60);
   smooth();
   pixelDensity(1);
-  running = true;
   loop();
 }
 
 /**
  * The main draw loop.  This function executes repeatedly at the
- * configured frame rate.  It handles drawing the environment,
- * updating agents and obligations, logging and generation
- * transitions.
+ * configured frame rate.  It advances the model by one tick (unless
+ * paused) and then draws the environment, obligations, agents and
+ * overlays.
  */
 export function draw() {
   background(245);
-
-  // Validation (dry-run) mode: skip all rendering and instead
-  // perform state updates only.  In this mode we still enforce
-  // obligations, update agents and increment generations, but avoid
-  // drawing to the canvas.  Metrics and logs continue to update.
-  if (validationMode) {
-    // Update agent lookup
-    agentMap.clear();
-    for (const a of agents) agentMap.set(a.id, a);
-    window.agents = agents;
-    window.agentMap = agentMap;
-    // Enforce obligations without drawing lines
-    for (const vec of obligationVectors) {
-      vec.enforce({ generation, obligationLog });
-    }
-    // Update agents without drawing them
-    for (const agent of agents) {
-      agent.update();
-    }
-    // Advance generation logic
-    if (running) {
-      generationTimer++;
-      if (generationTimer >= generationInterval) {
-        evolveGeneration();
-        generationTimer = 0;
-      }
-    }
-    // Display minimal label indicating validation mode with scenario and generation info
-    fill(0);
-    noStroke();
-    textSize(14);
-    textAlign(CENTER, CENTER);
-    let msg = 'Validation mode – running without rendering';
-    msg += `\nScenario: ${scenario}  Generation: ${generation}`;
-    if (batchMode) msg += `  Run: ${batchIndex + 1}/${batchTotalRuns}`;
-    text(msg, width / 2, height / 2);
+  world.width = width;
+  world.height = height;
+
+  // While a worker runs a batch or validation run, or validation mode
+  // shows a finished one, the interactive run is suspended and the
+  // canvas only draws the snapshots the worker streams back.
+  if (simWorker || validationMode) {
+    drawWorkerSnapshot();
     return;
   }
 
-  // Update the global agent map for lookup operations in the Agent
-  // methods.  Reassign the window globals each frame so that
-  // references remain up to date if the agents array is replaced.
-  agentMap.clear();
-  for (const a of agents) agentMap.set(a.id, a);
-  window.agents = agents;
-  window.agentMap = agentMap;
+  if (!isPaused) stepSimulation();
+  refreshPanels();
+  // A dragged agent follows the mouse instead of the flocking forces
+  if (draggedAgentId !== null) moveAgent(draggedAgentId, mouseX, mouseY, { record: false });
+  window.agents = world.agents;
+  window.agentMap = world.agentMap;
 
   drawTraitBars();
   drawLabels();
 
-  // If paused, show static positions and graphs but do not advance
-  if (isPaused) {
-    // Display obligations
-    for (const vec of obligationVectors) vec.display();
-    // Draw heatmaps beneath agents when paused for inspection
-    if (enableAffiliationHeatmap) {
-      drawAffiliationHeatmap();
-    }
-    if (enableConflictHeatmap) {
-      drawConflictHeatmap();
-    }
-    // Display agents
-    for (const agent of agents) agent.display();
-    drawLegend();
-    drawDebtConflictGraph();
-    return;
-  }
-
-  // Enforce and render obligations
-  for (const vec of obligationVectors) {
-    vec.enforce({ generation, obligationLog });
-    vec.display();
-  }
-  // Draw optional heatmaps before updating agent positions so that
-  // agents remain visible on top of the heatmap layers.  The
-  // affiliation heatmap visualises group clustering, while the
-  // conflict heatmap highlights locations with high inter‑group
-  // friction.
+  // Render obligations
+  for (const vec of sim.obligationVectors) vec.display();
+  // Draw optional heatmaps beneath agents so that agents remain
+  // visible on top of the heatmap layers.  The affiliation heatmap
+  // visualises group clustering, while the conflict heatmap
+  // highlights locations with high inter‑group friction.
   if (enableAffiliationHeatmap) {
     drawAffiliationHeatmap();
   }
@@ -535,31 +556,32 @@ export function draw() {
     drawConflictHeatmap();
   }
 
-  // Update and draw agents
-  for (const agent of agents) {
-    agent.update();
-agent.updateConflictAndDebt();
+  // Draw agents.  Visual state (colour, radius) only advances while
+  // the simulation is running so that a paused frame stays static.
+  for (const agent of sim.agents) {
+    if (!isPaused) agent.updateVisuals(sim.groupColors);
     agent.display();
   }
 
+  drawSelection();
+  drawInterventionCursor();
+
   // Tooltip on hover
-  for (const agent of agents) {
-    if (dist(mouseX, mouseY, agent.pos.x, agent.pos.y) < agent.r) {
-      fill(255);
-      stroke(100);
-      rect(mouseX + 10, mouseY - 10, 160, 70, 8);
-      noStroke();
-      fill(0);
-      textSize(11);
-      textAlign(LEFT, TOP);
-      text(`Agent #${agent.id}\nNorm: ${agent.normPreference}\nTrust: ${agent.trustMap?.size ?? 0}\nDebt: ${agent.contradictionDebt?.toFixed(2) ?? 0}\nConflict: ${agent.internalConflict?.toFixed(2) ?? 0}`, mouseX + 14, mouseY - 6);
-      break;
-    }
+  const agent = agentAt(mouseX, mouseY);
+  if (agent) {
+    fill(255);
+    stroke(100);
+    rect(mouseX + 10, mouseY - 10, 160, 84, 8);
+    noStroke();
+    fill(0);
+    textSize(11);
+    textAlign(LEFT, TOP);
+    text(`Agent #${agent.id}\nNorm: ${agent.normPreference}\nTrust: ${agent.trustMap?.size ?? 0}\nDebt: ${agent.contradictionDebt?.toFixed(2) ?? 0}\nConflict: ${agent.internalConflict?.toFixed(2) ?? 0}\nClick to inspect`, mouseX + 14, mouseY - 6);
   }
 
   drawLegend();
   drawDebtConflictGraph();
-
+  if (enableGroupTimeline) drawGroupTimeline();
 
   // Render additional visual layers if enabled.  Heatmap and
   // trails are drawn after the main elements so they are visible
@@ -570,541 +592,214 @@ agent.updateConflictAndDebt();
   if (enableAgentTrails) {
     drawTrails();
   }
-
-  // Advance generation on timer
-  if (running) {
-    generationTimer++;
-    if (generationTimer >= generationInterval) {
-      evolveGeneration();
-      generationTimer = 0;
-    }
-  }
 }
 
 /**
- * Reset the simulation while preserving the unique id counter.  This
- * function clears all agents, logs and obligations and then
- * reinitialises the agents and obligations according to the current
- * scenario and toggle settings.
+ * Find the agent drawn under a point of the canvas: the nearest agent
+ * whose drawn radius contains it, or null.  Only agents near the point
+ * are tested, via the spatial grid; no agent is drawn larger than the
+ * maximum radius.
  */
-function resetSimulation() {
-  falsifyFlags = [];
-  interpretiveSummary = '';
-  log = [];
-  agentLog = [];
-  obligationLog = [];
-  generation = 0;
-  generationTimer = 0;
-  // Clear group colours so that new runs generate fresh colours for emerging groups
-  window.groupColors = {};
-  initializeAgents();
-  loadScenario(scenario);
-  generateObligations();
-  logGeneration(agents, generation, log);
-  running = true;
+function agentAt(x, y) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const agent of world.grid.within(x, y, VISUALS.size.maxRadius)) {
+    const d = dist(x, y, agent.pos.x, agent.pos.y);
+    if (d < agent.visualRadius && d < nearestDistance) {
+      nearest = agent;
+      nearestDistance = d;
+    }
+  }
+  return nearest;
 }
 
 /**
- * Update the affiliation of each agent based on the affiliations of
- * their trusted neighbours.  An agent examines its trustMap and
- * aggregates trust scores by neighbour group; it then adopts the
- * group with the highest cumulative trust.  If an agent has no
- * trusted neighbours, it retains its current group, but if the
- * group does not exist yet (e.g. due to norm drift) a new group
- * labelled pref_<norm> is created.  New groups are assigned random
- * colours and stored in window.groupColors.
+ * Refresh the norm manager and the inspector when the interactive model
+ * has changed since they were last drawn: a new generation, an
+ * intervention or a reset.  Nothing is refreshed while the model
+ * stands still, e.g. when paused or while a worker run is shown.
  */
-function updateAffiliations() {
-  // For each agent compute the best group to join
-  for (const agent of agents) {
-    const groupScores = {};
-    // Accumulate trust by neighbour group
-    agent.trustMap.forEach((trust, id) => {
-      const neighbour = agentMap.get(id);
-      if (neighbour) {
-        const group = neighbour.affiliation || `pref_${neighbour.normPreference}`;
-        groupScores[group] = (groupScores[group] || 0) + trust;
-      }
-    });
-    // Determine the group with the highest trust
-    let bestGroup = agent.affiliation;
-    let maxScore = -Infinity;
-    for (const group in groupScores) {
-      const score = groupScores[group];
-      if (score > maxScore) {
-        maxScore = score;
-        bestGroup = group;
-      }
-    }
-    // If no neighbours contributed scores and the current group is undefined,
-    // fall back to the agent's norm-based group
-    if (Object.keys(groupScores).length === 0) {
-      bestGroup = `pref_${agent.normPreference}`;
-    }
-    // If this is a new group, assign a colour
-    if (!window.groupColors[bestGroup]) {
-      window.groupColors[bestGroup] = color(
-        random(100, 255),
-        random(100, 255),
-        random(100, 255),
-        220
-      );
-    }
-    agent.affiliation = bestGroup;
-  }
+function refreshPanels() {
+  const state = { generation: sim.generation, interventions: sim.interventionLog.length, archive: sim.biographyArchive };
+  if (shownState && Object.keys(state).every(key => state[key] === shownState[key])) return;
+  shownState = state;
+  gui.refreshNormManager();
+  inspector.refresh();
 }
 
 /**
- * Update the scenario classification of each agent based on its
- * current pattern of norm acknowledgments.  This function uses
- * classifyScenario() to assign the scenarioGroup property, allowing
- * scenarios to evolve dynamically over time.
+ * Select an agent for the inspector, or clear the selection with null.
  */
-function updateScenarios() {
-  for (const agent of agents) {
-    agent.scenarioGroup = classifyScenario(agent);
-  }
+function selectAgent(id) {
+  selectedAgentId = id;
+  selectedArchive = id === null ? null : sim.biographyArchive;
+  inspector.select(id);
 }
 
 /**
- * Compute trust relationships between affiliation groups and update
- * hostile/merge dynamics.  Groups with very low mutual trust are
- * recorded in the hostilePairs set, which influences obligation
- * generation.  Groups with high mutual trust may merge into a single
- * affiliation.  Merges adopt the name and colour of the larger
- * partner.  Thresholds are heuristic and can be tuned for different
- * dynamics.
+ * Apply the canvas tool of the intervention controls at the mouse.
+ * With Select & drag the agent under the mouse is selected for the
+ * inspector and picked up, and a click on empty canvas clears the
+ * selection; Remove region removes the agents within the tool's radius
+ * and Inject newcomers adds newcomers there.  Clicks on the GUI and
+ * other page elements are ignored, as are clicks while a worker run is
+ * shown.
  */
-function updateGroupDynamics() {
-  // Reset hostile pairs
-  hostilePairs.clear();
-  // Partition agents by affiliation
-  const groupMembers = {};
-  for (const agent of agents) {
-    const g = agent.affiliation;
-    if (!groupMembers[g]) groupMembers[g] = [];
-    groupMembers[g].push(agent);
-  }
-  const groups = Object.keys(groupMembers);
-  // Compute average trust between every pair of groups
-  const mergeThreshold = 3; // average trust above which groups merge
-  const hostileThreshold = 0.5; // below this average trust groups become hostile
-  // Keep track of which groups should merge into which
-  const mergeTargets = {};
-  for (let i = 0; i < groups.length; i++) {
-    for (let j = i + 1; j < groups.length; j++) {
-      const g1 = groups[i];
-      const g2 = groups[j];
-      // Compute average trust from g1 to g2 and g2 to g1
-      let trustSum = 0;
-      let count = 0;
-      for (const a of groupMembers[g1]) {
-        for (const b of groupMembers[g2]) {
-          const trust = a.trustMap.get(b.id) || 0;
-          trustSum += trust;
-          count++;
-        }
-      }
-      for (const a of groupMembers[g2]) {
-        for (const b of groupMembers[g1]) {
-          const trust = a.trustMap.get(b.id) || 0;
-          trustSum += trust;
-          count++;
-        }
-      }
-      const avgTrust = count > 0 ? trustSum / count : 0;
-      // Determine hostile or merge relation
-      if (avgTrust < hostileThreshold) {
-        // Record hostility in symmetric manner
-        const key = [g1, g2].sort().join('|');
-        hostilePairs.add(key);
-      } else if (avgTrust > mergeThreshold) {
-        // Plan to merge the smaller group into the larger one
-        const size1 = groupMembers[g1].length;
-        const size2 = groupMembers[g2].length;
-        if (size1 >= size2) {
-          mergeTargets[g2] = g1;
-        } else {
-          mergeTargets[g1] = g2;
-        }
-      }
+function mousePressed(event) {
+  if (!event || event.target?.tagName !== 'CANVAS') return;
+  if (simWorker || validationMode) return;
+  const { tool, radius, norm, count, role, moralStance } = interventionSettings;
+  if (tool === 'remove') {
+    removeRegion(mouseX, mouseY, radius);
+  } else if (tool === 'inject') {
+    injectAgents(mouseX, mouseY, { count, norm, role, moralStance, radius });
+  } else {
+    const agent = agentAt(mouseX, mouseY);
+    selectAgent(agent ? agent.id : null);
+    if (agent) {
+      draggedAgentId = agent.id;
+      dragStart = { x: agent.pos.x, y: agent.pos.y };
     }
   }
-  // Perform merges: update agent affiliations, colours and groupColours
-  for (const [from, to] of Object.entries(mergeTargets)) {
-    // Reassign all members of 'from' to 'to'
-    for (const agent of groupMembers[from] || []) {
-      agent.affiliation = to;
-    }
-    // Remove the old colour entry and rely on the new group's colour
-    delete window.groupColors[from];
-  }
 }
 
 /**
- * Apply a scenario and toggle combination for batch mode.  This
- * helper updates the global scenario variable and toggle flags
- * according to the provided configuration object.  Heatmap and
- * trail toggles are disabled during batch runs to minimise
- * overhead and because visual output is suppressed.
- *
- * @param {Object} cfg An object containing {scenario, combo}
+ * Drop a dragged agent.  A drag that moved the agent is recorded as a
+ * single move intervention.
  */
-function applyBatchConfig(cfg) {
-  if (!cfg) return;
-  scenario = cfg.scenario;
-  enableMoralRepair = !!cfg.combo.enableMoralRepair;
-  enableDirectedEmergence = !!cfg.combo.enableDirectedEmergence;
-  enableNonReciprocalTargeting = !!cfg.combo.enableNonReciprocalTargeting;
-  // Disable visual layers in batch mode
-  enableTrustHeatmap = false;
-  enableAgentTrails = false;
+function mouseReleased() {
+  if (draggedAgentId === null) return;
+  const agent = world.agentMap.get(draggedAgentId);
+  if (agent && dist(dragStart.x, dragStart.y, mouseX, mouseY) > 2) {
+    moveAgent(draggedAgentId, mouseX, mouseY);
+  }
+  draggedAgentId = null;
+  dragStart = null;
 }
 
 /**
- * Create the initial population of agents.  The number of agents is
- * determined by SIM_CONFIG.numAgents.  Each agent is assigned a
- * unique id.
+ * Flip the chosen norm's acknowledgment of, or impose it on, the agents
+ * in the chosen scope: the selected agent, the members of its
+ * affiliation group or every agent.
+ *
+ * @param {string} action 'flip' or 'impose'
  */
-function initializeAgents() {
-  agents = [];
-  // Use the advanced settings to determine the initial number of agents
-  const count = parseInt(advancedSettings.numAgents) || SIM_CONFIG.numAgents;
-  for (let i = 0; i < count; i++) {
-    const agent = new Agent(globalAgentIndex++);
-    agent.birthGeneration = generation;
-    // Override the agent's preferred norm based on the advanced
-    // distribution setting.  When biased toward a specific norm,
-    // approximately 60% of agents will adopt that norm as their
-    // preference, with the remainder distributed uniformly among the
-    // other norms.  For the uniform case no adjustment is made.
-    const dist = (advancedSettings.defaultNormDistribution || 'uniform');
-    if (dist !== 'uniform') {
-      const target = dist;
-      if (random() < 0.6) {
-        agent.normPreference = target;
-      } else {
-        // choose uniformly from other norms
-        const others = normTypes.filter(n => n !== target);
-        agent.normPreference = random(others);
-      }
-    }
-    agents.push(agent);
+function intervene(action) {
+  if (simWorker || validationMode) return;
+  const { scope, norm } = interventionSettings;
+  const selected = selectedAgentId !== null ? world.agentMap.get(selectedAgentId) : null;
+  if (scope !== 'all' && !selected) {
+    showErrorReport('No intervention was made.', ['Select a living agent first by clicking it with the Select & drag tool.']);
+    return;
   }
-
-    // After creating new agents assign their scenario group to match
-    // their norm preference.  This initialises emergent scenarios.
-    for (const agent of agents) {
-      // Initial scenario group is the current global scenario.  The
-      // classification will update automatically each generation.
-      agent.scenarioGroup = scenario;
-      // Initialise affiliations based on preference and assign a colour
-      agent.affiliation = `pref_${agent.normPreference}`;
-      if (!window.groupColors[agent.affiliation]) {
-        // Assign a random pastel colour for the group for visibility
-        window.groupColors[agent.affiliation] = color(
-          random(100, 255),
-          random(100, 255),
-          random(100, 255),
-          220
-        );
-      }
-    }
-
-    // After creating new agents assign memory length and moral stance
-    // based on advanced settings.  Memory length is drawn from a
-    // distribution centred on memoryBase, and moral stance can be
-    // biased toward reactive or proactive if selected.
-    for (const agent of agents) {
-      if (advancedSettings.memoryBase) {
-        const base = parseFloat(advancedSettings.memoryBase);
-        const minVal = Math.max(0.1, base - 0.2);
-        const maxVal = Math.min(1.0, base + 0.2);
-        agent.memoryLength = random(minVal, maxVal);
-      }
-      if (advancedSettings.moralStanceDistribution) {
-        const dist = advancedSettings.moralStanceDistribution;
-        if (dist === 'reactive-biased') {
-          agent.moralStance = random() < 0.7 ? 'reactive' : 'proactive';
-        } else if (dist === 'proactive-biased') {
-          agent.moralStance = random() < 0.7 ? 'proactive' : 'reactive';
-        }
-        // uniform case uses whatever the Agent constructor set.
-      }
-    }
+  let ids;
+  let label;
+  if (scope === 'all') {
+    ids = sim.agents.map(agent => agent.id);
+    label = 'all';
+  } else if (scope === 'group') {
+    ids = sim.agents.filter(agent => agent.affiliation === selected.affiliation).map(agent => agent.id);
+    label = `group ${selected.affiliation}`;
+  } else {
+    ids = [selected.id];
+    label = 'agent';
+  }
+  if (action === 'flip') flipAcknowledgment(ids, norm, label);
+  else if (action === 'impose') imposeNorm(ids, norm, label);
 }
 
 /**
- * Apply a scenario to all agents.  Scenario functions mutate
- * acknowledgments and preferences according to their definitions in
- * scenarios.js.
- *
- * @param {string} type The name of the scenario to apply
+ * Outline the region the Remove region and Inject newcomers tools act
+ * on around the mouse while it is over the canvas.
  */
-function loadScenario(type) {
-  const fn = SCENARIO_FUNCTIONS[type];
-  if (!fn) return;
-  for (const agent of agents) {
-    fn(agent);
-  }
+function drawInterventionCursor() {
+  const { tool, radius } = interventionSettings;
+  if (tool === 'select' || mouseX < 0 || mouseY < 0 || mouseX > width || mouseY > height) return;
+  push();
+  noFill();
+  strokeWeight(1.5);
+  drawingContext.setLineDash([5, 4]);
+  if (tool === 'remove') stroke(200, 40, 40);
+  else stroke(40, 140, 40);
+  ellipse(mouseX, mouseY, radius * 2);
+  drawingContext.setLineDash([]);
+  pop();
 }
 
 /**
- * Generate a set of obligation vectors between agents based on the
- * configured proximity threshold and maximum count.  Each vector
- * represents a social obligation that will either be fulfilled,
- * denied or expire.
+ * Highlight the selected agent with a ring and redraw its obligation
+ * lines heavier than the rest, pending ones solid and resolved ones
+ * dashed, so that they stand out from the other agents' lines.
  */
-function generateObligations() {
-  obligationVectors = [];
-  if (!agents || agents.length < 2) return;
-  const maxVectors = SIM_CONFIG.obligation.maxVectors;
-  const multiplier = SIM_CONFIG.obligation.countMultiplier;
-  // Use advancedSettings proximity if provided
-  const proximity = advancedSettings.proximityThreshold || SIM_CONFIG.enforcementRules.proximityThreshold;
-  const vectorCount = Math.min(agents.length * multiplier, maxVectors);
-  for (let i = 0; i < vectorCount; i++) {
-    const source = random(agents);
-    let nearby = agents.filter(a => a !== source && p5.Vector.dist(a.pos, source.pos) < proximity);
-    // Filter out targets from hostile affiliation pairs
-    nearby = nearby.filter(a => {
-      const key = [source.affiliation, a.affiliation].sort().join('|');
-      return !hostilePairs.has(key);
-    });
-    if (nearby.length === 0) continue;
-    const target = random(nearby);
-    const strength = random(0.2, 1.0);
-    const norm = random(normTypes);
-    obligationVectors.push(new ObligationVector(source, target, strength, norm));
+function drawSelection() {
+  if (selectedAgentId === null || sim.biographyArchive !== selectedArchive) return;
+  const agent = world.agentMap.get(selectedAgentId);
+  if (!agent) return;
+  push();
+  strokeWeight(3);
+  for (const vec of sim.obligationVectors) {
+    if (vec.source !== agent && vec.target !== agent) continue;
+    const rgb = COLORS.norms[vec.norm] || [120, 120, 120];
+    stroke(rgb[0], rgb[1], rgb[2], 220);
+    drawingContext.setLineDash(vec.status === 'pending' ? [] : [6, 4]);
+    line(vec.source.pos.x, vec.source.pos.y, vec.target.pos.x, vec.target.pos.y);
   }
+  drawingContext.setLineDash([]);
+  noFill();
+  stroke(20);
+  strokeWeight(2);
+  ellipse(agent.pos.x, agent.pos.y, agent.visualRadius * 2 + 12);
+  stroke(255, 200, 0);
+  ellipse(agent.pos.x, agent.pos.y, agent.visualRadius * 2 + 8);
+  pop();
 }
 
 /**
- * Compute statistics, perform reproduction and death, record
- * biographies and refresh obligations.  This function is called
- * whenever a generation elapses.
+ * Draw the latest snapshot from the worker: agents as plain glyphs,
+ * the legend, the debt/conflict graph and a progress line.  Obligation
+ * lines, trails and heatmaps need the full model and are not drawn.
  */
-function evolveGeneration() {
-  // Death based on age and conflict
-  agents = agents.filter(agent => {
-    const age = generation - (agent.birthGeneration || 0);
-    const baseDeathRate = SIM_CONFIG.death.baseRate;
-    // Conflict penalty is capped to avoid excessively high mortality from
-    // extremely conflicted agents.  A constant cap of 0.1 mirrors the
-    // behaviour of the original sketch.
-    const conflictPenalty = Math.min(agent.internalConflict * SIM_CONFIG.death.conflictWeight, 0.1);
-    const oldAgeBoost = age > SIM_CONFIG.death.ageThreshold ? SIM_CONFIG.death.oldAgeBoost * (age - SIM_CONFIG.death.ageThreshold) : 0;
-    const deathChance = baseDeathRate + conflictPenalty + oldAgeBoost;
-    if (random() < deathChance) {
-      return false;
-    }
-    return true;
-  });
-for (const agent of agents) {
-  agent.updateConflictAndDebt();
-}
-
-  // Update agent map after removing dead agents
-  agentMap.clear();
-  for (const a of agents) agentMap.set(a.id, a);
-
-  generation++;
-  // Create new obligations after reproduction/death; logging will
-  // occur later after agents update conflict/debt for this generation.
-  generateObligations();
-
-  // First pass: update normative preferences and scenario groups
-  for (const agent of agents) {
-    // Normative drift: with a small probability agents may change their
-    // preferred norm, simulating evolving norms and emergent scenarios.
-    const driftChance = 0.02; // 2% chance per generation
-    if (random() < driftChance) {
-      const others = normTypes.filter(n => n !== agent.normPreference);
-      agent.normPreference = random(others);
-    }
-    // Scenario group will be re-evaluated after drift using
-    // updateScenarios().
-  }
-  // Re-evaluate scenario membership after normative drift.  This
-  // classification allows scenario groups to evolve dynamically.
-  updateScenarios();
-  // Update affiliations based on trust networks after preferences shift
-  updateAffiliations();
-  // Compute group-level trust and handle hostile or merging dynamics
-  updateGroupDynamics();
-
-  // Second pass: record biographies, update conflict/debt and log entries
-  for (const agent of agents) {
-    agent.recordBiography(generation);
-    agent.updateConflictAndDebt();
-    // Evaluate relational ledger outcomes
-    const ledger = Array.from(agent.relationalLedger.values());
-    const fulfilled = ledger.filter(v => v === 'fulfilled').length;
-    const denied = ledger.filter(v => v === 'denied').length;
-    const expired = ledger.filter(v => v === 'expired').length;
-    const repaired = ledger.filter(v => v === 'repaired').length;
-    // Monitor acknowledgment changes
-    for (const norm of normTypes) {
-      const key = `${norm}Acknowledges`;
-      if (agent[key] !== agent.lastAcknowledgments[norm]) {
-        falsifyFlags.push(`Agent #${agent.id} changed ${norm} to ${agent[key]} @ Gen ${generation}`);
-        agent.lastAcknowledgments[norm] = agent[key];
-      }
-    }
-    // Capture per-agent log entry
-    agentLog.push({
-      generation,
-      scenario,
-      id: agent.id,
-      normPref: agent.normPreference || 'n/a',
-      aprioriAck: agent.aprioriAcknowledges || false,
-      legalAck: agent.legalAcknowledges || false,
-      careAck: agent.careAcknowledges || false,
-      epistemicAck: agent.epistemicAcknowledges || false,
-      attempts: agent.obligationAttempts || 0,
-      successes: agent.obligationSuccesses || 0,
-      conflict: agent.internalConflict || 0,
-      debt: agent.contradictionDebt || 0,
-      momentum: (agent.culturalMomentum || 0).toFixed(3),
-      trustCount: agent.trustMap.size || 0,
-      trustMax: Math.max(...Array.from(agent.trustMap.values()), 0),
-      fulfilled,
-      denied,
-      expired,
-      repaired,
-      role: agent.role,
-      temperament: agent.temperament,
-      moralStance: agent.moralStance,
-      scenarioGroup: agent.scenarioGroup,
-      memoryLength: agent.memoryLength,
-      // Include the agent's current affiliation to track emergent group
-      affiliation: agent.affiliation,
-  enableMoralRepair,
-    enableDirectedEmergence,
-    enableNonReciprocalTargeting,
-    batchRun: batchIndex + 1
-    });
-  }
-
-  // After agents update conflict and debt, log aggregate metrics for
-  // this generation.  This ensures that avgDebt and avgConflict
-  // reflect the latest updates rather than the previous
-  // generation's values.
-  logGeneration(agents, generation, log);
-
-  // If running in batch mode, check whether this run has reached
-  // the configured generation limit.  When the limit is hit, export
-  // the logs for this run, increment the batch counter and either
-  // reset the simulation for the next run or end batch mode.  The
-  // exported filenames include the scenario and run index for
-  // disambiguation.
-  if (batchMode && generation >= batchGenerations) {
-    // Clone logs before they are cleared by resetSimulation()
-    const agentLogCopy = agentLog.slice();
-    const obligationLogCopy = obligationLog.slice();
-    // Append these logs to the batch accumulators.  We include
-    // run index and scenario name in each entry so that the
-    // aggregated CSV can be analysed later and replicate can be
-    // distinguished.  Determine the current scenario name from the
-    // batch configuration.
-    const cfg = batchMode ? batchRunsSequence[batchIndex] : { scenario };
-    const runNum = batchIndex + 1;
-    // Enrich agent log rows with run and scenario
-    for (const row of agentLogCopy) {
-      row.run = runNum;
-      row.batchScenario = cfg.scenario;
-    }
-    // Enrich obligation log rows with run and scenario
-    for (const row of obligationLogCopy) {
-      row.run = runNum;
-      row.batchScenario = cfg.scenario;
-    }
-    batchAgentLog.push(...agentLogCopy);
-    batchObligationLog.push(...obligationLogCopy);
-    batchIndex++;
-    if (batchIndex < batchTotalRuns) {
-      // Apply the next scenario and toggle combination before resetting
-      applyBatchConfig(batchRunsSequence[batchIndex]);
-      resetSimulation();
-    } else {
-      // All runs completed: disable batch/validation modes and
-      // export the aggregated logs as single CSV files.  Use a
-      // generic filename for the batch.
-      batchMode = false;
-      validationMode = false;
-      running = false;
-      // Export aggregated logs if any entries were collected
-      if (batchAgentLog.length > 0) {
-        downloadAgentLog(batchAgentLog, 'batch_runs');
-      }
-      if (batchObligationLog.length > 0) {
-        downloadObligationLog(batchObligationLog, 'batch_runs');
-      }
-      // When batch mode ends, display an interpretive summary of the final run
-      interpretiveSummary = generateInterpretiveSummary(log, agents, scenario);
-      summaryPopup?.remove();
-      summaryPopup = createDiv(interpretiveSummary)
-        .style('position', 'absolute')
-        .style('top', '60px')
-        .style('left', '50%')
-        .style('transform', 'translateX(-50%)')
-        .style('background', '#ffffff')
-        .style('padding', '12px')
-        .style('border', '1px solid #ccc')
-        .style('border-radius', '8px')
-        .style('max-width', '440px')
-        .style('z-index', '1000');
+function drawWorkerSnapshot() {
+  const snapshot = workerSnapshot;
+  const progress = workerProgress;
+  if (snapshot) {
+    for (const agent of snapshot.agents) {
+      const groupColor = snapshot.groupColors[agent.affiliation];
+      const stanceStyle = VISUALS.outlineByStance[agent.moralStance] || { weight: 1, alpha: 160 };
+      fill(groupColor ? color(groupColor) : getNormColor(agent.colorKey, agent.acknowledged));
+      stroke(0, stanceStyle.alpha);
+      strokeWeight(stanceStyle.weight);
+      push();
+      translate(agent.x, agent.y);
+      drawAgentShape(VISUALS.shapesByRole[agent.role] || 'circle', VISUALS.size.minRadius);
+      pop();
     }
+    strokeWeight(1);
+    drawLegend();
+    drawDebtConflictGraph(snapshot.log, snapshot.groupEvents, []);
+    if (enableGroupTimeline) drawGroupTimeline(snapshot.groupHistory, snapshot.groupEvents, snapshot.groupColors);
   }
 
-  // Moral repair: attempt to repair denied or expired obligations
-  if (enableMoralRepair) {
-    for (const agent of agents) {
-      for (const [targetID, status] of agent.relationalLedger.entries()) {
-        if ((status === 'denied' || status === 'expired') && random() < SIM_CONFIG.repairChance) {
-          agent.relationalLedger.set(targetID, 'repaired');
-          obligationLog.push({
-            status: 'repaired',
-            norm: 'n/a',
-            from: agent.id,
-            to: targetID,
-            generation
-          });
-        }
-      }
-    }
+  // Progress line
+  const lines = [];
+  if (simWorker) {
+    lines.push(workerMode === 'batch'
+      ? 'Batch running in the background'
+      : 'Validation mode – running in the background without full rendering');
+  } else {
+    lines.push('Validation mode – run finished; Download CSV exports its logs');
   }
-
-  // Reproduction: offspring inherit or mutate acknowledgments and preferences
-  const offspring = [];
-  for (const parent of agents) {
-    if (random() < SIM_CONFIG.reproduction.chance && agents.length + offspring.length < SIM_CONFIG.numAgents * 10) {
-      const child = new Agent(globalAgentIndex++);
-      // Mutate acknowledgments based on parent's conflict
-      const mutationRate = SIM_CONFIG.reproduction.mutationBase + SIM_CONFIG.reproduction.maxConflictMutation * parent.internalConflict;
-      for (const norm of normTypes) {
-        const key = `${norm}Acknowledges`;
-        child[key] = (random() < (1 - mutationRate)) ? parent[key] : random() > 0.5;
-      }
-      // Inherit or mutate norm preference
-      child.normPreference = (random() < SIM_CONFIG.reproduction.preferenceInheritance)
-        ? parent.normPreference
-        : random(normTypes);
-      // Inherit scenario and affiliation from parent.  These may be
-      // re-classified in the next generation but preserve continuity.
-      child.scenarioGroup = parent.scenarioGroup;
-      child.affiliation = parent.affiliation;
-      // Jitter cultural momentum
-      child.culturalMomentum = constrain(
-        (parent.culturalMomentum || 0.5) + random(-0.1, 0.1),
-        0.1,
-        1.0
-      );
-      child.birthGeneration = generation;
-      offspring.push(child);
-    }
+  if (snapshot && progress) {
+    let status = `Scenario: ${snapshot.scenario}  Generation: ${progress.generation}/${progress.generations}`;
+    if (progress.mode === 'batch') status += `  Run: ${progress.run}/${progress.totalRuns}`;
+    status += `  Agents: ${snapshot.agents.length}  Seed: ${snapshot.seed}`;
+    lines.push(status);
   }
-  agents = agents.concat(offspring);
+  fill(0);
+  noStroke();
+  textSize(14);
+  textAlign(LEFT, TOP);
+  text(lines.join('\n'), 20, 20);
 }
 
 /**
@@ -1121,23 +816,20 @@ function drawLabels() {
   textSize(12);
   noStroke();
   const metrics = [
-    `Generation: ${generation}`,
-    `Agents: ${agents.length}`,
-    `Scenario: ${scenario.charAt(0).toUpperCase() + scenario.slice(1)}`,
-    `Moral Repair: ${enableMoralRepair ? 'On' : 'Off'}`,
-    `Directed Norms: ${enableDirectedEmergence ? 'On' : 'Off'}`,
-    `Vulnerability Targeting: ${enableNonReciprocalTargeting ? 'On' : 'Off'}`
+    `Generation: ${sim.generation}`,
+    `Agents: ${sim.agents.length}`,
+    `Scenario: ${sim.scenario.charAt(0).toUpperCase() + sim.scenario.slice(1)}`,
+    `Moral Repair: ${sim.enableMoralRepair ? 'On' : 'Off'}`,
+    `Directed Norms: ${sim.enableDirectedEmergence ? 'On' : 'Off'}`,
+    `Vulnerability Targeting: ${sim.enableNonReciprocalTargeting ? 'On' : 'Off'}`,
+    `Seed: ${sim.seed}`
   ];
-  // Append batch run information if a batch is in progress
-  if (batchMode) {
-    metrics.push(`Batch Run: ${batchIndex + 1}/${batchTotalRuns}`);
-  }
   // Append population counts for each high-level scenario.  The
   // scenarioGroup property reflects the agent's current normative
   // environment.  Displaying these counts shows how scenarios split
   // and merge over time.
   const scenarioCounts = {};
-  for (const a of agents) {
+  for (const a of sim.agents) {
     const s = a.scenarioGroup || 'n/a';
     scenarioCounts[s] = (scenarioCounts[s] || 0) + 1;
   }
@@ -1145,21 +837,19 @@ function drawLabels() {
     .map(([s, count]) => `${s}: ${count}`)
     .join(', ');
   metrics.push(`Scenarios: ${scenarioStrings}`);
-  // Append population counts for each affiliation group.  Groups are
-  // keyed by the agents’ affiliation property which evolves based on
-  // trust networks.  This allows live tracking of splitting and
-  // merging social alliances.
+  // Append the number of affiliation groups and the largest.  Groups
+  // are keyed by the agents’ affiliation property which evolves based
+  // on trust networks; the group timeline panel shows every group.
   const groupCounts = {};
-  for (const a of agents) {
+  for (const a of sim.agents) {
     const g = a.affiliation || 'n/a';
     groupCounts[g] = (groupCounts[g] || 0) + 1;
   }
-  const groupStrings = Object.entries(groupCounts)
-    .map(([g, count]) => `${g}: ${count}`)
-    .join(', ');
-  metrics.push(`Groups: ${groupStrings}`);
-  if (log.length > 0) {
-    const latest = log[log.length - 1];
+  const [largest, largestCount] = Object.entries(groupCounts)
+    .reduce((best, entry) => (entry[1] > best[1] ? entry : best), ['n/a', 0]);
+  metrics.push(`Groups: ${Object.keys(groupCounts).length} (largest: ${largest} ${largestCount})`);
+  if (sim.log.length > 0) {
+    const latest = sim.log[sim.log.length - 1];
   metrics.push(
   `Fulfillment Rate: ${latest.fulfillmentRate?.toFixed(2)}`,
   `Relational Integrity: ${latest.avgRI?.toFixed(2)}`,
@@ -1174,12 +864,12 @@ function drawLabels() {
     text(line, x, y);
     y += lineHeight;
   }
-  if (falsifyFlags.length > 0) {
+  if (sim.falsifyFlags.length > 0) {
     fill(150, 0, 0);
     textSize(11);
-    text(`⚠ Falsifiability Flags (${falsifyFlags.length}):`, x, y);
+    text(`⚠ Falsifiability Flags (${sim.falsifyFlags.length}):`, x, y);
     y += lineHeight;
-    falsifyFlags.slice(0, 3).forEach(flag => {
+    sim.falsifyFlags.slice(0, 3).forEach(flag => {
       text(`- ${flag}`, x + 10, y);
       y += lineHeight - 5;
     });
@@ -1268,10 +958,10 @@ function drawTraitBars() {
   const margin = 20;
   const barHeight = 18;
   const spacing = 6;
-  const total = agents.length;
+  const total = sim.agents.length;
   if (total === 0) return;
-  const counts = normTypes.map(norm => agents.filter(a => a[`${norm}Acknowledges`]).length);
-  const avgMomentum = agents.reduce((sum, a) => sum + a.culturalMomentum, 0) / total;
+  const counts = normTypes.map(norm => sim.agents.filter(a => a[`${norm}Acknowledges`]).length);
+  const avgMomentum = sim.agents.reduce((sum, a) => sum + a.culturalMomentum, 0) / total;
   const barWidth = width - 2 * margin;
   const startY = height - margin - (normTypes.length + 1) * (barHeight + spacing);
   normTypes.forEach((norm, i) => {
@@ -1294,13 +984,33 @@ function drawTraitBars() {
   text(`Avg Momentum: ${avgMomentum.toFixed(2)}`, margin + 5, momentumY + barHeight / 2);
 }
 
+// Colour and legend label of each kind of group event marked on the
+// conflict/debt graph
+const GROUP_EVENT_STYLES = {
+  formation: { color: [60, 160, 60], label: 'formed' },
+  dissolution: { color: [140, 140, 140], label: 'dissolved' },
+  merge: { color: [40, 130, 210], label: 'merge' },
+  schism: { color: [230, 140, 0], label: 'schism' },
+  hostility: { color: [150, 0, 130], label: 'hostile' },
+  truce: { color: [0, 170, 170], label: 'truce' }
+};
+
 /**
  * Display a miniature line chart of average conflict and debt in the
  * top right of the canvas.  The chart scales dynamically to the
  * maximum value in the recent history.  Each point represents one
- * generation (not frame).
+ * generation (not frame).  Group events of the charted generations are
+ * overlaid: merges and schisms as lines across the chart, and every
+ * kind of event present in a generation as a short mark stacked from
+ * its foot.  Generations in which the world was intervened on are
+ * marked with a dashed line, so that recovery after a shock can be
+ * read off the curves.
+ *
+ * @param {Array} [log] Generation log entries
+ * @param {Array} [groupEvents] Group events (see sim.groupEventLog)
+ * @param {Array} [interventions] Interventions (see sim.interventionLog)
  */
-function drawDebtConflictGraph() {
+function drawDebtConflictGraph(log = sim.log, groupEvents = sim.groupEventLog, interventions = sim.interventionLog) {
   const graphWidth = 260;
   const graphHeight = 80;
   const xOffset = width - graphWidth - 20;
@@ -1313,7 +1023,7 @@ function drawDebtConflictGraph() {
   // Background panel
   noStroke();
   fill(255, 240);
-  rect(xOffset - 10, yOffset - 30, graphWidth + 20, graphHeight + 50, 12);
+  rect(xOffset - 10, yOffset - 30, graphWidth + 20, graphHeight + 62, 12);
   // Axis label
   fill(0);
   textSize(10);
@@ -1343,6 +1053,220 @@ function drawDebtConflictGraph() {
   text('Conflict', xOffset, yOffset + graphHeight + 12);
   fill(50, 50, 200);
   text('Debt', xOffset + 80, yOffset + graphHeight + 12);
+  fill(40);
+  text('┆ Intervention', xOffset + 160, yOffset + graphHeight + 12);
+  drawGroupEventMarks(recentLog, groupEvents, xOffset, yOffset, graphHeight);
+  drawInterventionMarks(recentLog, interventions, xOffset, yOffset, graphHeight);
+}
+
+// Mark the charted generations in which interventions were made
+function drawInterventionMarks(recentLog, interventions, xOffset, yOffset, graphHeight) {
+  const columns = new Map(recentLog.map((entry, i) => [entry.generation, i]));
+  const marked = new Set(interventions.map(event => event.generation).filter(generation => columns.has(generation)));
+  stroke(40, 160);
+  strokeWeight(1);
+  drawingContext.setLineDash([2, 2]);
+  for (const generation of marked) {
+    const x = xOffset + columns.get(generation) * 3;
+    line(x, yOffset, x, yOffset + graphHeight);
+  }
+  drawingContext.setLineDash([]);
+  noStroke();
+}
+
+// Overlay the group events of the charted generations on the
+// conflict/debt graph, with a legend row below the chart
+function drawGroupEventMarks(recentLog, groupEvents, xOffset, yOffset, graphHeight) {
+  const kinds = Object.keys(GROUP_EVENT_STYLES);
+  const columns = new Map(recentLog.map((entry, i) => [entry.generation, i]));
+  const byGeneration = new Map();
+  for (const event of groupEvents) {
+    if (!columns.has(event.generation)) continue;
+    if (!byGeneration.has(event.generation)) byGeneration.set(event.generation, new Set());
+    byGeneration.get(event.generation).add(event.event);
+  }
+  strokeWeight(1);
+  for (const [generation, present] of byGeneration) {
+    const x = xOffset + columns.get(generation) * 3;
+    for (const kind of ['merge', 'schism']) {
+      if (!present.has(kind)) continue;
+      stroke(...GROUP_EVENT_STYLES[kind].color, 120);
+      line(x, yOffset, x, yOffset + graphHeight);
+    }
+    let y = yOffset + graphHeight;
+    for (const kind of kinds) {
+      if (!present.has(kind)) continue;
+      stroke(...GROUP_EVENT_STYLES[kind].color);
+      line(x, y, x, y - 4);
+      y -= 5;
+    }
+  }
+  noStroke();
+  textSize(9);
+  let x = xOffset;
+  for (const kind of kinds) {
+    const { color: rgb, label } = GROUP_EVENT_STYLES[kind];
+    fill(...rgb);
+    rect(x, yOffset + graphHeight + 20, 6, 6);
+    fill(60);
+    text(label, x + 8, yOffset + graphHeight + 26);
+    x += textWidth(label) + 12;
+  }
+  textSize(10);
+}
+
+
+/**
+ * Order the groups of the timeline for stacking: by first appearance,
+ * with a splinter placed directly after the group it split from so
+ * that schisms read as branches.
+ *
+ * @param {Array} recent Group census entries (see sim.groupHistory)
+ * @param {Array} events Group events (see sim.groupEventLog)
+ * @returns {Array<string>} Group labels, bottom band first
+ */
+function timelineOrder(recent, events) {
+  const parents = new Map(events.filter(e => e.event === 'schism').map(e => [e.other, e.group]));
+  const order = [];
+  const placed = new Set();
+  for (const { groups } of recent) {
+    for (const group of Object.keys(groups)) {
+      if (placed.has(group)) continue;
+      placed.add(group);
+      const at = order.indexOf(parents.get(group));
+      if (at >= 0) order.splice(at + 1, 0, group);
+      else order.push(group);
+    }
+  }
+  return order;
+}
+
+/**
+ * Draw the group timeline panel at the top centre of the canvas: a
+ * stream graph of the size of every affiliation group over the recent
+ * generations, centred on the panel's midline.  Merges are drawn as
+ * solid links from the absorbed band to the band it joined, schisms as
+ * dashed links from the parent band to the splinter.  Hovering a band
+ * shows the group's size, the preferred norms of its members and their
+ * average trust in each other.
+ *
+ * @param {Array} [history] Group census entries (see sim.groupHistory)
+ * @param {Array} [events] Group events (see sim.groupEventLog)
+ * @param {Object} [groupColors] Group label → RGBA array
+ */
+function drawGroupTimeline(history = sim.groupHistory, events = sim.groupEventLog, groupColors = sim.groupColors) {
+  const panelW = Math.max(240, Math.min(520, width - 660));
+  const panelH = 170;
+  const panelX = (width - panelW) / 2;
+  const panelY = 10;
+  const plotX = panelX + 10;
+  const plotY = panelY + 24;
+  const plotW = panelW - 20;
+  const plotH = panelH - 34;
+  const recent = history.slice(-Math.floor(plotW / 4));
+  noStroke();
+  fill(255, 240);
+  rect(panelX, panelY, panelW, panelH, 12);
+  fill(0);
+  textSize(10);
+  textAlign(LEFT, TOP);
+  const latest = recent[recent.length - 1];
+  text(`Group timeline: ${latest ? Object.keys(latest.groups).length : 0} groups`, plotX, panelY + 6);
+  fill(90);
+  textAlign(RIGHT, TOP);
+  text('solid: merge · dashed: schism', plotX + plotW, panelY + 6);
+  textAlign(LEFT, TOP);
+  if (recent.length === 0) return;
+
+  // Stack the bands of each generation in a fixed order, centred
+  const order = timelineOrder(recent, events);
+  const maxTotal = Math.max(...recent.map(({ groups }) =>
+    Object.values(groups).reduce((sum, g) => sum + g.size, 0)), 1);
+  const scale = plotH / maxTotal;
+  const step = recent.length > 1 ? plotW / (recent.length - 1) : 0;
+  const columnX = i => plotX + i * step;
+  const layout = recent.map(({ groups }) => {
+    const total = Object.values(groups).reduce((sum, g) => sum + g.size, 0);
+    let y = plotY + (plotH - total * scale) / 2;
+    const bands = new Map();
+    for (const group of order) {
+      if (!groups[group]) continue;
+      const bandHeight = groups[group].size * scale;
+      bands.set(group, { top: y, bottom: y + bandHeight });
+      y += bandHeight;
+    }
+    return bands;
+  });
+
+  // One shape per unbroken stretch of generations in which a group has members
+  const bandColor = (group, alpha) => {
+    const rgba = groupColors[group];
+    return rgba ? color(rgba[0], rgba[1], rgba[2], alpha) : color(160, alpha);
+  };
+  noStroke();
+  for (const group of order) {
+    fill(bandColor(group, 210));
+    let start = null;
+    for (let i = 0; i <= layout.length; i++) {
+      const present = i < layout.length && layout[i].has(group);
+      if (present && start === null) start = i;
+      if (present || start === null) continue;
+      if (i - 1 === start) {
+        const { top, bottom } = layout[start].get(group);
+        rect(columnX(start) - 1, top, 2, bottom - top);
+      } else {
+        beginShape();
+        for (let j = start; j < i; j++) vertex(columnX(j), layout[j].get(group).top);
+        for (let j = i - 1; j >= start; j--) vertex(columnX(j), layout[j].get(group).bottom);
+        endShape(CLOSE);
+      }
+      start = null;
+    }
+  }
+
+  // Genealogy: merges and schisms link the bands of consecutive generations
+  const columns = new Map(recent.map((entry, i) => [entry.generation, i]));
+  strokeWeight(1.5);
+  for (const event of events) {
+    if (event.event !== 'merge' && event.event !== 'schism') continue;
+    const i = columns.get(event.generation);
+    if (!i) continue;
+    const from = layout[i - 1].get(event.group);
+    const to = layout[i].get(event.other);
+    if (!from || !to) continue;
+    stroke(bandColor(event.event === 'merge' ? event.group : event.other, 255));
+    drawingContext.setLineDash(event.event === 'schism' ? [3, 3] : []);
+    line(columnX(i - 1), (from.top + from.bottom) / 2, columnX(i), (to.top + to.bottom) / 2);
+  }
+  drawingContext.setLineDash([]);
+  strokeWeight(1);
+  noStroke();
+
+  // Hover: the band under the mouse in the nearest generation
+  if (mouseX < plotX - 2 || mouseX > plotX + plotW + 2 || mouseY < plotY || mouseY > plotY + plotH) return;
+  const i = step > 0 ? Math.round((mouseX - plotX) / step) : 0;
+  const hit = [...layout[i]].find(([, band]) => mouseY >= band.top && mouseY <= band.bottom);
+  if (!hit) return;
+  const [group] = hit;
+  const { size, norms, trust } = recent[i].groups[group];
+  const composition = Object.entries(norms)
+    .sort((a, b) => b[1] - a[1])
+    .map(([norm, count]) => `${norm} ${Math.round((count / size) * 100)}%`)
+    .join(', ');
+  const lines = [
+    `${group} (generation ${recent[i].generation})`,
+    `${size} members`,
+    `Norms: ${composition}`,
+    `Internal trust: ${trust === null ? 'n/a' : trust.toFixed(2)}`
+  ];
+  const boxW = Math.max(...lines.map(l => textWidth(l))) + 12;
+  const boxX = Math.min(mouseX + 12, width - boxW - 4);
+  stroke(100);
+  fill(255);
+  rect(boxX, mouseY + 8, boxW, lines.length * 13 + 8, 6);
+  noStroke();
+  fill(0);
+  text(lines.join('\n'), boxX + 6, mouseY + 12);
 }
 
 /**
@@ -1356,7 +1280,7 @@ function drawDebtConflictGraph() {
  */
 function drawTrustHeatmap() {
   noStroke();
-  for (const agent of agents) {
+  for (const agent of sim.agents) {
     let totalTrust = 0;
     for (const value of agent.trustMap.values()) {
       totalTrust += value;
@@ -1379,7 +1303,7 @@ function drawTrustHeatmap() {
  * are only visible when the corresponding toggle is enabled.
  */
 function drawTrails() {
-  for (const agent of agents) {
+  for (const agent of sim.agents) {
     const trail = agent.trail || [];
     if (trail.length < 2) continue;
     const c = agent.displayColor;
@@ -1405,9 +1329,9 @@ function drawAffiliationHeatmap() {
   // Use a fixed radius for all heat circles.  Larger values
   // produce more continuous regions but may blur small groups.
   const radius = 80;
-  for (const agent of agents) {
+  for (const agent of sim.agents) {
     const group = agent.affiliation;
-    const col = window.groupColors[group];
+    const col = sim.groupColors[group];
     if (!col) continue;
     // Copy the colour to adjust alpha without mutating the
     // original group colour.
@@ -1431,7 +1355,7 @@ function drawConflictHeatmap() {
   // Use a fixed radius for conflict circles.  Smaller values
   // localise conflict regions more precisely.
   const radius = 60;
-  for (const agent of agents) {
+  for (const agent of sim.agents) {
     const conflict = agent.internalConflict || 0;
     if (conflict <= 0) continue;
     // Scale the alpha to the conflict value.  The factor 100
@@ -1458,6 +1382,54 @@ function showInterpretivePopup() {
   summaryPopup.style('display', 'block');
 }
 
+/**
+ * Report problems found in a settings file or batch spec.  Uses the
+ * summary popup so that the report can be dismissed the same way.
+ *
+ * @param {string} summary One-line description shown above the list
+ * @param {Array<string>} errors Messages describing each problem
+ */
+function showErrorReport(summary, errors) {
+  const items = errors.map(message => `<li>${message}</li>`).join('');
+  summaryPopup.html(`
+    <div style="text-align:right;">
+      <button onclick="document.getElementById('summary-popup').style.display='none'" style="font-size:16px;">✖</button>
+    </div>
+    <p><strong>${summary}</strong></p>
+    <ul style="text-align:left;">${items}</ul>
+  `);
+  summaryPopup.style('display', 'block');
+}
+
+/**
+ * Offer a custom norm in the GUI's norm distribution selector, unless
+ * it is already listed.  See gui.js where window.normSelect is assigned.
+ *
+ * @param {string} name The registered (lowercase) norm name
+ */
+function addNormOption(name) {
+  if (!name || !window.normSelect || typeof window.normSelect.option !== 'function') return;
+  const label = name.charAt(0).toUpperCase() + name.slice(1) + ' biased';
+  const options = Array.from(window.normSelect.elt.options || []);
+  if (!options.some(option => option.value === label)) window.normSelect.option(label);
+}
+
+/**
+ * Take a deleted norm out of the GUI's norm distribution selector,
+ * falling back to Uniform if it was selected.
+ *
+ * @param {string} name The deleted norm
+ */
+function removeNormOption(name) {
+  if (!window.normSelect) return;
+  const label = name.charAt(0).toUpperCase() + name.slice(1) + ' biased';
+  const select = window.normSelect.elt;
+  const option = Array.from(select.options || []).find(o => o.value === label);
+  if (!option) return;
+  if (select.value === label) window.normSelect.selected('Uniform');
+  option.remove();
+}
+
 /**
  * Show the about popup with descriptive text about the simulation and
  * its theoretical grounding.  The popup includes a close button and
@@ -1494,3 +1466,6 @@ function showAboutPopup() {
 // explicitly attach them to window.
 window.setup = setup;
 window.draw = draw;
+window.mousePressed = mousePressed;
+window.mouseReleased = mouseReleased;
+
@@ -0,0 +1,99 @@
+// spatial.js
+//
+// A uniform grid over agent positions for fast neighbour queries.
+// Flocking forces, obligation target search and hover hit-testing all
+// ask "which agents are within r of this point?".  Scanning the whole
+// population for every such question is O(n²) per frame, which grinds
+// to a halt once reproduction grows the population into the thousands.
+// The grid buckets agents by cell so that a query only inspects the
+// cells overlapping the search circle.
+//
+// The simulation rebuilds the shared grid (world.grid) at the start of
+// every tick and after deaths.  Agents keep moving during the tick, so
+// queries widen their search by a small slack to cover the distance an
+// agent can travel since the rebuild; distances themselves are always
+// measured on live positions.
+
+/**
+ * Uniform grid of agents keyed by cell coordinates.  Cells are stored
+ * in a Map, so positions outside the world bounds (agents wrap through
+ * the margins) need no special handling.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize Edge length of a cell; best set near the
+   *        most common query radius
+   * @param {number} [slack] Extra distance searched to cover movement
+   *        since the last rebuild
+   */
+  constructor(cellSize = 60, slack = 2) {
+    this.cellSize = cellSize;
+    this.slack = slack;
+    this.cells = new Map();
+  }
+
+  // Pack two cell coordinates into one numeric Map key
+  key(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
+
+  /**
+   * Re-bucket every agent by its current position.
+   *
+   * @param {Array<Agent>} agents The population
+   */
+  rebuild(agents) {
+    this.cells.clear();
+    for (const agent of agents) {
+      const k = this.key(Math.floor(agent.pos.x / this.cellSize), Math.floor(agent.pos.y / this.cellSize));
+      const cell = this.cells.get(k);
+      if (cell) cell.push(agent);
+      else this.cells.set(k, [agent]);
+    }
+  }
+
+  /**
+   * Call fn(agent, distance) for every agent within `radius` of (x, y).
+   * Agents are visited cell by cell, so the order is deterministic for
+   * a given population but not the population order.
+   *
+   * @param {number} x Query centre
+   * @param {number} y Query centre
+   * @param {number} radius Search radius (exclusive)
+   * @param {Function} fn Receives each agent and its distance
+   */
+  forEachWithin(x, y, radius, fn) {
+    const reach = radius + this.slack;
+    const minX = Math.floor((x - reach) / this.cellSize);
+    const maxX = Math.floor((x + reach) / this.cellSize);
+    const minY = Math.floor((y - reach) / this.cellSize);
+    const maxY = Math.floor((y + reach) / this.cellSize);
+    const r2 = radius * radius;
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(this.key(cx, cy));
+        if (!cell) continue;
+        for (const agent of cell) {
+          const dx = agent.pos.x - x;
+          const dy = agent.pos.y - y;
+          const d2 = dx * dx + dy * dy;
+          if (d2 < r2) fn(agent, Math.sqrt(d2));
+        }
+      }
+    }
+  }
+
+  /**
+   * Return the agents within `radius` of (x, y).
+   *
+   * @param {number} x Query centre
+   * @param {number} y Query centre
+   * @param {number} radius Search radius (exclusive)
+   * @returns {Array<Agent>} The agents found
+   */
+  within(x, y, radius) {
+    const found = [];
+    this.forEachWithin(x, y, radius, agent => found.push(agent));
+    return found;
+  }
+}
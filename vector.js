@@ -0,0 +1,80 @@
+// vector.js
+//
+// A minimal two-dimensional vector used by the model core in place of
+// p5.Vector.  Only the subset of the p5 API the simulation relies on is
+// implemented, with matching names and semantics, so agents can be
+// positioned and moved without a p5 instance.  Rendering code may keep
+// using p5 drawing functions; they only read the x and y fields.
+
+import { random } from './random.js';
+
+export class Vector {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  copy() { return new Vector(this.x, this.y); }
+
+  add(v) { this.x += v.x; this.y += v.y; return this; }
+
+  sub(v) { this.x -= v.x; this.y -= v.y; return this; }
+
+  mult(n) { this.x *= n; this.y *= n; return this; }
+
+  div(n) {
+    if (n === 0) return this;
+    this.x /= n; this.y /= n;
+    return this;
+  }
+
+  magSq() { return this.x * this.x + this.y * this.y; }
+
+  mag() { return Math.sqrt(this.magSq()); }
+
+  normalize() {
+    const len = this.mag();
+    if (len !== 0) this.mult(1 / len);
+    return this;
+  }
+
+  setMag(n) { return this.normalize().mult(n); }
+
+  limit(max) {
+    const mSq = this.magSq();
+    if (mSq > max * max) this.div(Math.sqrt(mSq)).mult(max);
+    return this;
+  }
+
+  rotate(angle) {
+    const heading = Math.atan2(this.y, this.x) + angle;
+    const len = this.mag();
+    this.x = Math.cos(heading) * len;
+    this.y = Math.sin(heading) * len;
+    return this;
+  }
+
+  static dist(a, b) {
+    // Math.sqrt rather than Math.hypot: dist() runs in the flocking
+    // inner loops and hypot is several times slower
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  static sub(a, b) { return new Vector(a.x - b.x, a.y - b.y); }
+
+  static mult(v, n) { return new Vector(v.x * n, v.y * n); }
+
+  static random2D() {
+    const angle = random(Math.PI * 2);
+    return new Vector(Math.cos(angle), Math.sin(angle));
+  }
+}
+
+/**
+ * Convenience factory mirroring p5's createVector().
+ */
+export function createVector(x = 0, y = 0) {
+  return new Vector(x, y);
+}
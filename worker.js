@@ -0,0 +1,153 @@
+// worker.js
+//
+// Web Worker that runs the model core off the page's main thread.
+// Batch and validation runs do not need to be drawn, so instead of
+// advancing one tick per p5 frame they run here as fast as the CPU
+// allows and the GUI stays responsive.  The page creates the worker
+// as an ES module worker (see startWorker() in sketch.js), sends the
+// current configuration and receives compact snapshots to draw.
+//
+// Messages to the worker:
+//   { type: 'start', mode: 'batch', config, spec }  run a batch spec (see batch.js)
+//   { type: 'start', mode: 'validation', config }   run the current settings
+//                                                   to SIM_CONFIG.maxGenerations
+//   { type: 'stop' }                                finish early with the logs so far
+//
+// Messages from the worker:
+//   { type: 'snapshot', snapshot, progress }  a takeSnapshot() view, several per second
+//   { type: 'error', errors }                 the run was rejected before it started
+//   { type: 'done', mode, label, files, bundle, summary, stopped }
+//                                             files are the run's or batch's export
+//                                             files, {name, text} each, and bundle
+//                                             the ZIP archive of them with its
+//                                             manifest (see bundle.js)
+
+import { SIM_CONFIG } from './config.js';
+import { sim, resetSimulation, stepSimulation, takeSnapshot } from './simulation.js';
+import { importModelConfig } from './settings.js';
+import { buildBatchPlan, applyBatchRun, finishBatch, tagRunLogs } from './batch.js';
+import { generateInterpretiveSummary } from './exporter.js';
+import { buildBundle, buildRunBundle } from './bundle.js';
+
+// Ticks run in slices of this many milliseconds between checks for
+// incoming messages; snapshots are posted at most this often.
+const SLICE_MS = 50;
+const SNAPSHOT_MS = 100;
+
+let stopRequested = false;
+let lastSnapshot = 0;
+
+function postSnapshot(progress, force = false) {
+  const now = Date.now();
+  if (!force && now - lastSnapshot < SNAPSHOT_MS) return;
+  lastSnapshot = now;
+  self.postMessage({ type: 'snapshot', snapshot: takeSnapshot(), progress });
+}
+
+/**
+ * Advance the current run until it reaches the given generation or a
+ * stop is requested.  Yields to the event loop between slices so that
+ * 'stop' messages are received.
+ */
+async function advance(generations, progress) {
+  while (sim.generation < generations && !stopRequested) {
+    const sliceEnd = Date.now() + SLICE_MS;
+    while (sim.generation < generations && Date.now() < sliceEnd) {
+      stepSimulation();
+    }
+    postSnapshot({ ...progress, generation: sim.generation, generations });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+async function runValidation() {
+  resetSimulation();
+  const generations = SIM_CONFIG.maxGenerations;
+  await advance(generations, { mode: 'validation', run: 1, totalRuns: 1 });
+  postSnapshot({ mode: 'validation', run: 1, totalRuns: 1, generation: sim.generation, generations }, true);
+  const { files, zip } = buildRunBundle();
+  self.postMessage({
+    type: 'done',
+    mode: 'validation',
+    label: sim.scenario,
+    files: files.map(({ name, text }) => ({ name, text })),
+    bundle: zip,
+    summary: generateInterpretiveSummary(sim.log, sim.agents, sim.scenario, sim.repairLog),
+    stopped: stopRequested
+  });
+}
+
+async function runBatch(spec) {
+  const plan = buildBatchPlan(spec);
+  if (plan.errors.length > 0) {
+    self.postMessage({ type: 'error', errors: plan.errors });
+    return;
+  }
+  const startedAt = new Date().toISOString();
+  const records = [];
+  const agentLog = [];
+  const obligationLog = [];
+  const metricsLog = [];
+  const biographies = [];
+  const falsifyLog = [];
+  const repairLog = [];
+  const groupEventLog = [];
+  const learningLog = [];
+  const trustLog = [];
+  for (const run of plan.runs) {
+    applyBatchRun(run, plan);
+    resetSimulation();
+    const progress = { mode: 'batch', run: run.run, totalRuns: plan.runs.length };
+    await advance(plan.generationsPerRun, progress);
+    // Keep the partial run if stopped part-way; skip the runs not started
+    const tagged = tagRunLogs(run, plan);
+    agentLog.push(...tagged.agentLog);
+    obligationLog.push(...tagged.obligationLog);
+    metricsLog.push(...tagged.metricsLog);
+    if (tagged.biographyLog) biographies.push(...tagged.biographyLog);
+    falsifyLog.push(...tagged.falsifyLog);
+    repairLog.push(...tagged.repairLog);
+    groupEventLog.push(...tagged.groupEventLog);
+    learningLog.push(...tagged.learningLog);
+    trustLog.push(...tagged.trustLog);
+    records.push(tagged.record);
+    postSnapshot({ ...progress, generation: sim.generation, generations: plan.generationsPerRun }, true);
+    if (stopRequested) break;
+  }
+  finishBatch(plan);
+  const { files, zip } = buildBundle('batch_runs', {
+    agentLog,
+    obligationLog,
+    metricsLog,
+    biographyLog: plan.logAgentBiographies ? biographies : null,
+    falsifyLog,
+    repairLog,
+    groupEventLog,
+    learningLog,
+    trustLog
+  }, { kind: 'batch', startedAt, runs: records, spec });
+  self.postMessage({
+    type: 'done',
+    mode: 'batch',
+    label: 'batch_runs',
+    files: files.map(({ name, text }) => ({ name, text })),
+    bundle: zip,
+    summary: generateInterpretiveSummary(sim.log, sim.agents, sim.scenario, sim.repairLog),
+    stopped: stopRequested
+  });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'stop') {
+    stopRequested = true;
+    return;
+  }
+  if (data.type === 'start') {
+    stopRequested = false;
+    importModelConfig(data.config);
+    // Generations only advance while running; the page may be stopped
+    sim.running = true;
+    if (data.mode === 'batch') runBatch(data.spec);
+    else runValidation();
+  }
+};
@@ -0,0 +1,32 @@
+// world.js
+//
+// Shared runtime state that agents and obligations consult while they
+// update: the bounds of the world, the current tick and the live
+// population.  Previously these came from p5 globals (width, height,
+// frameCount) and from window.agents / window.agentMap.  Keeping them in
+// a small module lets agent.js read them without importing the
+// simulation module (which would create a circular dependency) and
+// without requiring a browser window.
+
+import { SIM_CONFIG } from './config.js';
+import { SpatialGrid } from './spatial.js';
+
+export const world = {
+  // Dimensions of the area agents move in.  The sketch overwrites these
+  // with the canvas size; headless runs keep the configured defaults.
+  width: SIM_CONFIG.canvasWidth,
+  height: SIM_CONFIG.canvasHeight,
+
+  // Number of simulation ticks executed so far.  Replaces p5's
+  // frameCount for obligation animation timing.
+  frame: 0,
+
+  // The live population and an id → agent lookup.  Refreshed by the
+  // simulation at the start of every tick and after deaths.
+  agents: [],
+  agentMap: new Map(),
+
+  // Spatial index over the population for neighbour queries, rebuilt
+  // together with agents and agentMap (see spatial.js)
+  grid: new SpatialGrid()
+};